@@ -3,10 +3,24 @@
  * This file contains the core functionality, constants, utility functions, and data management
  */
 
-// Storage Manager for quota handling
+// Storage Manager - async key/value store backed by IndexedDB
+// Values are kept as strings (same contract as localStorage) and served from an
+// in-memory cache, so reads stay synchronous while writes persist in the background.
 const storageManager = {
-  // Test if localStorage is available
+  DB_NAME: 'health-tracker',
+  DB_VERSION: 1,
+  STORE_NAME: 'keyval',
+  MIGRATION_FLAG: '__migrated_from_localstorage',
+  
+  db: null,
+  cache: new Map(),
+  useFallback: false,
+  pendingWrites: Promise.resolve(),
+  
+  // Test if any persistent storage is available
   isAvailable: function() {
+    if ('indexedDB' in window) return true;
+    
     try {
       const test = 'test';
       localStorage.setItem(test, test);
@@ -17,137 +31,289 @@ const storageManager = {
     }
   },
   
-  // Estimate current usage
-  getUsage: function() {
-    let total = 0;
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      const value = localStorage.getItem(key);
-      total += key.length + value.length;
-    }
-    return total;
+  /**
+   * Open the database, load every stored value into the cache and migrate
+   * any data still sitting in localStorage. Falls back to localStorage when
+   * IndexedDB cannot be opened (e.g. some private browsing modes).
+   * @returns {Promise} Resolves once the store is ready to use
+   */
+  init: function() {
+    return this.openDatabase()
+      .then(db => {
+        this.db = db;
+        return this.loadCache();
+      })
+      .then(() => this.migrateFromLocalStorage())
+      .catch(error => {
+        console.error('IndexedDB unavailable, falling back to localStorage:', error);
+        this.db = null;
+        this.useFallback = true;
+        this.cache.clear();
+        for (let i = 0; i < localStorage.length; i++) {
+          const key = localStorage.key(i);
+          this.cache.set(key, localStorage.getItem(key));
+        }
+      });
   },
   
-  // Estimate remaining space (approximate)
-  getRemainingSpace: function() {
-    const maxSize = 5 * 1024 * 1024; // Assume 5MB limit
-    return maxSize - this.getUsage();
+  // Open (and create if needed) the IndexedDB database
+  openDatabase: function() {
+    return new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB is not supported'));
+        return;
+      }
+      
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+          db.createObjectStore(this.STORE_NAME);
+        }
+      };
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+    });
   },
   
-  // Check if we're near the quota
-  isNearQuota: function() {
-    const maxSize = 5 * 1024 * 1024; // Assume 5MB limit
-    const currentUsage = this.getUsage();
-    return currentUsage > maxSize * 0.9; // 90% full
+  // Read every key/value pair from the object store into the cache
+  loadCache: function() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.STORE_NAME, 'readonly');
+      const request = transaction.objectStore(this.STORE_NAME).openCursor();
+      
+      this.cache.clear();
+      
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          this.cache.set(cursor.key, cursor.value);
+          cursor.continue();
+        } else {
+          resolve();
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
   },
   
-  // Clean up old history data to free space
-  cleanupOldData: function() {
+  /**
+   * Copy existing localStorage data into IndexedDB on first run.
+   * localStorage is only cleared after the copy has been committed.
+   * @returns {Promise}
+   */
+  migrateFromLocalStorage: function() {
+    if (this.cache.has(this.MIGRATION_FLAG)) {
+      return Promise.resolve();
+    }
+    
+    const entries = [];
     try {
-      // Start with old history entries
-      const historyKeys = [
-        STORAGE_KEYS.HISTORY_PREFIX + 'water',
-        STORAGE_KEYS.HISTORY_PREFIX + 'protein',
-        'workout_history',
-        'habits_data'
-      ];
-      
-      let cleanedUp = false;
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        entries.push([key, localStorage.getItem(key)]);
+      }
+    } catch (e) {
+      console.error('Unable to read localStorage for migration:', e);
+    }
+    
+    const migratedAt = new Date().toISOString();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(this.STORE_NAME);
       
-      // Process each history object
-      historyKeys.forEach(key => {
-        try {
-          const historyData = localStorage.getItem(key);
-          if (!historyData) return;
-          
-          const history = JSON.parse(historyData);
-          
-          // Ensure we have the right data structure
-          if (typeof history !== 'object') return;
-          
-          // For habits data, handle the special format
-          if (key === 'habits_data') {
-            const habits = history;
-            if (Array.isArray(habits)) {
-              habits.forEach(habit => {
-                if (habit.history) {
-                  // Keep only last 90 days of history for each habit
-                  const dates = Object.keys(habit.history).sort();
-                  if (dates.length > 90) {
-                    const datesToRemove = dates.slice(0, dates.length - 90);
-                    datesToRemove.forEach(date => {
-                      delete habit.history[date];
-                    });
-                    cleanedUp = true;
-                  }
-                }
-              });
-              
-              // Save back
-              localStorage.setItem(key, JSON.stringify(habits));
-            }
-          } else {
-            // Standard history object with dates as keys
-            const dates = Object.keys(history).sort();
-            
-            // If we have more than 90 days of history, remove oldest
-            if (dates.length > 90) {
-              const datesToRemove = dates.slice(0, dates.length - 90);
-              datesToRemove.forEach(date => {
-                delete history[date];
-              });
-              
-              // Save back
-              localStorage.setItem(key, JSON.stringify(history));
-              cleanedUp = true;
-            }
-          }
-        } catch (e) {
-          console.error(`Error cleaning up ${key}:`, e);
+      entries.forEach(([key, value]) => {
+        // Never overwrite data that already lives in IndexedDB
+        if (!this.cache.has(key)) {
+          store.put(value, key);
         }
       });
+      store.put(migratedAt, this.MIGRATION_FLAG);
       
-      return cleanedUp;
-    } catch (e) {
-      console.error('Error in cleanup:', e);
-      return false;
+      transaction.oncomplete = () => {
+        entries.forEach(([key, value]) => {
+          if (!this.cache.has(key)) {
+            this.cache.set(key, value);
+          }
+        });
+        this.cache.set(this.MIGRATION_FLAG, migratedAt);
+        
+        entries.forEach(([key]) => {
+          try {
+            localStorage.removeItem(key);
+          } catch (e) {
+            console.error(`Unable to remove migrated key ${key}:`, e);
+          }
+        });
+        
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
+  
+  /**
+   * Get a stored value
+   * @param {string} key - Storage key
+   * @returns {string|null} Stored value or null when missing
+   */
+  getItem: function(key) {
+    return this.cache.has(key) ? this.cache.get(key) : null;
+  },
+  
+  /**
+   * Store a value. The cache is updated immediately; persistence is async.
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store (converted to string)
+   * @returns {Promise<boolean>} Resolves to whether the write was persisted
+   */
+  setItem: function(key, value) {
+    const stringValue = String(value);
+    this.cache.set(key, stringValue);
+    
+    if (this.useFallback) {
+      return Promise.resolve(this.writeFallback(() => localStorage.setItem(key, stringValue)));
     }
+    
+    return this.queueWrite(store => store.put(stringValue, key));
+  },
+  
+  /**
+   * Remove a stored value
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>}
+   */
+  removeItem: function(key) {
+    this.cache.delete(key);
+    
+    if (this.useFallback) {
+      return Promise.resolve(this.writeFallback(() => localStorage.removeItem(key)));
+    }
+    
+    return this.queueWrite(store => store.delete(key));
+  },
+  
+  /**
+   * Remove every stored value (the migration flag is kept so old
+   * localStorage data is never re-imported)
+   * @returns {Promise<boolean>}
+   */
+  clear: function() {
+    const migratedAt = this.cache.get(this.MIGRATION_FLAG);
+    this.cache.clear();
+    
+    if (this.useFallback) {
+      return Promise.resolve(this.writeFallback(() => localStorage.clear()));
+    }
+    
+    if (migratedAt) {
+      this.cache.set(this.MIGRATION_FLAG, migratedAt);
+    }
+    
+    return this.queueWrite(store => {
+      store.clear();
+      if (migratedAt) {
+        store.put(migratedAt, this.MIGRATION_FLAG);
+      }
+    });
+  },
+  
+  /**
+   * Get all stored keys (internal bookkeeping keys excluded)
+   * @returns {Array<string>}
+   */
+  keys: function() {
+    return Array.from(this.cache.keys()).filter(key => key !== this.MIGRATION_FLAG);
+  },
+  
+  // Run a write against the object store, keeping writes in call order
+  queueWrite: function(operation) {
+    const write = this.pendingWrites.then(() => new Promise(resolve => {
+      try {
+        const transaction = this.db.transaction(this.STORE_NAME, 'readwrite');
+        operation(transaction.objectStore(this.STORE_NAME));
+        
+        transaction.oncomplete = () => resolve(true);
+        transaction.onabort = () => {
+          this.handleWriteError(transaction.error);
+          resolve(false);
+        };
+      } catch (e) {
+        this.handleWriteError(e);
+        resolve(false);
+      }
+    }));
+    
+    this.pendingWrites = write;
+    return write;
   },
   
-  // Safe set item with quota checking
-  safeSetItem: function(key, value) {
+  // Write through to localStorage when IndexedDB is unavailable
+  writeFallback: function(operation) {
     try {
-      localStorage.setItem(key, value);
+      operation();
       return true;
     } catch (e) {
-      // If storage error, try to clean up
-      if (e.name === 'QuotaExceededError' || 
-          e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
-          e.code === 22) {
-        
-        // Try cleanup
-        const cleaned = this.cleanupOldData();
-        
-        if (cleaned) {
-          // Try again after cleanup
-          try {
-            localStorage.setItem(key, value);
-            utils.showToast('Older history has been archived to free up storage space.', 'info');
-            return true;
-          } catch (e2) {
-            utils.showToast('Storage limit reached. Please export and clear some data.', 'error');
-            return false;
-          }
-        } else {
-          utils.showToast('Storage limit reached. Please export and clear some data.', 'error');
-          return false;
-        }
-      }
-      
-      // Other error
-      utils.showToast('Error saving data: ' + e.message, 'error');
+      this.handleWriteError(e);
       return false;
     }
+  },
+  
+  // Surface write errors without discarding any data
+  handleWriteError: function(error) {
+    console.error('Storage write failed:', error);
+    
+    if (error && (error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22)) {
+      utils.showToast('Storage limit reached. Please export your data to keep a copy.', 'error');
+    } else {
+      utils.showToast('Error saving data: ' + (error ? error.message : 'unknown error'), 'error');
+    }
+  },
+  
+  /**
+   * Wait for all queued writes to finish (e.g. before reloading the page)
+   * @returns {Promise}
+   */
+  flush: function() {
+    return this.pendingWrites;
+  },
+  
+  /**
+   * Estimate storage usage via the Storage API
+   * @returns {Promise<{usage: number, quota: number}|null>}
+   */
+  getEstimate: function() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+      return Promise.resolve(null);
+    }
+    
+    return navigator.storage.estimate().catch(() => null);
+  },
+  
+  // Check if we're near the quota (90% full)
+  isNearQuota: function() {
+    return this.getEstimate().then(estimate => {
+      if (!estimate || !estimate.quota) return false;
+      return estimate.usage > estimate.quota * 0.9;
+    });
+  },
+  
+  // Ask the browser not to evict our data under storage pressure
+  requestPersistence: function() {
+    if (!navigator.storage || !navigator.storage.persist) {
+      return Promise.resolve(false);
+    }
+    
+    return navigator.storage.persisted()
+      .then(persisted => persisted || navigator.storage.persist())
+      .catch(() => false);
   }
 };
 
@@ -156,8 +322,10 @@ const STORAGE_KEYS = {
   THEME: 'app_theme',
   LAST_RESET_PREFIX: 'lastResetDate_',
   GOAL_PREFIX: 'goal_',
+  GOAL_SCHEDULE_PREFIX: 'goals_', // Versioned, per-weekday goals; goal_ keeps the current default
   INTAKE_PREFIX: 'intake_',
   HISTORY_PREFIX: 'history_',
+  PRESETS_PREFIX: 'presets_',
   REMINDER: 'global_reminder'
 };
 
@@ -166,11 +334,268 @@ const THEME_COLORS = {
   water: '#2196F3',
   protein: '#F44336',
   workout: '#673AB7',
-  habits: '#4CAF50'  
+  habits: '#4CAF50',
+  supplements: '#009688'
 };
 
 // Global reminder interval defined in notification.js
 
+// Schema version of stored data. Bump together with a new entry in
+// migrationManager.migrations whenever the shape of stored data changes.
+const SCHEMA_VERSION = 7;
+
+// Schema migrations for stored data
+const migrationManager = {
+  VERSION_KEY: 'schema_version',
+  
+  /**
+   * Ordered upgrade steps. Each step takes a snapshot of storage
+   * ({ storageKey: stringValue }) and returns the upgraded snapshot without
+   * touching the input, so it can be run against fixture snapshots in isolation.
+   * Steps must be idempotent: imported data may be re-migrated from version 0.
+   */
+  migrations: [
+    {
+      version: 1,
+      description: 'Ensure every habit has a history object',
+      migrate(snapshot) {
+        const habits = migrationManager.readJSON(snapshot, 'habits_data', null);
+        if (!Array.isArray(habits)) return snapshot;
+        
+        habits.forEach(habit => {
+          if (!habit.history || typeof habit.history !== 'object') {
+            habit.history = {};
+          }
+        });
+        
+        return { ...snapshot, habits_data: JSON.stringify(habits) };
+      }
+    },
+    {
+      version: 2,
+      description: 'Add workout types missing from saved workout state and counts',
+      migrate(snapshot) {
+        // Workout types as of this version (do not reference live app config here)
+        const workoutTypes = ['Chest', 'Back', 'Shoulders', 'Biceps', 'Triceps', 'Abs', 'Legs'];
+        const result = { ...snapshot };
+        
+        const state = migrationManager.readJSON(snapshot, 'workout_state', null);
+        if (state && typeof state === 'object') {
+          let nextOrder = Object.values(state).reduce((max, entry) => Math.max(max, entry.order || 0), -1) + 1;
+          workoutTypes.forEach(type => {
+            if (!state[type]) {
+              state[type] = { completed: false, order: nextOrder++ };
+            }
+          });
+          result.workout_state = JSON.stringify(state);
+        }
+        
+        const counts = migrationManager.readJSON(snapshot, 'workout_count', null);
+        if (counts && typeof counts === 'object') {
+          workoutTypes.forEach(type => {
+            if (typeof counts[type] !== 'number') {
+              counts[type] = 0;
+            }
+          });
+          result.workout_count = JSON.stringify(counts);
+        }
+        
+        return result;
+      }
+    },
+    {
+      version: 3,
+      description: 'Turn single tracker goals into versioned goal schedules',
+      migrate(snapshot) {
+        const result = { ...snapshot };
+        
+        Object.keys(snapshot)
+          .filter(key => key.startsWith('goal_'))
+          .forEach(key => {
+            const scheduleKey = `goals_${key.slice('goal_'.length)}`;
+            const goal = parseInt(snapshot[key]);
+            if (result[scheduleKey] || !(goal > 0)) return;
+            
+            // The old goal applies to every past day
+            result[scheduleKey] = JSON.stringify([{ effectiveFrom: '1970-01-01', default: goal, weekdays: {} }]);
+          });
+        
+        return result;
+      }
+    },
+    {
+      version: 4,
+      description: 'Turn saved workout types into editable workout type definitions',
+      migrate(snapshot) {
+        const state = migrationManager.readJSON(snapshot, 'workout_state', null);
+        if (snapshot.workout_types || !state || typeof state !== 'object') return snapshot;
+        
+        // Colours the analytics chart used for the original types
+        const defaultColors = {
+          Chest: '#FF5042', Back: '#5B6EF7', Shoulders: '#B96CDA', Biceps: '#58B5F0',
+          Triceps: '#4AD6B8', Abs: '#FF7B29', Legs: '#4CAF50'
+        };
+        const palette = Object.values(defaultColors);
+        
+        const names = Object.keys(state).sort((a, b) => (state[a].order || 0) - (state[b].order || 0));
+        const types = names.map((name, index) => ({
+          name,
+          color: defaultColors[name] || palette[index % palette.length],
+          retired: false
+        }));
+        
+        // Types only found in history are kept, retired, so their history still has a name and colour
+        const history = migrationManager.readJSON(snapshot, 'workout_history', {}) || {};
+        Object.values(history).forEach(entries => {
+          (entries || []).forEach(entry => {
+            if (entry.type && !types.some(type => type.name === entry.type)) {
+              types.push({ name: entry.type, color: palette[types.length % palette.length], retired: true });
+            }
+          });
+        });
+        
+        return { ...snapshot, workout_types: JSON.stringify(types) };
+      }
+    },
+    {
+      version: 5,
+      description: 'Give the original workout types ids so built-in splits follow renames',
+      migrate(snapshot) {
+        const types = migrationManager.readJSON(snapshot, 'workout_types', null);
+        if (!Array.isArray(types)) return snapshot;
+        
+        const builtInIds = ['chest', 'back', 'shoulders', 'biceps', 'triceps', 'abs', 'legs'];
+        types.forEach(type => {
+          const id = type.name.toLowerCase();
+          if (!type.id && builtInIds.includes(id) && !types.some(other => other.id === id)) {
+            type.id = id;
+          }
+        });
+        
+        return { ...snapshot, workout_types: JSON.stringify(types) };
+      }
+    },
+    {
+      version: 6,
+      description: 'Give habits stable ids so reminders survive renames',
+      migrate(snapshot) {
+        const habits = migrationManager.readJSON(snapshot, 'habits_data', null);
+        if (!Array.isArray(habits)) return snapshot;
+        
+        habits.forEach(habit => {
+          if (!habit.id) habit.id = utils.createId('habit');
+        });
+        
+        return { ...snapshot, habits_data: JSON.stringify(habits) };
+      }
+    },
+    {
+      version: 7,
+      description: 'Count logged amounts below a habit target as partial days',
+      migrate(snapshot) {
+        const habits = migrationManager.readJSON(snapshot, 'habits_data', null);
+        if (!Array.isArray(habits)) return snapshot;
+        
+        habits.forEach(habit => {
+          if (!habit.target || !habit.values || !habit.history) return;
+          Object.entries(habit.values).forEach(([dateKey, value]) => {
+            if (habit.history[dateKey] === 'fail' && value > 0 && value < habit.target.amount) {
+              habit.history[dateKey] = 'partial';
+            }
+          });
+        });
+        
+        return { ...snapshot, habits_data: JSON.stringify(habits) };
+      }
+    }
+  ],
+  
+  /**
+   * Parse a JSON value from a snapshot
+   * @param {Object} snapshot - Storage snapshot
+   * @param {string} key - Storage key
+   * @param {*} fallback - Value returned when missing or unparsable
+   * @returns {*} Parsed value
+   */
+  readJSON(snapshot, key, fallback) {
+    if (snapshot[key] === undefined || snapshot[key] === null) return fallback;
+    
+    try {
+      return JSON.parse(snapshot[key]);
+    } catch (e) {
+      return fallback;
+    }
+  },
+  
+  /**
+   * Get the schema version recorded in a snapshot (0 for legacy data)
+   * @param {Object} snapshot - Storage snapshot
+   * @returns {number} Schema version
+   */
+  getVersion(snapshot) {
+    return parseInt(snapshot[this.VERSION_KEY]) || 0;
+  },
+  
+  /**
+   * Run all pending upgrade steps on a snapshot
+   * @param {Object} snapshot - Storage snapshot
+   * @param {number} targetVersion - Version to upgrade to (defaults to SCHEMA_VERSION)
+   * @returns {{snapshot: Object, applied: Array<number>}} Upgraded snapshot and applied step versions
+   * @throws {Error} If the snapshot was written by a newer version of the app
+   */
+  migrateSnapshot(snapshot, targetVersion = SCHEMA_VERSION) {
+    const fromVersion = this.getVersion(snapshot);
+    
+    if (fromVersion > targetVersion) {
+      throw new Error(`Data was saved by a newer version of the app (schema ${fromVersion}, supported ${targetVersion}). Please update the app.`);
+    }
+    
+    let result = { ...snapshot };
+    const applied = [];
+    
+    this.migrations
+      .filter(step => step.version > fromVersion && step.version <= targetVersion)
+      .sort((a, b) => a.version - b.version)
+      .forEach(step => {
+        result = step.migrate(result);
+        applied.push(step.version);
+      });
+    
+    result[this.VERSION_KEY] = String(targetVersion);
+    
+    return { snapshot: result, applied };
+  },
+  
+  /**
+   * Upgrade stored data at startup
+   * @returns {Promise} Rejects if stored data is newer than this app understands
+   */
+  run() {
+    const snapshot = {};
+    storageManager.keys().forEach(key => {
+      snapshot[key] = storageManager.getItem(key);
+    });
+    
+    let migrated;
+    try {
+      migrated = this.migrateSnapshot(snapshot);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    
+    // Persist only the keys a step actually changed
+    const writes = Object.keys(migrated.snapshot)
+      .filter(key => migrated.snapshot[key] !== snapshot[key])
+      .map(key => storageManager.setItem(key, migrated.snapshot[key]));
+    
+    if (migrated.applied.length > 0) {
+      console.log('Applied schema migrations:', migrated.applied.join(', '));
+    }
+    
+    return Promise.all(writes);
+  }
+};
+
 // Utility Functions
 const utils = {
   /**
@@ -248,6 +673,16 @@ const utils = {
     return new Date();
   },
 
+  /**
+   * Parse a YYYY-MM-DD date key as a local date
+   * @param {string} dateKey - Date key
+   * @returns {Date} Local midnight of that day
+   */
+  parseDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  },
+
   // Add date formatter with localization
   formatDateForDisplay(date, options = {}) {
     const defaults = { 
@@ -273,8 +708,11 @@ const utils = {
    * @param {string} message - Message to display
    * @param {string} type - Type of toast (success, warning, error)
    * @param {number} duration - Duration in milliseconds (default 3000ms)
+   * @param {Object} [action] - Optional button shown in the toast
+   * @param {string} action.label - Button text (e.g. "Undo")
+   * @param {Function} action.onClick - Called once when the button is pressed
    */
-  showToast(message, type = 'success', duration = 3000) {
+  showToast(message, type = 'success', duration = 3000, action = null) {
     const toastContainer = document.getElementById('toast-container');
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
@@ -296,6 +734,20 @@ const utils = {
     
     toast.appendChild(icon);
     toast.appendChild(document.createTextNode(message));
+    
+    if (action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'toast-action';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', () => {
+        if (toast.parentNode) {
+          toastContainer.removeChild(toast);
+        }
+        action.onClick();
+      });
+      toast.appendChild(actionBtn);
+    }
+    
     toastContainer.appendChild(toast);
     
     // Remove toast after specified duration
@@ -315,6 +767,70 @@ const utils = {
     }
   },
   
+  /**
+   * Escape a string for safe use in HTML markup
+   * @param {string} value - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+  
+  /**
+   * Compute a 32-bit FNV-1a checksum of a string
+   * @param {string} value - String to hash
+   * @returns {string} Checksum as 8 hex characters
+   */
+  checksum(value) {
+    let hash = 0x811c9dc5;
+    
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    
+    return hash.toString(16).padStart(8, '0');
+  },
+  
+  /**
+   * Create an id that stays the same when the thing it names is renamed
+   * @param {string} prefix - Kind of thing, e.g. 'habit'
+   * @returns {string} Id, e.g. 'habit-m2x7k1qz-4f9a'
+   */
+  createId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6).padEnd(4, '0')}`;
+  },
+  
+  /**
+   * Build SVG path data for a smooth curve through chart coordinates
+   * @param {Array<Array<number>>} coordinates - [x, y] pairs, left to right
+   * @returns {string} SVG path data (empty if there are fewer than 2 points)
+   */
+  buildSmoothCurvePath(coordinates) {
+    if (coordinates.length < 2) return '';
+    
+    let path = `M ${coordinates[0][0]},${coordinates[0][1]}`;
+    
+    // Add curved segments between points
+    for (let i = 0; i < coordinates.length - 1; i++) {
+      const [x1, y1] = coordinates[i];
+      const [x2, y2] = coordinates[i + 1];
+      
+      // Control points keep the curve flat at each data point
+      const cpx1 = x1 + (x2 - x1) / 3;
+      const cpx2 = x1 + 2 * (x2 - x1) / 3;
+      
+      path += ` C ${cpx1},${y1} ${cpx2},${y2} ${x2},${y2}`;
+    }
+    
+    return path;
+  },
+  
   /**
    * Change the theme color in the meta tag
    * @param {string} color - Color in hex format
@@ -338,25 +854,49 @@ const utils = {
  * Initialize the application when DOM is fully loaded
  */
 document.addEventListener('DOMContentLoaded', () => {
-  // Check if localStorage is available
+  // Check if persistent storage is available
   if (!storageManager.isAvailable()) {
     alert('Your browser does not support local storage or it is disabled. The app may not work properly.');
     return;
   }
   
-  // Check if we're near quota
-  if (storageManager.isNearQuota()) {
-    utils.showToast('Storage space is running low. Consider exporting and clearing old data.', 'warning');
-    
-    // Try to clean up automatically
-    storageManager.cleanupOldData();
-  }
+  storageManager.init()
+    .then(() => migrationManager.run())
+    .then(() => initializeApp())
+    .catch(error => {
+      // Don't start the app on data we can't read safely
+      console.error('Error initializing app:', error);
+      alert(`Error loading data: ${error.message}`);
+    });
+});
+
+/**
+ * Initialize trackers and UI once the data store is ready
+ */
+function initializeApp() {
+  // Ask the browser to keep our data even under storage pressure
+  storageManager.requestPersistence();
+  
+  // Check if we're near quota
+  storageManager.isNearQuota().then(nearQuota => {
+    if (nearQuota) {
+      utils.showToast('Storage space is running low. Consider exporting your data.', 'warning');
+    }
+  });
 
+  // Build tab buttons and sections for built-in and user-defined trackers
+  trackerRegistry.render();
+  
   // Initialize trackers
-  window.waterTracker = new Tracker({ type: 'water', unit: 'ml' });
-  window.proteinTracker = new Tracker({ type: 'protein', unit: 'g' });
+  window.trackers = {};
+  trackerRegistry.getDefinitions().forEach(definition => {
+    window.trackers[definition.type] = new Tracker(definition);
+  });
+  window.waterTracker = window.trackers.water;
+  window.proteinTracker = window.trackers.protein;
   window.workoutTracker = new WorkoutTracker();
   window.habitsTracker = new HabitsTracker(); // Initialize habits tracker
+  window.supplementsTracker = new SupplementsTracker();
   
   // Set up theme
   initializeTheme();
@@ -367,11 +907,11 @@ document.addEventListener('DOMContentLoaded', () => {
   // Set up panels (settings, history, more options)
   initializePanels();
   
-  // Set up action buttons for water tracker
-  initializeTrackerActions(waterTracker);
+  // Set up action buttons for every tracker
+  Object.values(window.trackers).forEach(tracker => initializeTrackerActions(tracker));
   
-  // Set up action buttons for protein tracker
-  initializeTrackerActions(proteinTracker);
+  // Set up adding user-defined trackers
+  initializeTrackerManagement();
   
   // Set up action buttons for workout tracker
   initializeWorkoutTrackerActions(workoutTracker);
@@ -387,7 +927,7 @@ document.addEventListener('DOMContentLoaded', () => {
                       (!document.body.classList.contains('light-theme') && 
                        window.matchMedia('(prefers-color-scheme: dark)').matches);
   utils.changeThemeColor(isDarkTheme ? '#121212' : THEME_COLORS.water);
-});
+}
 
 /**
  * Initialize data import/export functionality
@@ -399,6 +939,12 @@ function initializeDataManagement() {
     exportBtn.addEventListener('click', exportData);
   }
   
+  // Export JSON backup button
+  const exportBackupBtn = document.getElementById('export-backup');
+  if (exportBackupBtn) {
+    exportBackupBtn.addEventListener('click', exportBackup);
+  }
+  
   // Import data file input
   const importFileInput = document.getElementById('import-file');
   if (importFileInput) {
@@ -414,24 +960,11 @@ function exportData() {
     // Collect and convert data to CSV
     const csvString = convertDataToCSV();
     
-    // Create CSV blob
-    const csvBlob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
-    const csvUrl = URL.createObjectURL(csvBlob);
-    
-    // Create download link
-    const link = document.createElement('a');
-    link.setAttribute('href', csvUrl);
-    link.setAttribute('download', `health-tracker-export-${new Date().toISOString().slice(0,10)}.csv`);
-    
-    // Trigger download
-    document.body.appendChild(link);
-    link.click();
-    
-    // Clean up
-    setTimeout(() => {
-      document.body.removeChild(link);
-      URL.revokeObjectURL(csvUrl); // Free memory
-    }, 100);
+    downloadFile(
+      csvString,
+      `health-tracker-export-${new Date().toISOString().slice(0,10)}.csv`,
+      'text/csv;charset=utf-8;'
+    );
     
     utils.showToast('Data exported successfully as CSV!', 'success');
     
@@ -458,133 +991,991 @@ function importData(event) {
     return;
   }
   
-  // Validate file type
-  if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-    utils.showToast('Invalid file type. Please upload a CSV file.', 'error');
-    event.target.value = '';
-    return;
-  }
+  // JSON backups are restored as a whole
+  if (file.type === 'application/json' || file.name.endsWith('.json')) {
+    importBackup(event);
+    return;
+  }
+  
+  // Validate file type
+  if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
+    utils.showToast('Invalid file type. Please upload a CSV or JSON file.', 'error');
+    event.target.value = '';
+    return;
+  }
+  
+  const reader = new FileReader();
+  
+  reader.onload = function(e) {
+    try {
+      // Parse CSV with detailed error handling
+      let csvData;
+      try {
+        csvData = e.target.result;
+      } catch (parseError) {
+        throw new Error('File is not valid CSV. Please ensure the file is correctly formatted.');
+      }
+      
+      // Convert CSV to app data format
+      const importedData = parseCSVData(csvData);
+      
+      // Validate the data structure
+      if (!importedData) {
+        throw new Error('Import file is empty or corrupt.');
+      }
+      
+      if (importedData.schemaVersion > SCHEMA_VERSION) {
+        throw new Error('This file was exported by a newer version of the app. Please update the app first.');
+      }
+      
+      const snapshot = csvDataToSnapshot(importedData);
+      
+      showImportPreview(snapshot, () => {
+        if (confirm('This will replace your current tracking data. Are you sure you want to proceed?')) {
+          writeImportedSnapshot(snapshot, 'Data imported successfully from CSV! Reloading app...');
+        }
+      });
+    } catch (error) {
+      utils.showToast(`Error importing data: ${error.message}`, 'error');
+      console.error('Import error:', error);
+    }
+    
+    // Reset the file input
+    event.target.value = '';
+  };
+  
+  reader.onerror = function() {
+    utils.showToast('Error reading file. Please try again.', 'error');
+    event.target.value = '';
+  };
+  
+  reader.readAsText(file);
+}
+
+// JSON backup format identifiers
+const BACKUP_FORMAT = 'daily-tracker-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * Encode a stored string for a JSON backup, keeping JSON values structured
+ * @param {string} value - Stored value
+ * @returns {*} Value to place in the backup
+ */
+function encodeBackupValue(value) {
+  try {
+    const parsed = JSON.parse(value);
+    // Keep JSON strings raw so decoding can't strip their quotes
+    return typeof parsed === 'string' ? value : parsed;
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Decode a backup value back to the string that gets stored
+ * @param {*} value - Value from the backup
+ * @returns {string} Value to store
+ */
+function decodeBackupValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Build a full-fidelity backup of every store
+ * @returns {Object} Backup with manifest and data sections
+ */
+function createBackupData() {
+  const data = {};
+  const stores = {};
+  
+  storageManager.keys().sort().forEach(key => {
+    const value = storageManager.getItem(key);
+    data[key] = encodeBackupValue(value);
+    
+    const stored = decodeBackupValue(data[key]);
+    stores[key] = {
+      checksum: utils.checksum(stored),
+      length: stored.length
+    };
+  });
+  
+  return {
+    manifest: {
+      format: BACKUP_FORMAT,
+      formatVersion: BACKUP_FORMAT_VERSION,
+      schemaVersion: SCHEMA_VERSION,
+      createdAt: new Date().toISOString(),
+      stores
+    },
+    data
+  };
+}
+
+/**
+ * Validate a parsed backup file without touching stored data
+ * @param {Object} backup - Parsed backup file
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateBackup(backup) {
+  const errors = [];
+  
+  if (!backup || typeof backup !== 'object' || !backup.manifest || !backup.data) {
+    return ['File is not a Daily Tracker backup.'];
+  }
+  
+  const { manifest, data } = backup;
+  
+  if (manifest.format !== BACKUP_FORMAT) {
+    errors.push('Unknown backup format.');
+  }
+  if (manifest.formatVersion > BACKUP_FORMAT_VERSION) {
+    errors.push('Backup format is newer than this app supports. Please update the app first.');
+  }
+  if (typeof manifest.schemaVersion !== 'number' || manifest.schemaVersion > SCHEMA_VERSION) {
+    errors.push('Backup was created by a newer version of the app. Please update the app first.');
+  }
+  if (!manifest.stores || typeof manifest.stores !== 'object') {
+    errors.push('Backup manifest has no store list.');
+    return errors;
+  }
+  
+  Object.entries(manifest.stores).forEach(([key, info]) => {
+    if (!(key in data)) {
+      errors.push(`Store "${key}" is missing from the backup.`);
+      return;
+    }
+    
+    const stored = decodeBackupValue(data[key]);
+    if (utils.checksum(stored) !== info.checksum || stored.length !== info.length) {
+      errors.push(`Store "${key}" is corrupt (checksum mismatch).`);
+    }
+  });
+  
+  Object.keys(data).forEach(key => {
+    if (!manifest.stores[key]) {
+      errors.push(`Store "${key}" is not listed in the manifest.`);
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Export every store to a JSON backup file
+ */
+function exportBackup() {
+  try {
+    const backup = createBackupData();
+    
+    downloadFile(
+      JSON.stringify(backup, null, 2),
+      `health-tracker-backup-${new Date().toISOString().slice(0,10)}.json`,
+      'application/json'
+    );
+    
+    utils.showToast('Backup exported successfully as JSON!', 'success');
+    
+    // Close the panel
+    document.getElementById('more-options-panel').classList.remove('active');
+  } catch (error) {
+    console.error('Backup export error:', error);
+    utils.showToast(`Error exporting backup: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Restore a JSON backup selected in the import file input
+ * @param {Event} event - Change event from file input
+ */
+function importBackup(event) {
+  const file = event.target.files[0];
+  const reader = new FileReader();
+  
+  reader.onload = function(e) {
+    try {
+      let backup;
+      try {
+        backup = JSON.parse(e.target.result);
+      } catch (parseError) {
+        throw new Error('File is not valid JSON.');
+      }
+      
+      // Validate everything before touching existing data
+      const errors = validateBackup(backup);
+      if (errors.length > 0) {
+        console.error('Backup validation errors:', errors);
+        throw new Error(errors[0]);
+      }
+      
+      const snapshot = {};
+      Object.entries(backup.data).forEach(([key, value]) => {
+        snapshot[key] = decodeBackupValue(value);
+      });
+      if (!(migrationManager.VERSION_KEY in snapshot)) {
+        snapshot[migrationManager.VERSION_KEY] = String(backup.manifest.schemaVersion);
+      }
+      
+      showImportPreview(snapshot, () => {
+        const storeCount = Object.keys(backup.data).length;
+        if (confirm(`Restore ${storeCount} stores from the backup created ${new Date(backup.manifest.createdAt).toLocaleString()}? This will replace all current data.`)) {
+          restoreBackup(backup);
+        }
+      });
+    } catch (error) {
+      utils.showToast(`Error importing backup: ${error.message}`, 'error');
+      console.error('Backup import error:', error);
+    }
+    
+    // Reset the file input
+    event.target.value = '';
+  };
+  
+  reader.onerror = function() {
+    utils.showToast('Error reading file. Please try again.', 'error');
+    event.target.value = '';
+  };
+  
+  reader.readAsText(file);
+}
+
+/**
+ * Replace all stored data with a validated backup
+ * @param {Object} backup - Backup that passed validateBackup
+ * @returns {Promise}
+ */
+function restoreBackup(backup) {
+  // Keep the current data in memory in case a write fails
+  const previous = {};
+  storageManager.keys().forEach(key => {
+    previous[key] = storageManager.getItem(key);
+  });
+  
+  const writeAll = (entries) => storageManager.clear()
+    .then(() => Promise.all(entries.map(([key, value]) => storageManager.setItem(key, value))));
+  
+  const entries = Object.entries(backup.data).map(([key, value]) => [key, decodeBackupValue(value)]);
+  
+  // Older backups without a version key get migrated on the next start
+  if (!(migrationManager.VERSION_KEY in backup.data)) {
+    entries.push([migrationManager.VERSION_KEY, String(backup.manifest.schemaVersion)]);
+  }
+  
+  return writeAll(entries).then(results => {
+    if (results.every(Boolean)) {
+      utils.showToast('Backup restored successfully! Reloading app...', 'success');
+      setTimeout(() => storageManager.flush().then(() => location.reload()), 1500);
+      return;
+    }
+    
+    return writeAll(Object.entries(previous)).then(() => {
+      utils.showToast('Error restoring backup. Your previous data has been restored.', 'error');
+    });
+  });
+}
+
+/**
+ * Convert parsed CSV data to a storage snapshot
+ * @param {Object} importedData - Result of parseCSVData
+ * @returns {Object} Snapshot ({ storageKey: stringValue })
+ */
+function csvDataToSnapshot(importedData) {
+  const snapshot = {};
+  
+  // Import user-defined tracker definitions, then every tracker's data
+  if (importedData.trackerDefinitions.length > 0) {
+    snapshot[trackerRegistry.DEFINITIONS_KEY] = JSON.stringify(importedData.trackerDefinitions);
+  }
+  
+  Object.entries(importedData.trackers).forEach(([type, data]) => {
+    if (data.goal) {
+      snapshot[STORAGE_KEYS.GOAL_PREFIX + type] = data.goal;
+    }
+    // Replace the goal schedule too, or the local one would hide the imported goal
+    if (data.goalSchedule && data.goalSchedule.length > 0) {
+      snapshot[STORAGE_KEYS.GOAL_SCHEDULE_PREFIX + type] = JSON.stringify(data.goalSchedule);
+    } else if (parseInt(data.goal) > 0) {
+      // Files exported before goal versions were included only have the plain goal
+      snapshot[STORAGE_KEYS.GOAL_SCHEDULE_PREFIX + type] = JSON.stringify([
+        { effectiveFrom: '1970-01-01', default: parseInt(data.goal), weekdays: {} }
+      ]);
+    }
+    if (data.intake) {
+      snapshot[STORAGE_KEYS.INTAKE_PREFIX + type] = data.intake;
+    }
+    if (data.history) {
+      snapshot[STORAGE_KEYS.HISTORY_PREFIX + type] = data.history;
+    }
+  });
+  
+  // Import workout data if available
+  if (importedData.workout) {
+    if (importedData.workout.state) {
+      snapshot.workout_state = importedData.workout.state;
+    }
+    if (importedData.workout.count) {
+      snapshot.workout_count = importedData.workout.count;
+    }
+    if (importedData.workout.history) {
+      snapshot.workout_history = importedData.workout.history;
+    }
+    if (importedData.workout.types.length > 0) {
+      snapshot.workout_types = JSON.stringify(importedData.workout.types);
+    } else if (Object.keys(migrationManager.readJSON(snapshot, 'workout_state', {})).length > 0) {
+      // Files exported before workout types were included rebuild them from the saved state
+      snapshot.workout_types = migrationManager.migrations
+        .filter(migration => migration.version === 4 || migration.version === 5)
+        .reduce((result, migration) => migration.migrate(result), snapshot)
+        .workout_types;
+    }
+    if (importedData.workout.splitTemplates.length > 0) {
+      snapshot.workout_split_templates = JSON.stringify(importedData.workout.splitTemplates);
+    }
+    if (importedData.workout.split) {
+      snapshot.workout_split = JSON.stringify(importedData.workout.split);
+    }
+  }
+  
+  // Import habits data if available
+  if (importedData.habits && importedData.habits.data) {
+    snapshot.habits_data = importedData.habits.data;
+  }
+  
+  // Import supplements data if available
+  if (importedData.supplements && importedData.supplements.data) {
+    snapshot.supplements_data = importedData.supplements.data;
+  }
+  
+  // Import settings
+  if (importedData.settings && importedData.settings.theme) {
+    snapshot[STORAGE_KEYS.THEME] = importedData.settings.theme;
+  }
+  if (importedData.settings && importedData.settings.reminder) {
+    snapshot[STORAGE_KEYS.REMINDER] = importedData.settings.reminder;
+  }
+  if (importedData.settings && importedData.settings.workoutResetRule) {
+    snapshot.workout_reset_rule = importedData.settings.workoutResetRule;
+  }
+  
+  // Record the file's schema so pending migrations run on the next start
+  snapshot[migrationManager.VERSION_KEY] = String(importedData.schemaVersion);
+  
+  return snapshot;
+}
+
+/**
+ * Write imported keys over current data, rolling back if any write fails
+ * @param {Object} snapshot - Keys to write ({ storageKey: stringValue })
+ * @param {string} successMessage - Toast shown before reloading
+ * @returns {Promise}
+ */
+function writeImportedSnapshot(snapshot, successMessage) {
+  // Start with a backup
+  const backup = {};
+  storageManager.keys().forEach(key => {
+    backup[key] = storageManager.getItem(key);
+  });
+  
+  return Promise.all(Object.entries(snapshot).map(([key, value]) => storageManager.setItem(key, value)))
+    .then(results => {
+      if (results.every(Boolean)) {
+        utils.showToast(successMessage, 'success');
+        
+        // Reload the page to apply imported data
+        setTimeout(() => storageManager.flush().then(() => location.reload()), 1500);
+        return;
+      }
+      
+      // Restore backup if import fails, and only report it once it is written
+      return storageManager.clear()
+        .then(cleared => Promise.all(Object.entries(backup).map(([key, value]) => storageManager.setItem(key, value)))
+          .then(results => cleared && results.every(Boolean)))
+        .then(restored => storageManager.flush().then(() => restored))
+        .then(restored => {
+          if (restored) {
+            utils.showToast('Error saving imported data. Your previous data has been restored.', 'error');
+          } else {
+            utils.showToast('Error saving imported data, and your previous data could not be fully restored. Export a backup before closing the app.', 'error', 10000);
+          }
+        });
+    });
+}
+
+// Merging imported data into existing data
+const mergeManager = {
+  /**
+   * Merge an imported snapshot into the local one. Entry histories are
+   * unioned by timestamp, user-defined trackers by type, workout types by
+   * name, habit histories by date and
+   * supplement doses by date and time; differing goals and
+   * habit statuses are reported as conflicts and keep the local value unless
+   * resolved otherwise. Both snapshots must be at the same schema version.
+   * @param {Object} local - Local storage snapshot
+   * @param {Object} incoming - Imported storage snapshot
+   * @param {Object} resolutions - Conflict id -> 'local' | 'incoming'
+   * @returns {{snapshot: Object, changes: Array<string>, conflicts: Array<Object>}}
+   *   Merged snapshot, readable change list and conflicts found
+   */
+  mergeSnapshots(local, incoming, resolutions = {}) {
+    const result = { ...local };
+    const changes = [];
+    const conflicts = [];
+    let settingsAdded = 0;
+    
+    // Record a conflict and return the chosen value
+    const resolve = (conflict) => {
+      conflicts.push(conflict);
+      return resolutions[conflict.id] === 'incoming' ? conflict.incoming : conflict.local;
+    };
+    
+    Object.keys(incoming).sort().forEach(key => {
+      if (key === migrationManager.VERSION_KEY) return;
+      
+      if (key === 'workout_history' || key.startsWith(STORAGE_KEYS.HISTORY_PREFIX)) {
+        const label = key === 'workout_history' ? 'Workout' : this.formatLabel(key.slice(STORAGE_KEYS.HISTORY_PREFIX.length));
+        const merged = this.mergeEntryHistory(
+          migrationManager.readJSON(local, key, {}),
+          migrationManager.readJSON(incoming, key, {})
+        );
+        
+        if (merged.added > 0) {
+          result[key] = JSON.stringify(merged.history);
+          changes.push(`${label}: ${merged.added} ${merged.added === 1 ? 'entry' : 'entries'} added across ${merged.days} ${merged.days === 1 ? 'day' : 'days'}`);
+        }
+      } else if (key === trackerRegistry.DEFINITIONS_KEY) {
+        const localDefinitions = migrationManager.readJSON(local, key, []);
+        const merged = this.mergeTrackerDefinitions(localDefinitions, migrationManager.readJSON(incoming, key, []));
+        
+        if (merged.definitions.length !== localDefinitions.length) {
+          result[key] = JSON.stringify(merged.definitions);
+        }
+        changes.push(...merged.changes);
+      } else if (key === 'workout_types') {
+        const localTypes = migrationManager.readJSON(local, key, []);
+        const merged = this.mergeWorkoutTypes(localTypes, migrationManager.readJSON(incoming, key, []));
+        
+        if (JSON.stringify(merged.types) !== JSON.stringify(localTypes)) {
+          result[key] = JSON.stringify(merged.types);
+        }
+        changes.push(...merged.changes);
+      } else if (key === 'habits_data') {
+        const localHabits = migrationManager.readJSON(local, key, []);
+        const merged = this.mergeHabits(localHabits, migrationManager.readJSON(incoming, key, []), resolve);
+        
+        if (JSON.stringify(merged.habits) !== JSON.stringify(localHabits)) {
+          result[key] = JSON.stringify(merged.habits);
+        }
+        changes.push(...merged.changes);
+      } else if (key === 'supplements_data') {
+        const localSupplements = migrationManager.readJSON(local, key, []);
+        const merged = this.mergeSupplements(localSupplements, migrationManager.readJSON(incoming, key, []));
+        
+        if (JSON.stringify(merged.supplements) !== JSON.stringify(localSupplements)) {
+          result[key] = JSON.stringify(merged.supplements);
+        }
+        changes.push(...merged.changes);
+      } else if (key.startsWith(STORAGE_KEYS.GOAL_SCHEDULE_PREFIX)) {
+        const type = key.slice(STORAGE_KEYS.GOAL_SCHEDULE_PREFIX.length);
+        const label = `${this.formatLabel(type)} goal`;
+        const localSchedule = migrationManager.readJSON(local, key, []);
+        const merged = this.mergeGoalSchedules(localSchedule, migrationManager.readJSON(incoming, key, []), label, key, resolve);
+        
+        if (JSON.stringify(merged.schedule) !== JSON.stringify(localSchedule)) {
+          result[key] = JSON.stringify(merged.schedule);
+          // Keep the plain goal key in step with the latest version
+          result[STORAGE_KEYS.GOAL_PREFIX + type] = String(merged.schedule[merged.schedule.length - 1].default);
+        }
+        if (merged.added > 0) {
+          changes.push(`${label}: ${merged.added} ${merged.added === 1 ? 'version' : 'versions'} added`);
+        }
+      } else if ((local[key] === undefined || local[key] === null) && result[key] === undefined) {
+        // Settings and device state only fill gaps (plain goals follow their schedules above)
+        result[key] = incoming[key];
+        settingsAdded++;
+      }
+    });
+    
+    if (settingsAdded > 0) {
+      changes.push(`${settingsAdded} ${settingsAdded === 1 ? 'setting' : 'settings'} not yet set on this device`);
+    }
+    
+    this.syncTodayIntake(local, result);
+    
+    return { snapshot: result, changes, conflicts };
+  },
+  
+  /**
+   * Union two date-keyed entry histories by entry timestamp
+   * @param {Object} localHistory - { date: [entries] }
+   * @param {Object} incomingHistory - { date: [entries] }
+   * @returns {{history: Object, added: number, days: number}} Merged history and added counts
+   */
+  mergeEntryHistory(localHistory, incomingHistory) {
+    const history = {};
+    let added = 0;
+    let days = 0;
+    
+    Object.keys(localHistory).forEach(date => {
+      history[date] = [...localHistory[date]];
+    });
+    
+    Object.keys(incomingHistory).forEach(date => {
+      const entries = history[date] || [];
+      const timestamps = new Set(entries.map(entry => entry.timestamp));
+      const newEntries = (incomingHistory[date] || []).filter(entry => !timestamps.has(entry.timestamp));
+      
+      if (newEntries.length === 0) return;
+      
+      history[date] = [...entries, ...newEntries].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+      added += newEntries.length;
+      days++;
+    });
+    
+    return { history, added, days };
+  },
+  
+  /**
+   * Union two goal schedules by effective date
+   * @param {Array} localSchedule - Local goal versions
+   * @param {Array} incomingSchedule - Imported goal versions
+   * @param {string} label - Display label (e.g. "Water goal")
+   * @param {string} key - Storage key, used in conflict ids
+   * @param {Function} resolve - Records a conflict and returns the chosen value
+   * @returns {{schedule: Array, added: number}} Merged schedule and count of added versions
+   */
+  mergeGoalSchedules(localSchedule, incomingSchedule, label, key, resolve) {
+    const schedule = localSchedule.map(version => ({ ...version }));
+    let added = 0;
+    
+    incomingSchedule.forEach(incomingVersion => {
+      const index = schedule.findIndex(version => version.effectiveFrom === incomingVersion.effectiveFrom);
+      
+      if (index === -1) {
+        schedule.push(incomingVersion);
+        added++;
+      } else if (this.describeGoalVersion(schedule[index]) !== this.describeGoalVersion(incomingVersion)) {
+        const conflict = {
+          id: `goal:${key}:${incomingVersion.effectiveFrom}`,
+          label: `${label} from ${incomingVersion.effectiveFrom}`,
+          local: this.describeGoalVersion(schedule[index]),
+          incoming: this.describeGoalVersion(incomingVersion)
+        };
+        
+        if (resolve(conflict) === conflict.incoming) {
+          schedule[index] = incomingVersion;
+        }
+      }
+    });
+    
+    schedule.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    
+    return { schedule, added };
+  },
+  
+  /**
+   * Describe a goal version for conflict display (e.g. "2500, Mon 3000")
+   * @param {Object} version - Goal version
+   * @returns {string} Description
+   */
+  describeGoalVersion(version) {
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const overrides = Object.keys(version.weekdays || {})
+      .sort()
+      .map(day => `${dayNames[day]} ${version.weekdays[day]}`);
+    
+    return [version.default, ...overrides].join(', ');
+  },
+  
+  /**
+   * Merge user-defined tracker lists by type, so merged history keeps its tab
+   * @param {Array} localDefinitions - Local tracker definitions
+   * @param {Array} incomingDefinitions - Imported tracker definitions
+   * @returns {{definitions: Array, changes: Array<string>}} Merged definitions and change list
+   */
+  mergeTrackerDefinitions(localDefinitions, incomingDefinitions) {
+    const definitions = [...localDefinitions];
+    const changes = [];
+    
+    incomingDefinitions.forEach(incomingDefinition => {
+      if (definitions.some(definition => definition.type === incomingDefinition.type)) return;
+      
+      definitions.push(incomingDefinition);
+      changes.push(`New tracker "${incomingDefinition.name}"`);
+    });
+    
+    return { definitions, changes };
+  },
+  
+  /**
+   * Merge workout type lists by name, so merged history keeps a name, colour and tab
+   * @param {Array} localTypes - Local workout type definitions
+   * @param {Array} incomingTypes - Imported workout type definitions
+   * @returns {{types: Array, changes: Array<string>}} Merged types and change list
+   */
+  mergeWorkoutTypes(localTypes, incomingTypes) {
+    const types = localTypes.map(type => ({ ...type }));
+    const changes = [];
+    
+    incomingTypes.forEach(incomingType => {
+      if (types.some(type => type.name.trim().toLowerCase() === incomingType.name.trim().toLowerCase())) return;
+      
+      // A built-in type renamed on one device keeps its id on the local copy only
+      const type = { ...incomingType };
+      if (type.id && types.some(other => other.id === type.id)) delete type.id;
+      
+      types.push(type);
+      changes.push(`New workout type "${type.name}"`);
+    });
+    
+    return { types, changes };
+  },
+  
+  /**
+   * Merge habit lists, matching habits by name and unioning history by date
+   * @param {Array} localHabits - Local habits
+   * @param {Array} incomingHabits - Imported habits
+   * @param {Function} resolve - Records a conflict and returns the chosen value
+   * @returns {{habits: Array, changes: Array<string>}} Merged habits and change list
+   */
+  mergeHabits(localHabits, incomingHabits, resolve) {
+    const habits = localHabits.map(habit => ({
+      ...habit,
+      history: { ...(habit.history || {}) },
+      ...(habit.values && { values: { ...habit.values } }),
+      ...(habit.notes && { notes: { ...habit.notes } })
+    }));
+    const changes = [];
+    const findHabit = (name) => habits.find(habit => habit.name.trim().toLowerCase() === name.trim().toLowerCase());
+    
+    incomingHabits.forEach(incomingHabit => {
+      const habit = findHabit(incomingHabit.name);
+      
+      if (!habit) {
+        // Habits added on two devices can't share an id
+        const newHabit = { ...incomingHabit };
+        if (!newHabit.id || habits.some(other => other.id === newHabit.id)) newHabit.id = utils.createId('habit');
+        
+        habits.push(newHabit);
+        changes.push(`New habit "${newHabit.name}"`);
+        return;
+      }
+      
+      // Quantitative habits carry the amount logged for each day
+      const incomingValues = incomingHabit.values || {};
+      const takeIncomingValue = (date) => {
+        if (incomingValues[date] === undefined) return;
+        habit.values = { ...(habit.values || {}), [date]: incomingValues[date] };
+      };
+      
+      let daysAdded = 0;
+      Object.keys(incomingHabit.history || {}).sort().forEach(date => {
+        const incomingStatus = incomingHabit.history[date];
+        const localStatus = habit.history[date];
+        
+        if (localStatus === undefined) {
+          habit.history[date] = incomingStatus;
+          takeIncomingValue(date);
+          daysAdded++;
+        } else if (localStatus !== incomingStatus) {
+          habit.history[date] = resolve({
+            id: `habit:${habit.name}:${date}`,
+            label: `${habit.name} on ${date}`,
+            local: localStatus,
+            incoming: incomingStatus
+          });
+          if (habit.history[date] === incomingStatus) takeIncomingValue(date);
+        }
+      });
+      
+      if (daysAdded > 0) {
+        changes.push(`Habit "${habit.name}": ${daysAdded} ${daysAdded === 1 ? 'day' : 'days'} added`);
+      }
+      
+      // Notes are unioned by date like history
+      let notesAdded = 0;
+      Object.keys(incomingHabit.notes || {}).sort().forEach(date => {
+        const incomingNote = incomingHabit.notes[date];
+        const localNote = habit.notes && habit.notes[date];
+        
+        if (localNote === undefined) {
+          habit.notes = { ...(habit.notes || {}), [date]: incomingNote };
+          notesAdded++;
+        } else if (localNote !== incomingNote) {
+          habit.notes[date] = resolve({
+            id: `habit-note:${habit.name}:${date}`,
+            label: `${habit.name} note on ${date}`,
+            local: localNote,
+            incoming: incomingNote
+          });
+        }
+      });
+      
+      if (notesAdded > 0) {
+        changes.push(`Habit "${habit.name}": ${notesAdded} ${notesAdded === 1 ? 'note' : 'notes'} added`);
+      }
+    });
+    
+    return { habits, changes };
+  },
+  
+  /**
+   * Merge supplement stacks, matching supplements by name and unioning the
+   * doses taken each day. Doses and schedules keep the local version.
+   * @param {Array} localSupplements - Local supplements
+   * @param {Array} incomingSupplements - Imported supplements
+   * @returns {{supplements: Array, changes: Array<string>}} Merged supplements and change list
+   */
+  mergeSupplements(localSupplements, incomingSupplements) {
+    const supplements = localSupplements.map(supplement => ({ ...supplement, taken: { ...(supplement.taken || {}) } }));
+    const changes = [];
+    
+    incomingSupplements.forEach(incomingSupplement => {
+      if (!incomingSupplement.name || !this.isValidSupplementSchedule(incomingSupplement.times, incomingSupplement.days)) return;
+      
+      let supplement = supplements.find(candidate =>
+        candidate.name.trim().toLowerCase() === incomingSupplement.name.trim().toLowerCase());
+      const isNew = !supplement;
+      
+      if (isNew) {
+        // Taken doses are copied below so malformed days are left out
+        supplement = { ...incomingSupplement, taken: {} };
+        if (!this.isValidScheduleVersions(supplement.scheduleVersions)) delete supplement.scheduleVersions;
+        supplements.push(supplement);
+        changes.push(`New supplement "${supplement.name}"`);
+      }
+      
+      let dosesAdded = 0;
+      Object.keys(incomingSupplement.taken || {}).sort().forEach(date => {
+        if (!this.isValidSupplementSchedule(incomingSupplement.taken[date], [0])) return;
+        
+        const times = new Set(supplement.taken[date] || []);
+        const newTimes = incomingSupplement.taken[date].filter(time => !times.has(time));
+        if (newTimes.length === 0) return;
+        
+        supplement.taken[date] = [...times, ...newTimes].sort();
+        dosesAdded += newTimes.length;
+      });
+      
+      if (!isNew && dosesAdded > 0) {
+        changes.push(`Supplement "${supplement.name}": ${dosesAdded} ${dosesAdded === 1 ? 'dose' : 'doses'} added`);
+      }
+    });
+    
+    return { supplements, changes };
+  },
+  
+  /**
+   * Check imported supplement dose times ('HH:MM') and weekdays (0-6)
+   * @param {*} times - Dose times
+   * @param {*} days - Weekdays
+   * @returns {boolean} True if both are well formed
+   */
+  isValidSupplementSchedule(times, days) {
+    return Array.isArray(times) && times.every(time => /^\d{2}:\d{2}$/.test(time)) &&
+      Array.isArray(days) && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+  },
+  
+  /**
+   * Check a supplement's past schedules ({effectiveFrom, times, days}, oldest first)
+   * @param {*} versions - Schedule versions
+   * @returns {boolean} True if there are versions and all are well formed
+   */
+  isValidScheduleVersions(versions) {
+    return Array.isArray(versions) && versions.length > 0 && versions.every((version, index) =>
+      version && /^\d{4}-\d{2}-\d{2}$/.test(version.effectiveFrom) &&
+      (index === 0 || version.effectiveFrom > versions[index - 1].effectiveFrom) &&
+      this.isValidSupplementSchedule(version.times, version.days));
+  },
+  
+  /**
+   * Check imported exercises: {name, sets: [{reps, weight, rpe}]} as saved by the session editor
+   * @param {*} exercises - Logged exercises
+   * @returns {boolean} True if every exercise and set is well formed
+   */
+  isValidExerciseLog(exercises) {
+    return Array.isArray(exercises) && exercises.every(exercise =>
+      exercise && typeof exercise.name === 'string' && exercise.name.trim() !== '' &&
+      Array.isArray(exercise.sets) && exercise.sets.every(set =>
+        set && Number.isInteger(set.reps) && set.reps > 0 &&
+        typeof set.weight === 'number' && set.weight >= 0 &&
+        (set.rpe === null || set.rpe === undefined || (typeof set.rpe === 'number' && set.rpe >= 1 && set.rpe <= 10))));
+  },
+  
+  /**
+   * Keep today's running totals in line with merged history entries
+   * @param {Object} local - Local snapshot before merging
+   * @param {Object} result - Merged snapshot (updated in place)
+   */
+  syncTodayIntake(local, result) {
+    const today = utils.formatDate(new Date());
+    
+    Object.keys(result)
+      .filter(key => key.startsWith(STORAGE_KEYS.HISTORY_PREFIX) && result[key] !== local[key])
+      .forEach(key => {
+        const type = key.slice(STORAGE_KEYS.HISTORY_PREFIX.length);
+        const entries = migrationManager.readJSON(result, key, {})[today];
+        if (!entries) return;
+        
+        result[STORAGE_KEYS.INTAKE_PREFIX + type] = String(entries.reduce((sum, entry) => sum + entry.amount, 0));
+        result[STORAGE_KEYS.LAST_RESET_PREFIX + type] = today;
+      });
+  },
+  
+  /**
+   * Capitalize a storage key suffix for display
+   * @param {string} name - Key suffix such as "water"
+   * @returns {string} Display label
+   */
+  formatLabel(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+};
+
+/**
+ * Show a preview of an import and let the user merge, replace or cancel
+ * @param {Object} snapshot - Imported storage snapshot
+ * @param {Function} onReplace - Called when the user picks Replace All
+ */
+function showImportPreview(snapshot, onReplace) {
+  const local = {};
+  storageManager.keys().forEach(key => {
+    local[key] = storageManager.getItem(key);
+  });
+  
+  // Bring the import up to the current schema so both sides line up
+  const incoming = migrationManager.migrateSnapshot(snapshot).snapshot;
+  const preview = mergeManager.mergeSnapshots(local, incoming);
+  
+  const modal = document.createElement('div');
+  modal.className = 'modal import-preview-modal';
+  modal.style.display = 'flex';
+  
+  const content = document.createElement('div');
+  content.className = 'modal-content';
+  
+  const header = document.createElement('div');
+  header.className = 'modal-header';
+  header.textContent = 'Import Preview';
+  content.appendChild(header);
+  
+  const body = document.createElement('div');
+  body.className = 'import-preview-body';
+  
+  const changesTitle = document.createElement('h4');
+  changesTitle.textContent = 'Merging will add:';
+  body.appendChild(changesTitle);
   
-  const reader = new FileReader();
+  if (preview.changes.length === 0) {
+    const noChanges = document.createElement('p');
+    noChanges.textContent = 'Nothing new - this device already has all imported entries.';
+    body.appendChild(noChanges);
+  } else {
+    const changesList = document.createElement('ul');
+    changesList.className = 'import-preview-list';
+    preview.changes.forEach(change => {
+      const item = document.createElement('li');
+      item.textContent = change;
+      changesList.appendChild(item);
+    });
+    body.appendChild(changesList);
+  }
   
-  reader.onload = function(e) {
-    try {
-      // Parse CSV with detailed error handling
-      let csvData;
-      try {
-        csvData = e.target.result;
-      } catch (parseError) {
-        throw new Error('File is not valid CSV. Please ensure the file is correctly formatted.');
-      }
-      
-      // Convert CSV to app data format
-      const importedData = parseCSVData(csvData);
+  // One choice per conflict, defaulting to this device's value
+  const choices = {};
+  if (preview.conflicts.length > 0) {
+    const conflictsTitle = document.createElement('h4');
+    conflictsTitle.textContent = 'Conflicts:';
+    body.appendChild(conflictsTitle);
+    
+    preview.conflicts.forEach(conflict => {
+      choices[conflict.id] = 'local';
       
-      // Validate the data structure
-      if (!importedData) {
-        throw new Error('Import file is empty or corrupt.');
-      }
+      const row = document.createElement('div');
+      row.className = 'import-conflict';
       
-      // Calculate estimated storage requirements
-      const importSize = JSON.stringify(importedData).length;
-      const availableSpace = 5 * 1024 * 1024; // Approximate localStorage limit (5MB)
+      const label = document.createElement('span');
+      label.textContent = conflict.label;
+      row.appendChild(label);
       
-      if (importSize > availableSpace * 0.9) { // If import would use more than 90% of storage
-        throw new Error('Import file is too large for browser storage. Please try a smaller export file.');
-      }
+      const select = document.createElement('select');
+      select.className = 'import-conflict-select';
+      [['local', `This device: ${conflict.local}`], ['incoming', `Imported: ${conflict.incoming}`]].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+      select.addEventListener('change', () => {
+        choices[conflict.id] = select.value;
+      });
+      row.appendChild(select);
       
-      // Confirm before importing
-      if (confirm('This will replace your current tracking data. Are you sure you want to proceed?')) {
-        // Start with a backup
-        const backup = {};
-        for (let i = 0; i < localStorage.length; i++) {
-          const key = localStorage.key(i);
-          backup[key] = localStorage.getItem(key);
-        }
-        
-        try {
-          // Import water data
-          if (importedData.water.goal) {
-            localStorage.setItem(STORAGE_KEYS.GOAL_PREFIX + 'water', importedData.water.goal);
-          }
-          if (importedData.water.intake) {
-            localStorage.setItem(STORAGE_KEYS.INTAKE_PREFIX + 'water', importedData.water.intake);
-          }
-          if (importedData.water.history) {
-            localStorage.setItem(STORAGE_KEYS.HISTORY_PREFIX + 'water', importedData.water.history);
-          }
-          
-          // Import protein data
-          if (importedData.protein.goal) {
-            localStorage.setItem(STORAGE_KEYS.GOAL_PREFIX + 'protein', importedData.protein.goal);
-          }
-          if (importedData.protein.intake) {
-            localStorage.setItem(STORAGE_KEYS.INTAKE_PREFIX + 'protein', importedData.protein.intake);
-          }
-          if (importedData.protein.history) {
-            localStorage.setItem(STORAGE_KEYS.HISTORY_PREFIX + 'protein', importedData.protein.history);
-          }
-          
-          // Import workout data if available
-          if (importedData.workout) {
-            if (importedData.workout.state) {
-              localStorage.setItem('workout_state', importedData.workout.state);
-            }
-            if (importedData.workout.count) {
-              localStorage.setItem('workout_count', importedData.workout.count);
-            }
-            if (importedData.workout.history) {
-              localStorage.setItem('workout_history', importedData.workout.history);
-            }
-          }
-          
-          // Import habits data if available
-          if (importedData.habits && importedData.habits.data) {
-            localStorage.setItem('habits_data', importedData.habits.data);
-          }
-          
-          // Import settings
-          if (importedData.settings && importedData.settings.theme) {
-            localStorage.setItem(STORAGE_KEYS.THEME, importedData.settings.theme);
-          }
-          if (importedData.settings && importedData.settings.reminder) {
-            localStorage.setItem(STORAGE_KEYS.REMINDER, importedData.settings.reminder);
-          }
-          
-          utils.showToast('Data imported successfully from CSV! Reloading app...', 'success');
-          
-          // Reload the page to apply imported data
-          setTimeout(() => location.reload(), 1500);
-        } catch (storageError) {
-          // Restore backup if import fails
-          console.error('Storage error during import:', storageError);
-          
-          // Clear localStorage first
-          localStorage.clear();
-          
-          // Restore backup
-          Object.keys(backup).forEach(key => {
-            localStorage.setItem(key, backup[key]);
-          });
-          
-          throw new Error('Error saving imported data. Your previous data has been restored.');
-        }
-      }
-    } catch (error) {
-      utils.showToast(`Error importing data: ${error.message}`, 'error');
-      console.error('Import error:', error);
-    }
-    
-    // Reset the file input
-    event.target.value = '';
-  };
+      body.appendChild(row);
+    });
+  }
   
-  reader.onerror = function() {
-    utils.showToast('Error reading file. Please try again.', 'error');
-    event.target.value = '';
+  content.appendChild(body);
+  
+  const buttons = document.createElement('div');
+  buttons.className = 'modal-buttons';
+  
+  const closeModal = () => {
+    document.body.removeChild(modal);
   };
   
-  reader.readAsText(file);
+  [
+    ['Cancel', 'cancel', closeModal],
+    ['Replace All', 'cancel', () => {
+      closeModal();
+      onReplace();
+    }],
+    ['Merge', 'confirm', () => {
+      closeModal();
+      const merged = mergeManager.mergeSnapshots(local, incoming, choices).snapshot;
+      const writes = {};
+      Object.keys(merged)
+        .filter(key => merged[key] !== local[key])
+        .forEach(key => {
+          writes[key] = merged[key];
+        });
+      writeImportedSnapshot(writes, 'Data merged successfully! Reloading app...');
+    }]
+  ].forEach(([text, className, handler]) => {
+    const button = document.createElement('button');
+    button.className = `modal-button ${className}`;
+    button.textContent = text;
+    button.addEventListener('click', handler);
+    buttons.appendChild(button);
+  });
+  
+  content.appendChild(buttons);
+  modal.appendChild(content);
+  document.body.appendChild(modal);
+}
+
+/**
+ * Trigger a browser download for generated content
+ * @param {string} content - File content
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} mimeType - MIME type of the file
+ */
+function downloadFile(content, fileName, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  
+  // Create download link
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', fileName);
+  
+  // Trigger download
+  document.body.appendChild(link);
+  link.click();
+  
+  // Clean up
+  setTimeout(() => {
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url); // Free memory
+  }, 100);
 }
 
 /**
@@ -608,7 +1999,9 @@ function convertDataToCSV() {
     "name", 
     "color", 
     "completed", 
-    "order"
+    "order",
+    "group",
+    "id"
   ];
   rows.push(headers.join(","));
   
@@ -634,50 +2027,62 @@ function convertDataToCSV() {
   
   // Add version info
   addRow("meta", "version", "2.0");
+  addRow("meta", "schemaVersion", SCHEMA_VERSION);
   addRow("meta", "exportDate", new Date().toISOString());
   
-  // Process water data
-  const waterGoal = localStorage.getItem(STORAGE_KEYS.GOAL_PREFIX + 'water');
-  addRow("water", "goal", waterGoal);
-  
-  const waterIntake = localStorage.getItem(STORAGE_KEYS.INTAKE_PREFIX + 'water');
-  addRow("water", "intake", waterIntake);
+  // Process user-defined tracker definitions, with the unit in the value column
+  trackerRegistry.getCustomDefinitions().forEach(definition => {
+    const row = new Array(headers.length).fill('');
+    row[0] = "tracker_definition";
+    row[1] = definition.type;
+    row[2] = definition.unit;
+    row[8] = definition.name;
+    row[9] = definition.color;
+    rows.push(row.map(escapeCSV).join(','));
+  });
   
-  const waterHistory = JSON.parse(localStorage.getItem(STORAGE_KEYS.HISTORY_PREFIX + 'water') || '{}');
-  Object.entries(waterHistory).forEach(([date, entries]) => {
-    entries.forEach((entry, index) => {
+  // Process tracker data, built-in and user-defined alike, with the tracker in the type column
+  trackerRegistry.getDefinitions().forEach(({ type }) => {
+    [['goal', STORAGE_KEYS.GOAL_PREFIX], ['intake', STORAGE_KEYS.INTAKE_PREFIX]].forEach(([field, prefix]) => {
       const row = new Array(headers.length).fill('');
-      row[0] = "water_history";
-      row[1] = `${date}_${index}`;
-      row[3] = date;
-      row[4] = entry.amount;
-      row[5] = entry.timestamp;
+      row[0] = "tracker";
+      row[1] = field;
+      row[2] = storageManager.getItem(prefix + type);
+      row[6] = type;
       rows.push(row.map(escapeCSV).join(','));
     });
-  });
-  
-  // Process protein data
-  const proteinGoal = localStorage.getItem(STORAGE_KEYS.GOAL_PREFIX + 'protein');
-  addRow("protein", "goal", proteinGoal);
-  
-  const proteinIntake = localStorage.getItem(STORAGE_KEYS.INTAKE_PREFIX + 'protein');
-  addRow("protein", "intake", proteinIntake);
-  
-  const proteinHistory = JSON.parse(localStorage.getItem(STORAGE_KEYS.HISTORY_PREFIX + 'protein') || '{}');
-  Object.entries(proteinHistory).forEach(([date, entries]) => {
-    entries.forEach((entry, index) => {
+    
+    const history = JSON.parse(storageManager.getItem(STORAGE_KEYS.HISTORY_PREFIX + type) || '{}');
+    Object.entries(history).forEach(([date, entries]) => {
+      entries.forEach((entry, index) => {
+        const row = new Array(headers.length).fill('');
+        row[0] = "tracker_history";
+        row[1] = `${date}_${index}`;
+        row[3] = date;
+        row[4] = entry.amount;
+        row[5] = entry.timestamp;
+        row[6] = type;
+        row[8] = entry.label || '';
+        rows.push(row.map(escapeCSV).join(','));
+      });
+    });
+    
+    // Goal schedules, one row per goal version with weekday goals as JSON
+    const goalSchedule = JSON.parse(storageManager.getItem(STORAGE_KEYS.GOAL_SCHEDULE_PREFIX + type) || '[]');
+    goalSchedule.forEach((version, index) => {
       const row = new Array(headers.length).fill('');
-      row[0] = "protein_history";
-      row[1] = `${date}_${index}`;
-      row[3] = date;
-      row[4] = entry.amount;
-      row[5] = entry.timestamp;
+      row[0] = "goal_version";
+      row[1] = `${type}_${index}`;
+      row[2] = JSON.stringify(version.weekdays || {});
+      row[3] = version.effectiveFrom;
+      row[4] = version.default;
+      row[6] = type;
       rows.push(row.map(escapeCSV).join(','));
     });
   });
   
   // Process workout data
-  const workoutState = JSON.parse(localStorage.getItem('workout_state') || '{}');
+  const workoutState = JSON.parse(storageManager.getItem('workout_state') || '{}');
   Object.entries(workoutState).forEach(([type, state]) => {
     const row = new Array(headers.length).fill('');
     row[0] = "workout_state";
@@ -688,7 +2093,7 @@ function convertDataToCSV() {
     rows.push(row.map(escapeCSV).join(','));
   });
   
-  const workoutCount = JSON.parse(localStorage.getItem('workout_count') || '{}');
+  const workoutCount = JSON.parse(storageManager.getItem('workout_count') || '{}');
   Object.entries(workoutCount).forEach(([type, count]) => {
     const row = new Array(headers.length).fill('');
     row[0] = "workout_count";
@@ -698,7 +2103,7 @@ function convertDataToCSV() {
     rows.push(row.map(escapeCSV).join(','));
   });
   
-  const workoutHistory = JSON.parse(localStorage.getItem('workout_history') || '{}');
+  const workoutHistory = JSON.parse(storageManager.getItem('workout_history') || '{}');
   Object.entries(workoutHistory).forEach(([date, entries]) => {
     entries.forEach((entry, index) => {
       const row = new Array(headers.length).fill('');
@@ -708,18 +2113,65 @@ function convertDataToCSV() {
       row[5] = entry.timestamp;
       row[6] = entry.type;
       row[7] = entry.count;
+      // Logged exercises and timed sessions travel as JSON in the value column
+      if (entry.exercises) row[2] = JSON.stringify(entry.exercises);
+      if (entry.kind === 'session') row[2] = JSON.stringify(entry);
       rows.push(row.map(escapeCSV).join(','));
     });
   });
   
+  // Process workout types in tab order, with 'retired' or 'active' in the value column
+  const workoutTypes = JSON.parse(storageManager.getItem('workout_types') || '[]');
+  workoutTypes.forEach((type, index) => {
+    const row = new Array(headers.length).fill('');
+    row[0] = "workout_type";
+    row[1] = index.toString();
+    row[2] = type.retired ? 'retired' : 'active';
+    row[6] = type.id;
+    row[8] = type.name;
+    row[9] = type.color;
+    rows.push(row.map(escapeCSV).join(','));
+  });
+  
+  // Process split templates with their days as JSON, and the split being followed
+  const splitTemplates = JSON.parse(storageManager.getItem('workout_split_templates') || '[]');
+  splitTemplates.forEach(template => {
+    const row = new Array(headers.length).fill('');
+    row[0] = "workout_split_template";
+    row[1] = template.id;
+    row[2] = JSON.stringify(template.days);
+    row[8] = template.name;
+    rows.push(row.map(escapeCSV).join(','));
+  });
+  
+  const activeSplit = JSON.parse(storageManager.getItem('workout_split') || 'null');
+  if (activeSplit) {
+    const row = new Array(headers.length).fill('');
+    row[0] = "workout_split";
+    row[1] = activeSplit.templateId;
+    row[3] = activeSplit.startDate;
+    rows.push(row.map(escapeCSV).join(','));
+  }
+  
   // Process habits data
-  const habitsData = JSON.parse(localStorage.getItem('habits_data') || '[]');
+  const habitsData = JSON.parse(storageManager.getItem('habits_data') || '[]');
   habitsData.forEach((habit, habitIndex) => {
     const row = new Array(headers.length).fill('');
     row[0] = "habit";
     row[1] = habitIndex.toString();
     row[8] = habit.name;
     row[9] = habit.color;
+    // Schedules travel as JSON in the value column
+    if (habit.schedule) row[2] = JSON.stringify(habit.schedule);
+    if (habit.group) row[12] = habit.group;
+    row[13] = habit.id;
+    // Archived habits keep the time they were archived
+    if (habit.archivedAt) row[5] = habit.archivedAt;
+    // Daily targets use the amount column, with the unit in type
+    if (habit.target) {
+      row[4] = habit.target.amount;
+      row[6] = habit.target.unit;
+    }
     rows.push(row.map(escapeCSV).join(','));
     
     // Process habit history
@@ -730,18 +2182,72 @@ function convertDataToCSV() {
         historyRow[1] = `${habitIndex}_${date}`;
         historyRow[2] = status;
         historyRow[3] = date;
+        if (habit.values && habit.values[date] !== undefined) historyRow[4] = habit.values[date];
         rows.push(historyRow.map(escapeCSV).join(','));
       });
     }
+    
+    // Process habit reminders, one row each as JSON
+    if (habit.reminders) {
+      habit.reminders.forEach((reminder, reminderIndex) => {
+        const reminderRow = new Array(headers.length).fill('');
+        reminderRow[0] = "habit_reminder";
+        reminderRow[1] = `${habitIndex}_${reminderIndex}`;
+        reminderRow[2] = JSON.stringify(reminder);
+        rows.push(reminderRow.map(escapeCSV).join(','));
+      });
+    }
+    
+    // Process habit notes
+    if (habit.notes) {
+      Object.entries(habit.notes).forEach(([date, note]) => {
+        const noteRow = new Array(headers.length).fill('');
+        noteRow[0] = "habit_note";
+        noteRow[1] = `${habitIndex}_${date}`;
+        noteRow[2] = note;
+        noteRow[3] = date;
+        rows.push(noteRow.map(escapeCSV).join(','));
+      });
+    }
+  });
+  
+  // Process supplements data, with the schedule as JSON and the dose in the type column
+  const supplementsData = JSON.parse(storageManager.getItem('supplements_data') || '[]');
+  supplementsData.forEach((supplement, supplementIndex) => {
+    const row = new Array(headers.length).fill('');
+    row[0] = "supplement";
+    row[1] = supplementIndex.toString();
+    row[2] = JSON.stringify({
+      times: supplement.times,
+      days: supplement.days,
+      ...(supplement.scheduleVersions && { scheduleVersions: supplement.scheduleVersions })
+    });
+    row[3] = supplement.createdAt;
+    row[6] = supplement.dose;
+    row[8] = supplement.name;
+    rows.push(row.map(escapeCSV).join(','));
+    
+    // Process doses taken, one row per day
+    Object.entries(supplement.taken || {}).forEach(([date, times]) => {
+      const takenRow = new Array(headers.length).fill('');
+      takenRow[0] = "supplement_taken";
+      takenRow[1] = `${supplementIndex}_${date}`;
+      takenRow[2] = JSON.stringify(times);
+      takenRow[3] = date;
+      rows.push(takenRow.map(escapeCSV).join(','));
+    });
   });
   
   // Add settings
-  const theme = localStorage.getItem(STORAGE_KEYS.THEME);
+  const theme = storageManager.getItem(STORAGE_KEYS.THEME);
   addRow("settings", "theme", theme);
   
-  const reminder = localStorage.getItem(STORAGE_KEYS.REMINDER);
+  const reminder = storageManager.getItem(STORAGE_KEYS.REMINDER);
   addRow("settings", "reminder", reminder);
   
+  const workoutResetRule = storageManager.getItem('workout_reset_rule');
+  addRow("settings", "workoutResetRule", workoutResetRule);
+  
   return rows.join('\n');
 }
 
@@ -752,7 +2258,7 @@ function convertDataToCSV() {
  */
 function parseCSVData(csvData) {
   // Split the CSV into rows and process header
-  const rows = csvData.split(/\r?\n/);
+  const rows = splitCSVRows(csvData);
   if (rows.length < 2) throw new Error('Invalid CSV file format');
   
   const headers = parseCSVRow(rows[0]);
@@ -764,29 +2270,37 @@ function parseCSVData(csvData) {
   // Initialize data structure
   const importedData = {
     version: "2.0",
+    schemaVersion: 0,
     exportDate: new Date().toISOString(),
-    water: {
-      goal: null,
-      intake: null,
-      history: {}
-    },
-    protein: {
-      goal: null,
-      intake: null,
-      history: {}
-    },
+    trackerDefinitions: [],
+    trackers: {},
     workout: {
       state: {},
       count: {},
-      history: {}
+      history: {},
+      types: [],
+      splitTemplates: [],
+      split: null
     },
     habits: {
       data: []
     },
+    supplements: {
+      data: []
+    },
     settings: {
       theme: null,
-      reminder: null
+      reminder: null,
+      workoutResetRule: null
+    }
+  };
+  
+  // Tracker data is collected by type, whether or not the tracker is defined yet
+  const getTracker = (type) => {
+    if (!importedData.trackers[type]) {
+      importedData.trackers[type] = { goal: null, intake: null, history: {}, goalSchedule: [] };
     }
+    return importedData.trackers[type];
   };
   
   // Process each data row
@@ -801,47 +2315,68 @@ function parseCSVData(csvData) {
     switch (dataType) {
       case 'meta':
         if (key === 'version') importedData.version = value;
+        if (key === 'schemaVersion') importedData.schemaVersion = parseInt(value) || 0;
         if (key === 'exportDate') importedData.exportDate = value;
         break;
         
-      case 'water':
-        if (key === 'goal') importedData.water.goal = value;
-        if (key === 'intake') importedData.water.intake = value;
-        break;
-        
-      case 'water_history':
-        const waterDate = row[headerMap.date];
-        const waterAmount = parseInt(row[headerMap.amount]);
-        const waterTimestamp = row[headerMap.timestamp];
-        
-        if (!importedData.water.history[waterDate]) {
-          importedData.water.history[waterDate] = [];
-        }
+      case 'tracker_definition':
+        const definitionName = row[headerMap.name];
+        const definitionColor = row[headerMap.color];
+        if (!/^[a-z0-9-]+$/.test(key) || trackerRegistry.RESERVED_TYPES.includes(key) || !definitionName) break;
+        if (importedData.trackerDefinitions.some(definition => definition.type === key)) break;
         
-        importedData.water.history[waterDate].push({
-          amount: waterAmount,
-          timestamp: waterTimestamp
+        importedData.trackerDefinitions.push({
+          type: key,
+          name: definitionName,
+          unit: value,
+          color: /^#[0-9a-f]{6}$/i.test(definitionColor) ? definitionColor : '#FF9800'
         });
         break;
         
+      // Files exported before user-defined trackers have one row type per tracker
+      case 'water':
       case 'protein':
-        if (key === 'goal') importedData.protein.goal = value;
-        if (key === 'intake') importedData.protein.intake = value;
+      case 'tracker':
+        const tracker = getTracker(dataType === 'tracker' ? row[headerMap.type] : dataType);
+        if (key === 'goal') tracker.goal = value;
+        if (key === 'intake') tracker.intake = value;
         break;
         
+      case 'water_history':
       case 'protein_history':
-        const proteinDate = row[headerMap.date];
-        const proteinAmount = parseInt(row[headerMap.amount]);
-        const proteinTimestamp = row[headerMap.timestamp];
+      case 'tracker_history':
+        const trackerHistory = getTracker(dataType === 'tracker_history' ? row[headerMap.type] : dataType.replace('_history', '')).history;
+        const entryDate = row[headerMap.date];
         
-        if (!importedData.protein.history[proteinDate]) {
-          importedData.protein.history[proteinDate] = [];
+        if (!trackerHistory[entryDate]) {
+          trackerHistory[entryDate] = [];
         }
         
-        importedData.protein.history[proteinDate].push({
-          amount: proteinAmount,
-          timestamp: proteinTimestamp
-        });
+        const historyEntry = {
+          amount: parseInt(row[headerMap.amount]),
+          timestamp: row[headerMap.timestamp]
+        };
+        // Preset labels are optional and absent from older exports
+        if (row[headerMap.name]) {
+          historyEntry.label = row[headerMap.name];
+        }
+        trackerHistory[entryDate].push(historyEntry);
+        break;
+        
+      case 'goal_version':
+        const goalType = row[headerMap.type];
+        const goalFrom = row[headerMap.date];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(goalFrom) || !(parseInt(row[headerMap.amount]) > 0)) break;
+        
+        try {
+          getTracker(goalType).goalSchedule.push({
+            effectiveFrom: goalFrom,
+            default: parseInt(row[headerMap.amount]),
+            weekdays: JSON.parse(value || '{}')
+          });
+        } catch (e) {
+          console.error(`Unable to read weekday goals for ${goalType}:`, e);
+        }
         break;
         
       case 'workout_state':
@@ -872,13 +2407,81 @@ function parseCSVData(csvData) {
           importedData.workout.history[workoutDate] = [];
         }
         
-        importedData.workout.history[workoutDate].push({
+        const workoutEntry = {
           type: entryType,
           count: entryCount,
           timestamp: entryTimestamp
+        };
+        
+        let workoutValue = null;
+        if (value) {
+          try {
+            workoutValue = JSON.parse(value);
+          } catch (e) {
+            console.error(`Unable to read exercises for workout on ${workoutDate}:`, e);
+          }
+        }
+        
+        if (Array.isArray(workoutValue)) {
+          if (mergeManager.isValidExerciseLog(workoutValue)) {
+            workoutEntry.exercises = workoutValue;
+          } else {
+            console.error(`Unable to read exercises for workout on ${workoutDate}: malformed exercise log`);
+          }
+        }
+        
+        // Timed sessions are stored whole
+        if (workoutValue && workoutValue.kind === 'session') {
+          if (Array.isArray(workoutValue.types) && typeof workoutValue.duration === 'number') {
+            importedData.workout.history[workoutDate].push(workoutValue);
+          } else {
+            console.error(`Unable to read session on ${workoutDate}: malformed session`);
+          }
+          break;
+        }
+        
+        importedData.workout.history[workoutDate].push(workoutEntry);
+        break;
+        
+      case 'workout_type':
+        const typeName = (row[headerMap.name] || '').trim();
+        const typeColor = row[headerMap.color];
+        const typeId = row[headerMap.type];
+        if (!typeName || importedData.workout.types.some(type => type.name.toLowerCase() === typeName.toLowerCase())) break;
+        
+        importedData.workout.types.push({
+          ...(typeId && !importedData.workout.types.some(type => type.id === typeId) && { id: typeId }),
+          name: typeName,
+          color: /^#[0-9a-f]{6}$/i.test(typeColor) ? typeColor : '#FF9800',
+          retired: value === 'retired'
         });
         break;
         
+      case 'workout_split_template':
+        try {
+          const days = JSON.parse(value);
+          const validDays = Array.isArray(days) && days.every(day => day && typeof day.name === 'string' &&
+            Array.isArray(day.types) && day.types.every(type => typeof type === 'string'));
+          if (!key || !row[headerMap.name] || !validDays) {
+            throw new Error(`Malformed split template ${key}`);
+          }
+          
+          importedData.workout.splitTemplates.push({
+            id: key,
+            name: row[headerMap.name],
+            days: days.map(day => ({ name: day.name, types: day.types }))
+          });
+        } catch (e) {
+          console.error('Unable to read split template:', e);
+        }
+        break;
+        
+      case 'workout_split':
+        if (key && /^\d{4}-\d{2}-\d{2}$/.test(row[headerMap.date])) {
+          importedData.workout.split = { templateId: key, startDate: row[headerMap.date] };
+        }
+        break;
+        
       case 'habit':
         const habitIndex = parseInt(key);
         const habitName = row[headerMap.name];
@@ -889,10 +2492,53 @@ function parseCSVData(csvData) {
         }
         
         importedData.habits.data[habitIndex] = {
+          ...(row[headerMap.id] && { id: row[headerMap.id] }),
           name: habitName,
           color: habitColor,
-          history: importedData.habits.data[habitIndex].history || {}
+          history: importedData.habits.data[habitIndex].history || {},
+          ...(importedData.habits.data[habitIndex].values && { values: importedData.habits.data[habitIndex].values }),
+          ...(importedData.habits.data[habitIndex].notes && { notes: importedData.habits.data[habitIndex].notes }),
+          ...(importedData.habits.data[habitIndex].reminders && { reminders: importedData.habits.data[habitIndex].reminders })
         };
+        
+        if (row[headerMap.group]) {
+          importedData.habits.data[habitIndex].group = row[headerMap.group];
+        }
+        
+        if (row[headerMap.timestamp]) {
+          importedData.habits.data[habitIndex].archivedAt = row[headerMap.timestamp];
+        }
+        
+        if (row[headerMap.amount]) {
+          importedData.habits.data[habitIndex].target = {
+            amount: parseFloat(row[headerMap.amount]),
+            unit: row[headerMap.type] || ''
+          };
+          if (!importedData.habits.data[habitIndex].values) {
+            importedData.habits.data[habitIndex].values = {};
+          }
+        }
+        
+        // A schedule that can't be read leaves the habit due every day
+        if (value) {
+          try {
+            const schedule = JSON.parse(value);
+            const validSchedule = schedule && (
+              schedule.type === 'daily' ||
+              (schedule.type === 'weekdays' && Array.isArray(schedule.days) && schedule.days.length > 0 &&
+                schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) ||
+              (schedule.type === 'weekly' && Number.isInteger(schedule.times) && schedule.times >= 1 && schedule.times <= 6) ||
+              (schedule.type === 'interval' && Number.isInteger(schedule.every) && schedule.every >= 2 && schedule.every <= 365 &&
+                /^\d{4}-\d{2}-\d{2}$/.test(schedule.start)));
+            if (!validSchedule) {
+              throw new Error(`Malformed schedule ${value}`);
+            }
+            
+            importedData.habits.data[habitIndex].schedule = schedule;
+          } catch (e) {
+            console.error(`Unable to read schedule for habit ${habitName}:`, e);
+          }
+        }
         break;
         
       case 'habit_history':
@@ -909,41 +2555,176 @@ function parseCSVData(csvData) {
         }
         
         importedData.habits.data[idx].history[historyDate] = status;
+        
+        if (row[headerMap.amount]) {
+          if (!importedData.habits.data[idx].values) {
+            importedData.habits.data[idx].values = {};
+          }
+          importedData.habits.data[idx].values[historyDate] = parseFloat(row[headerMap.amount]);
+        }
+        break;
+        
+      case 'habit_reminder':
+        const reminderIdx = parseInt(key.split('_')[0]);
+        while (importedData.habits.data.length <= reminderIdx) {
+          importedData.habits.data.push({ history: {} });
+        }
+        
+        try {
+          const reminder = JSON.parse(value);
+          const validDays = Array.isArray(reminder.days) && reminder.days.length > 0 &&
+            reminder.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+          if (!/^\d{2}:\d{2}$/.test(reminder.time) || !validDays) {
+            throw new Error(`Malformed reminder ${value}`);
+          }
+          
+          const reminderHabit = importedData.habits.data[reminderIdx];
+          reminderHabit.reminders = [...(reminderHabit.reminders || []), { time: reminder.time, days: reminder.days }];
+        } catch (e) {
+          console.error('Unable to read habit reminder:', e);
+        }
+        break;
+        
+      case 'habit_note':
+        const [noteHabitIdx, noteDate] = key.split('_');
+        
+        const noteIdx = parseInt(noteHabitIdx);
+        while (importedData.habits.data.length <= noteIdx) {
+          importedData.habits.data.push({ history: {} });
+        }
+        
+        if (!importedData.habits.data[noteIdx].notes) {
+          importedData.habits.data[noteIdx].notes = {};
+        }
+        
+        importedData.habits.data[noteIdx].notes[noteDate] = value;
+        break;
+        
+      case 'supplement':
+        const supplementIndex = parseInt(key);
+        while (importedData.supplements.data.length <= supplementIndex) {
+          importedData.supplements.data.push({ taken: {} });
+        }
+        
+        try {
+          const { times, days, scheduleVersions } = JSON.parse(value);
+          if (!mergeManager.isValidSupplementSchedule(times, days)) {
+            throw new Error(`Malformed schedule ${value}`);
+          }
+          
+          importedData.supplements.data[supplementIndex] = {
+            name: row[headerMap.name],
+            dose: row[headerMap.type],
+            times,
+            days,
+            taken: importedData.supplements.data[supplementIndex].taken,
+            ...(row[headerMap.date] && { createdAt: row[headerMap.date] }),
+            // Past schedules that can't be read are dropped, so every day counts against the current one
+            ...(mergeManager.isValidScheduleVersions(scheduleVersions) && { scheduleVersions })
+          };
+        } catch (e) {
+          console.error(`Unable to read schedule for supplement ${row[headerMap.name]}:`, e);
+        }
+        break;
+        
+      case 'supplement_taken':
+        const [takenSupplementIdx, takenDate] = key.split('_');
+        
+        const takenIdx = parseInt(takenSupplementIdx);
+        while (importedData.supplements.data.length <= takenIdx) {
+          importedData.supplements.data.push({ taken: {} });
+        }
+        
+        try {
+          const takenTimes = JSON.parse(value);
+          if (!mergeManager.isValidSupplementSchedule(takenTimes, [0])) {
+            throw new Error(`Malformed dose times ${value}`);
+          }
+          
+          importedData.supplements.data[takenIdx].taken[takenDate] = takenTimes;
+        } catch (e) {
+          console.error(`Unable to read doses taken on ${takenDate}:`, e);
+        }
         break;
         
       case 'settings':
         if (key === 'theme') importedData.settings.theme = value;
         if (key === 'reminder') importedData.settings.reminder = value;
+        if (key === 'workoutResetRule' && ['all-done', 'weekly', 'manual'].includes(value)) {
+          importedData.settings.workoutResetRule = value;
+        }
         break;
     }
   }
   
+  // Keep data only for built-in trackers and those defined in the file
+  const trackerTypes = [
+    ...trackerRegistry.BUILT_IN.map(definition => definition.type),
+    ...importedData.trackerDefinitions.map(definition => definition.type)
+  ];
+  const trackers = {};
+  trackerTypes.filter(type => importedData.trackers[type]).forEach(type => {
+    const tracker = importedData.trackers[type];
+    trackers[type] = {
+      goal: tracker.goal,
+      intake: tracker.intake,
+      history: JSON.stringify(tracker.history),
+      goalSchedule: tracker.goalSchedule.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))
+    };
+  });
+  
   // Convert the parsed data to the format expected by the importData function
   return {
     version: importedData.version,
+    schemaVersion: importedData.schemaVersion,
     exportDate: importedData.exportDate,
-    water: {
-      goal: importedData.water.goal,
-      intake: importedData.water.intake,
-      history: JSON.stringify(importedData.water.history)
-    },
-    protein: {
-      goal: importedData.protein.goal,
-      intake: importedData.protein.intake,
-      history: JSON.stringify(importedData.protein.history)
-    },
+    trackerDefinitions: importedData.trackerDefinitions,
+    trackers,
     workout: {
       state: JSON.stringify(importedData.workout.state),
       count: JSON.stringify(importedData.workout.count),
-      history: JSON.stringify(importedData.workout.history)
+      history: JSON.stringify(importedData.workout.history),
+      types: importedData.workout.types,
+      splitTemplates: importedData.workout.splitTemplates,
+      split: importedData.workout.split
     },
     habits: {
       data: JSON.stringify(importedData.habits.data)
     },
+    supplements: {
+      // Drop supplements whose row could not be read
+      data: JSON.stringify(importedData.supplements.data.filter(supplement => supplement.name))
+    },
     settings: importedData.settings
   };
 }
 
+/**
+ * Split CSV text into rows, keeping line breaks inside quoted values (e.g. notes)
+ * @param {string} csvData - CSV data as string
+ * @returns {Array<string>} - Rows
+ */
+function splitCSVRows(csvData) {
+  const rows = [];
+  let pending = null;
+  
+  csvData.split(/\r?\n/).forEach(line => {
+    const row = pending === null ? line : `${pending}\n${line}`;
+    
+    // An odd number of quotes means a quoted value carries on to the next line
+    if ((row.match(/"/g) || []).length % 2 === 1) {
+      pending = row;
+      return;
+    }
+    
+    pending = null;
+    rows.push(row);
+  });
+  
+  if (pending !== null) rows.push(pending);
+  return rows;
+}
+
 /**
  * Parse a single CSV row, handling quoted values correctly
  * @param {string} row - CSV row
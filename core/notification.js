@@ -8,17 +8,279 @@ const NOTIFICATION_STORAGE_KEYS = {
   SUPPLEMENTS_REMINDER: 'notification_supplements',
   WATER_ALERT: 'notification_water_alert',
   PROTEIN_ALERT: 'notification_protein_alert',
-  WATER_INTERVAL: 'notification_water_interval'
+  WATER_INTERVAL: 'notification_water_interval',
+  // Per-tracker keys for any tracker type (water and protein match the keys above)
+  trackerAlert: (type) => `notification_${type}_alert`,
+  trackerInterval: (type) => `notification_${type}_interval`
 };
 
-// Global reminder interval
-let globalReminderInterval = null;
+/**
+ * Reminder engine. Every scheduled reminder is a definition:
+ *   id        - Unique id, e.g. 'water-alert', 'habit:<habit id>:0' or 'supplement:Zinc:08:00'
+ *   target    - What it reminds about: 'supplements', a tracker type or 'habits'
+ *   time      - 'HH:MM' for a daily reminder, or
+ *   every     - Minutes between reminders for an interval reminder, or
+ *   at        - Date or ISO string for a one-shot reminder, removed once it fires
+ *   days      - Weekdays it fires on (0 = Sunday), every day if omitted
+ *   condition - Optional, returns false to stay quiet (e.g. goal already met)
+ *   message   - {title, body}, or a function returning one when it fires
+ *   send      - Optional, sends the message instead of sendNotification
+ * Timers are planned from the engine's clock, which tests can replace with
+ * a fake one, and everything is re-planned when the day changes.
+ */
+const reminderEngine = {
+  definitions: {},
+  timers: {},
+  dayTimer: null,
+  clock: {
+    now: () => new Date(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (timer) => clearTimeout(timer)
+  },
+  
+  /**
+   * Add or replace a reminder and schedule it
+   * @param {Object} definition - Reminder definition (see above)
+   */
+  register(definition) {
+    this.definitions[definition.id] = definition;
+    this.schedule(definition.id);
+    this.watchDayChange();
+  },
+  
+  /**
+   * Remove a reminder and its timer
+   * @param {string} id - Reminder id
+   */
+  unregister(id) {
+    this.clearTimer(id);
+    delete this.definitions[id];
+  },
+  
+  /**
+   * Remove every reminder for a target
+   * @param {string} target - Reminder target
+   */
+  unregisterTarget(target) {
+    this.getDefinitions(target).forEach(({ id }) => this.unregister(id));
+  },
+  
+  /**
+   * Get registered reminders
+   * @param {string} [target] - Only reminders for this target
+   * @returns {Array<Object>} Reminder definitions
+   */
+  getDefinitions(target) {
+    return Object.values(this.definitions).filter(definition => !target || definition.target === target);
+  },
+  
+  /**
+   * Plan a reminder's timer for its next time
+   * @param {string} id - Reminder id
+   */
+  schedule(id) {
+    this.clearTimer(id);
+    
+    const definition = this.definitions[id];
+    if (!definition) return;
+    
+    const now = this.clock.now();
+    const nextTime = this.getNextTime(definition, now);
+    if (!nextTime) return;
+    
+    this.timers[id] = this.clock.setTimeout(() => {
+      delete this.timers[id];
+      this.fire(id);
+      
+      if (definition.at) {
+        this.unregister(id);
+      } else {
+        this.schedule(id);
+      }
+    }, nextTime - now);
+  },
+  
+  /**
+   * Re-plan every reminder, e.g. after the day changes
+   */
+  scheduleAll() {
+    Object.keys(this.definitions).forEach(id => this.schedule(id));
+  },
+  
+  /**
+   * Send a reminder now if its condition allows
+   * @param {string} id - Reminder id
+   * @returns {boolean} True if the reminder was sent
+   */
+  fire(id) {
+    const definition = this.definitions[id];
+    if (!definition) return false;
+    if (definition.condition && !definition.condition()) return false;
+    
+    const message = typeof definition.message === 'function' ? definition.message() : definition.message;
+    if (definition.send) {
+      definition.send(message);
+    } else {
+      sendNotification(message.title, message.body);
+    }
+    return true;
+  },
+  
+  /**
+   * Find when a reminder is next due
+   * @param {Object} definition - Reminder definition
+   * @param {Date} now - Current time
+   * @returns {Date|null} Next time within a week, or null if it never fires
+   */
+  getNextTime(definition, now) {
+    if (definition.at) {
+      const time = new Date(definition.at);
+      return time > now ? time : null;
+    }
+    
+    const days = definition.days || [0, 1, 2, 3, 4, 5, 6];
+    
+    if (definition.every) {
+      const nextTime = new Date(now.getTime() + definition.every * 60 * 1000);
+      return days.includes(nextTime.getDay()) ? nextTime : null;
+    }
+    
+    const [hours, minutes] = definition.time.split(':').map(Number);
+    for (let i = 0; i <= 7; i++) {
+      const time = new Date(now.getFullYear(), now.getMonth(), now.getDate() + i, hours, minutes);
+      if (time > now && days.includes(time.getDay())) {
+        return time;
+      }
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Re-plan everything shortly after midnight, so day-based conditions and
+   * interval reminders paused on off days pick up the new day
+   */
+  watchDayChange() {
+    if (this.dayTimer) return;
+    
+    const now = this.clock.now();
+    const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 0, 1);
+    
+    this.dayTimer = this.clock.setTimeout(() => {
+      this.dayTimer = null;
+      this.scheduleAll();
+      this.watchDayChange();
+    }, midnight - now);
+  },
+  
+  /**
+   * Stop a reminder's timer
+   * @param {string} id - Reminder id
+   */
+  clearTimer(id) {
+    if (this.timers[id]) {
+      this.clock.clearTimeout(this.timers[id]);
+      delete this.timers[id];
+    }
+  },
+  
+  /**
+   * Swap the clock, e.g. for a fake one in tests, and re-plan every timer on it
+   * @param {Object} clock - {now, setTimeout, clearTimeout}
+   */
+  useClock(clock) {
+    Object.keys(this.timers).forEach(id => this.clearTimer(id));
+    if (this.dayTimer) {
+      this.clock.clearTimeout(this.dayTimer);
+      this.dayTimer = null;
+    }
+    
+    this.clock = clock;
+    this.scheduleAll();
+    if (Object.keys(this.definitions).length > 0) {
+      this.watchDayChange();
+    }
+  }
+};
 
-// Scheduled notification timers
-let supplementsMorningTimer = null;
-let supplementsEveningTimer = null;
-let waterAlertTimer = null;
-let proteinAlertTimer = null;
+/**
+ * Check the engine's scheduling on a fake clock, using a copy of the engine so
+ * the reminders in use are left alone. Run checkReminderEngine() from the
+ * console; it returns the checks that failed (none when everything passes).
+ * @returns {Array<string>} Failed checks
+ */
+function checkReminderEngine() {
+  // Saturday 6 January 2024, 08:00
+  let now = new Date(2024, 0, 6, 8, 0);
+  let timers = [];
+  const clock = {
+    now: () => new Date(now),
+    setTimeout: (callback, delay) => {
+      const timer = { at: now.getTime() + delay, callback };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout: (timer) => {
+      timers = timers.filter(other => other !== timer);
+    }
+  };
+  
+  // Move the clock forward, running timers in the order they fall due
+  const advance = (hours) => {
+    const end = now.getTime() + hours * 60 * 60 * 1000;
+    for (;;) {
+      const timer = timers.filter(candidate => candidate.at <= end).sort((a, b) => a.at - b.at)[0];
+      if (!timer) break;
+      
+      timers = timers.filter(other => other !== timer);
+      now = new Date(timer.at);
+      timer.callback();
+    }
+    now = new Date(end);
+  };
+  
+  const engine = { ...reminderEngine, definitions: {}, timers: {}, dayTimer: null, clock };
+  const sent = [];
+  const register = (definition) => engine.register({
+    target: 'check',
+    message: { title: definition.id, body: '' },
+    send: () => sent.push({ id: definition.id, day: now.getDay(), hour: now.getHours() }),
+    ...definition
+  });
+  const sentFor = (id) => sent.filter(reminder => reminder.id === id);
+  
+  register({ id: 'daily', time: '09:00' });
+  register({ id: 'weekdays', time: '09:30', days: [1, 2, 3, 4, 5] });
+  register({ id: 'quiet', time: '10:00', condition: () => false });
+  // Registered on a Saturday, so only the day change can start it on Monday
+  register({ id: 'monday-interval', every: 60, days: [1] });
+  register({ id: 'one-shot', at: new Date(2024, 0, 6, 8, 1, 30) });
+  
+  // Saturday 08:00 to Tuesday 08:00
+  advance(72);
+  
+  const failures = [];
+  const check = (description, passed) => {
+    if (!passed) failures.push(description);
+  };
+  
+  check('register: a daily reminder fires at its time every day',
+    sentFor('daily').length === 3 && sentFor('daily').every(reminder => reminder.hour === 9));
+  check('day filter: a weekday reminder skips the weekend',
+    sentFor('weekdays').length === 1 && sentFor('weekdays')[0].day === 1);
+  check('condition: a reminder whose condition fails stays quiet', sentFor('quiet').length === 0);
+  check('watchDayChange: an interval reminder starts on its day and stops after it',
+    sentFor('monday-interval').length > 0 && sentFor('monday-interval').every(reminder => reminder.day === 1));
+  check('at: a one-shot reminder fires once and is removed',
+    sentFor('one-shot').length === 1 && !engine.definitions['one-shot']);
+  check('unregister: removing a reminder clears its timer', (() => {
+    engine.unregister('daily');
+    advance(24);
+    return sentFor('daily').length === 3 && !engine.timers.daily;
+  })());
+  
+  return failures;
+}
 
 /**
  * Initialize global notifications
@@ -35,6 +297,9 @@ function initializeGlobalNotifications() {
   
   // Schedule notifications based on saved preferences
   scheduleAllNotifications();
+  
+  // Habit reminders follow habits being added, edited, archived or deleted
+  document.addEventListener('habits-changed', scheduleHabitReminders);
 }
 
 /**
@@ -44,11 +309,11 @@ function initializeNotificationToggles() {
   // Supplements reminder toggle
   const supplementsToggle = document.getElementById('supplements-reminder-toggle');
   if (supplementsToggle) {
-    const isEnabled = localStorage.getItem(NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER) === 'true';
+    const isEnabled = storageManager.getItem(NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER) === 'true';
     supplementsToggle.checked = isEnabled;
     
     supplementsToggle.addEventListener('change', (e) => {
-      localStorage.setItem(NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER, e.target.checked);
+      storageManager.setItem(NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER, e.target.checked);
       if (e.target.checked) {
         scheduleSupplementsReminders();
         utils.showToast('Supplements reminders enabled', 'success');
@@ -59,41 +324,25 @@ function initializeNotificationToggles() {
     });
   }
   
-  // Water alert toggle
-  const waterToggle = document.getElementById('water-reminder-toggle');
-  if (waterToggle) {
-    const isEnabled = localStorage.getItem(NOTIFICATION_STORAGE_KEYS.WATER_ALERT) === 'true';
-    waterToggle.checked = isEnabled;
+  // Goal alert toggles for every tracker
+  trackerRegistry.getDefinitions().forEach(definition => {
+    const toggle = document.getElementById(`${definition.type}-reminder-toggle`);
+    if (!toggle) return;
     
-    waterToggle.addEventListener('change', (e) => {
-      localStorage.setItem(NOTIFICATION_STORAGE_KEYS.WATER_ALERT, e.target.checked);
-      if (e.target.checked) {
-        scheduleWaterAlert();
-        utils.showToast('Water intake alert enabled', 'success');
-      } else {
-        clearWaterAlert();
-        utils.showToast('Water intake alert disabled', 'info');
-      }
-    });
-  }
-  
-  // Protein alert toggle
-  const proteinToggle = document.getElementById('protein-reminder-toggle');
-  if (proteinToggle) {
-    const isEnabled = localStorage.getItem(NOTIFICATION_STORAGE_KEYS.PROTEIN_ALERT) === 'true';
-    proteinToggle.checked = isEnabled;
+    const alertKey = NOTIFICATION_STORAGE_KEYS.trackerAlert(definition.type);
+    toggle.checked = storageManager.getItem(alertKey) === 'true';
     
-    proteinToggle.addEventListener('change', (e) => {
-      localStorage.setItem(NOTIFICATION_STORAGE_KEYS.PROTEIN_ALERT, e.target.checked);
+    toggle.addEventListener('change', (e) => {
+      storageManager.setItem(alertKey, e.target.checked);
       if (e.target.checked) {
-        scheduleProteinAlert();
-        utils.showToast('Protein intake alert enabled', 'success');
+        scheduleTrackerAlert(definition.type);
+        utils.showToast(`${definition.name} intake alert enabled`, 'success');
       } else {
-        clearProteinAlert();
-        utils.showToast('Protein intake alert disabled', 'info');
+        clearTrackerAlert(definition.type);
+        utils.showToast(`${definition.name} intake alert disabled`, 'info');
       }
     });
-  }
+  });
 }
 
 /**
@@ -106,232 +355,314 @@ function scheduleAllNotifications() {
   }
   
   // Schedule supplements reminders if enabled
-  if (localStorage.getItem(NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER) === 'true') {
+  if (storageManager.getItem(NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER) === 'true') {
     scheduleSupplementsReminders();
   }
   
-  // Schedule water alert if enabled
-  if (localStorage.getItem(NOTIFICATION_STORAGE_KEYS.WATER_ALERT) === 'true') {
-    scheduleWaterAlert();
-  }
+  // Schedule the reminders set on habits
+  scheduleHabitReminders();
   
-  // Schedule protein alert if enabled
-  if (localStorage.getItem(NOTIFICATION_STORAGE_KEYS.PROTEIN_ALERT) === 'true') {
-    scheduleProteinAlert();
+  // Schedule the global reminder if one was saved
+  const globalInterval = parseInt(storageManager.getItem(STORAGE_KEYS.REMINDER));
+  if (globalInterval > 0) {
+    startGlobalReminder(globalInterval);
   }
   
-  // Schedule water interval reminder if enabled
-  const interval = localStorage.getItem(NOTIFICATION_STORAGE_KEYS.WATER_INTERVAL);
-  if (interval) {
-    startWaterIntervalReminder(parseInt(interval));
-  }
+  trackerRegistry.getDefinitions().forEach(({ type }) => {
+    // Schedule goal alert if enabled
+    if (storageManager.getItem(NOTIFICATION_STORAGE_KEYS.trackerAlert(type)) === 'true') {
+      scheduleTrackerAlert(type);
+    }
+    
+    // Schedule interval reminder if enabled
+    const interval = storageManager.getItem(NOTIFICATION_STORAGE_KEYS.trackerInterval(type));
+    if (interval) {
+      startIntervalReminder(type, parseInt(interval));
+    }
+  });
+}
+
+/**
+ * Supplements to schedule reminders for, preferring the tracker's in-memory list
+ * @returns {Array<Object>} Supplements
+ */
+function getReminderSupplements() {
+  if (window.supplementsTracker) return window.supplementsTracker.supplements;
+  return JSON.parse(storageManager.getItem('supplements_data') || '[]');
 }
 
 /**
- * Schedule supplements reminders (9am and 10pm)
+ * Schedule a reminder for every supplement dose, replacing any already
+ * scheduled. Nothing is scheduled while the supplements toggle is off.
  */
 function scheduleSupplementsReminders() {
   clearSupplementsReminders();
   
-  const now = new Date();
-  const morningTime = new Date(now);
-  morningTime.setHours(9, 0, 0, 0);
+  if (storageManager.getItem(NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER) !== 'true') {
+    return;
+  }
   
-  const eveningTime = new Date(now);
-  eveningTime.setHours(22, 0, 0, 0);
+  getReminderSupplements().forEach(supplement => {
+    const name = supplement.name;
+    const dose = supplement.dose ? ` (${supplement.dose})` : '';
+    
+    supplement.times.forEach(time => {
+      reminderEngine.register({
+        id: `supplement:${name}:${time}`,
+        target: 'supplements',
+        time,
+        days: supplement.days,
+        condition: () => isSupplementDosePending(name, time),
+        message: { title: 'Supplements Reminder', body: `Time to take ${name}${dose}` },
+        send: (message) => sendSupplementReminder(name, time, message)
+      });
+    });
+  });
+}
+
+/**
+ * Check whether a supplement dose is still to be taken today
+ * @param {string} name - Supplement name
+ * @param {string} time - Dose time ('HH:MM')
+ * @returns {boolean} True if a reminder should go out
+ */
+function isSupplementDosePending(name, time) {
+  const supplement = getReminderSupplements().find(candidate => candidate.name === name);
+  if (!supplement || !supplement.times.includes(time)) return false;
   
-  // If times have passed for today, schedule for tomorrow
-  if (now > morningTime) {
-    morningTime.setDate(morningTime.getDate() + 1);
-  }
+  const dateKey = utils.formatDate(reminderEngine.clock.now());
+  if (supplement.createdAt && dateKey < supplement.createdAt) return false;
   
-  if (now > eveningTime) {
-    eveningTime.setDate(eveningTime.getDate() + 1);
-  }
+  return !((supplement.taken && supplement.taken[dateKey]) || []).includes(time);
+}
+
+/**
+ * Send a supplement reminder with a "Mark taken" action
+ * @param {string} name - Supplement name
+ * @param {string} time - Dose time ('HH:MM')
+ * @param {{title: string, body: string}} message - Notification message
+ */
+function sendSupplementReminder(name, time, message) {
+  const dateKey = utils.formatDate(reminderEngine.clock.now());
   
-  // Schedule morning reminder
-  const morningDelay = morningTime - now;
-  supplementsMorningTimer = setTimeout(() => {
-    sendNotification('Supplements Reminder', 'Time to take your morning supplements');
-    // Reschedule for next day
-    const nextDay = new Date();
-    nextDay.setDate(nextDay.getDate() + 1);
-    nextDay.setHours(9, 0, 0, 0);
-    const nextDelay = nextDay - new Date();
-    supplementsMorningTimer = setTimeout(() => scheduleSupplementsReminders(), nextDelay);
-  }, morningDelay);
-  
-  // Schedule evening reminder
-  const eveningDelay = eveningTime - now;
-  supplementsEveningTimer = setTimeout(() => {
-    sendNotification('Supplements Reminder', 'Time to take your evening supplements');
-    // No need to reschedule here as the morning reminder will reschedule both
-  }, eveningDelay);
+  sendActionReminder(message, {
+    tag: `supplement-reminder-${name}-${time}`,
+    data: { type: 'supplement-taken', supplement: name, time, date: dateKey },
+    action: { action: 'supplement-taken', title: 'Mark taken' },
+    onAction: () => window.supplementsTracker.markDoseTaken(name, time, dateKey)
+  });
 }
 
 /**
  * Clear supplements reminders
  */
 function clearSupplementsReminders() {
-  if (supplementsMorningTimer) {
-    clearTimeout(supplementsMorningTimer);
-    supplementsMorningTimer = null;
-  }
-  
-  if (supplementsEveningTimer) {
-    clearTimeout(supplementsEveningTimer);
-    supplementsEveningTimer = null;
-  }
+  reminderEngine.unregisterTarget('supplements');
 }
 
 /**
- * Schedule water alert at 8pm
+ * Schedule a tracker's goal alert at 8pm
+ * @param {string} type - Tracker type
  */
-function scheduleWaterAlert() {
-  clearWaterAlert();
-  
-  const now = new Date();
-  const alertTime = new Date(now);
-  alertTime.setHours(20, 0, 0, 0);
-  
-  // If time has passed for today, schedule for tomorrow
-  if (now > alertTime) {
-    alertTime.setDate(alertTime.getDate() + 1);
-  }
+function scheduleTrackerAlert(type) {
+  reminderEngine.register({
+    id: `${type}-alert`,
+    target: type,
+    time: '20:00',
+    condition: () => isTrackerGoalMissed(type),
+    message: () => getTrackerAlertMessage(type)
+  });
+}
+
+/**
+ * Check whether a tracker is still short of its daily goal
+ * @param {string} type - Tracker type
+ * @returns {boolean} True if the goal is set and not yet met
+ */
+function isTrackerGoalMissed(type) {
+  // Get tracker instance
+  const tracker = window.trackers && window.trackers[type];
+  if (!tracker) return false;
   
-  // Schedule alert
-  const delay = alertTime - now;
-  waterAlertTimer = setTimeout(() => {
-    checkWaterIntakeAndNotify();
-    // Reschedule for next day
-    const nextDay = new Date();
-    nextDay.setDate(nextDay.getDate() + 1);
-    nextDay.setHours(20, 0, 0, 0);
-    const nextDelay = nextDay - new Date();
-    waterAlertTimer = setTimeout(() => scheduleWaterAlert(), nextDelay);
-  }, delay);
+  return tracker.goal > 0 && tracker.totalIntake < tracker.goal;
 }
 
 /**
- * Check water intake level and send notification if needed
+ * Build a tracker's goal alert
+ * @param {string} type - Tracker type
+ * @returns {{title: string, body: string}} Notification message
  */
-function checkWaterIntakeAndNotify() {
-  // Get water tracker instance
-  const waterTracker = window.waterTracker;
-  if (!waterTracker) return;
-  
-  // Check if goal is met
-  const goalMet = waterTracker.totalIntake >= waterTracker.goal;
-  
-  if (!goalMet && waterTracker.goal > 0) {
-    const remaining = waterTracker.goal - waterTracker.totalIntake;
-    sendNotification(
-      'Water Intake Alert',
-      `You're ${remaining}ml short of your daily water goal. Time to hydrate!`
-    );
-  }
+function getTrackerAlertMessage(type) {
+  const tracker = window.trackers[type];
+  const remaining = tracker.goal - tracker.totalIntake;
+  const definition = trackerRegistry.getDefinition(type) || {};
+  
+  return {
+    title: `${tracker.name} Intake Alert`,
+    body: `You're ${remaining}${tracker.unit} short of your daily ${tracker.name.toLowerCase()} goal. ${definition.alertHint || "Don't forget to log it!"}`
+  };
 }
 
 /**
- * Clear water alert
+ * Clear a tracker's goal alert
+ * @param {string} type - Tracker type
  */
-function clearWaterAlert() {
-  if (waterAlertTimer) {
-    clearTimeout(waterAlertTimer);
-    waterAlertTimer = null;
-  }
+function clearTrackerAlert(type) {
+  reminderEngine.unregister(`${type}-alert`);
 }
 
 /**
- * Schedule protein alert at 8pm
+ * Start a tracker's interval reminder
+ * @param {string} type - Tracker type
+ * @param {number} minutes - Minutes between reminders
  */
-function scheduleProteinAlert() {
-  clearProteinAlert();
+function startIntervalReminder(type, minutes) {
+  // Clear any existing interval
+  reminderEngine.unregister(`${type}-interval`);
   
-  const now = new Date();
-  const alertTime = new Date(now);
-  alertTime.setHours(20, 0, 0, 0);
+  if (!minutes || minutes <= 0) return;
   
-  // If time has passed for today, schedule for tomorrow
-  if (now > alertTime) {
-    alertTime.setDate(alertTime.getDate() + 1);
-  }
+  // Store the setting
+  storageManager.setItem(NOTIFICATION_STORAGE_KEYS.trackerInterval(type), minutes);
   
-  // Schedule alert
-  const delay = alertTime - now;
-  proteinAlertTimer = setTimeout(() => {
-    checkProteinIntakeAndNotify();
-    // Reschedule for next day
-    const nextDay = new Date();
-    nextDay.setDate(nextDay.getDate() + 1);
-    nextDay.setHours(20, 0, 0, 0);
-    const nextDelay = nextDay - new Date();
-    proteinAlertTimer = setTimeout(() => scheduleProteinAlert(), nextDelay);
-  }, delay);
+  const definition = trackerRegistry.getDefinition(type) || { name: type };
+  reminderEngine.register({
+    id: `${type}-interval`,
+    target: type,
+    every: minutes,
+    message: {
+      title: `${definition.name} Reminder`,
+      body: definition.reminderMessage || `Time to log your ${definition.name.toLowerCase()}!`
+    }
+  });
 }
 
 /**
- * Check protein intake level and send notification if needed
+ * Clear a tracker's interval reminder
+ * @param {string} type - Tracker type
  */
-function checkProteinIntakeAndNotify() {
-  // Get protein tracker instance
-  const proteinTracker = window.proteinTracker;
-  if (!proteinTracker) return;
-  
-  // Check if goal is met
-  const goalMet = proteinTracker.totalIntake >= proteinTracker.goal;
-  
-  if (!goalMet && proteinTracker.goal > 0) {
-    const remaining = proteinTracker.goal - proteinTracker.totalIntake;
-    sendNotification(
-      'Protein Intake Alert',
-      `You're ${remaining}g short of your daily protein goal. Time to fuel up!`
-    );
-  }
+function clearIntervalReminder(type) {
+  reminderEngine.unregister(`${type}-interval`);
+  storageManager.removeItem(NOTIFICATION_STORAGE_KEYS.trackerInterval(type));
 }
 
 /**
- * Clear protein alert
+ * Start the global reminder to log anything, which isn't tied to a tracker
+ * @param {number} minutes - Minutes between reminders
  */
-function clearProteinAlert() {
-  if (proteinAlertTimer) {
-    clearTimeout(proteinAlertTimer);
-    proteinAlertTimer = null;
-  }
+function startGlobalReminder(minutes) {
+  reminderEngine.register({
+    id: 'global-interval',
+    target: 'global',
+    every: minutes,
+    message: { title: 'Health Tracker', body: 'Time to log your health data!' }
+  });
 }
 
 /**
- * Start water interval reminder
- * @param {number} minutes - Minutes between reminders
+ * Habits to schedule reminders for, preferring the tracker's in-memory list
+ * @returns {Array<Object>} Habits
  */
-function startWaterIntervalReminder(minutes) {
-  // Clear any existing intervals
-  if (globalReminderInterval) {
-    clearInterval(globalReminderInterval);
+function getReminderHabits() {
+  if (window.habitsTracker) return window.habitsTracker.habits;
+  return JSON.parse(storageManager.getItem('habits_data') || '[]');
+}
+
+/**
+ * Schedule every habit reminder, replacing any already scheduled
+ */
+function scheduleHabitReminders() {
+  clearHabitReminders();
+  
+  if (!('Notification' in window) || Notification.permission !== 'granted') {
+    return;
   }
   
-  if (!minutes || minutes <= 0) return;
+  getReminderHabits().forEach(habit => {
+    if (habit.archivedAt || !habit.reminders) return;
+    
+    // Reminders follow the habit's id, so a rename doesn't orphan them
+    const { id, name } = habit;
+    habit.reminders.forEach((reminder, index) => {
+      reminderEngine.register({
+        id: `habit:${id}:${index}`,
+        target: 'habits',
+        time: reminder.time,
+        days: reminder.days,
+        condition: () => isHabitPendingToday(id),
+        message: { title: 'Habit Reminder', body: `"${name}" isn't done yet today.` },
+        send: (message) => sendHabitReminder(id, message)
+      });
+    });
+  });
+}
+
+/**
+ * Check whether a habit still needs doing today (not done or skipped)
+ * @param {string} id - Habit id
+ * @returns {boolean} True if a reminder should go out
+ */
+function isHabitPendingToday(id) {
+  const habit = getReminderHabits().find(candidate => candidate.id === id);
+  if (!habit || habit.archivedAt) return false;
   
-  // Store the setting
-  localStorage.setItem(NOTIFICATION_STORAGE_KEYS.WATER_INTERVAL, minutes);
+  const status = habit.history && habit.history[utils.formatDate(reminderEngine.clock.now())];
+  return status !== 'done' && status !== 'skip';
+}
+
+/**
+ * Send a habit reminder with a "Mark done" action. The action is handled by
+ * the service worker's notificationclick, or by the toast when the app is open.
+ * @param {string} id - Habit id
+ * @param {{title: string, body: string}} message - Notification message
+ */
+function sendHabitReminder(id, message) {
+  const dateKey = utils.formatDate(reminderEngine.clock.now());
   
-  // Set new interval
-  const milliseconds = minutes * 60 * 1000;
-  globalReminderInterval = setInterval(() => {
-    sendNotification('Water Reminder', `Time to drink some water!`);
-  }, milliseconds);
+  sendActionReminder(message, {
+    tag: `habit-reminder-${id}`,
+    data: { type: 'habit-done', habit: id, date: dateKey },
+    action: { action: 'habit-done', title: 'Mark done' },
+    onAction: () => window.habitsTracker.markHabitDone(id, dateKey)
+  });
 }
 
 /**
- * Clear water interval reminder
+ * Send a reminder whose notification and toast carry one action button
+ * @param {{title: string, body: string}} message - Notification message
+ * @param {Object} options - tag, data for the service worker, action
+ *   ({action, title}) and onAction for the toast
  */
-function clearWaterIntervalReminder() {
-  if (globalReminderInterval) {
-    clearInterval(globalReminderInterval);
-    globalReminderInterval = null;
+function sendActionReminder(message, { tag, data, action, onAction }) {
+  utils.showToast(message.body, 'info', 8000, {
+    label: action.title,
+    onClick: onAction
+  });
+  
+  // Notification actions need a service worker registration
+  if (!('serviceWorker' in navigator)) {
+    sendNotification(message.title, message.body);
+    return;
   }
   
-  localStorage.removeItem(NOTIFICATION_STORAGE_KEYS.WATER_INTERVAL);
+  navigator.serviceWorker.ready
+    .then(registration => registration.showNotification(message.title, {
+      body: message.body,
+      icon: 'icons/icon-192.png',
+      tag,
+      data,
+      actions: [action]
+    }))
+    .catch(error => {
+      console.error(`Error sending ${data.type} reminder:`, error);
+    });
+}
+
+/**
+ * Clear all habit reminders
+ */
+function clearHabitReminders() {
+  reminderEngine.unregisterTarget('habits');
 }
 
 /**
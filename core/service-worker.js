@@ -3,7 +3,7 @@
  */
 
 // Cache name (Update version when making changes to files)
-const CACHE_NAME = "daily-tracker-v1";
+const CACHE_NAME = "daily-tracker-v28";
 
 // Files to cache
 const FILES_TO_CACHE = [
@@ -19,6 +19,8 @@ const FILES_TO_CACHE = [
   'workouts/workouts-styles.css',
   'habits/habits-scripts.js',
   'habits/habits-styles.css',
+  'supplements/supplements-scripts.js',
+  'supplements/supplements-styles.css',
   'manifest.json',
   'icons/icon-192.png',
   'icons/icon-512.png',
@@ -70,8 +72,13 @@ self.addEventListener('activate', (event) => {
 self.addEventListener('fetch', (event) => {
   // Skip cross-origin requests
   if (event.request.url.startsWith(self.location.origin)) {
+    // Reminder actions open the app with a query string (e.g. ?habit-done=...),
+    // which is served by the cached app shell and never cached separately
+    const isNavigation = event.request.mode === 'navigate';
+    const hasQuery = new URL(event.request.url).search !== '';
+    
     event.respondWith(
-      caches.match(event.request)
+      caches.match(event.request, { ignoreSearch: isNavigation })
         .then((response) => {
           if (response) {
             // Return cached response
@@ -86,6 +93,10 @@ self.addEventListener('fetch', (event) => {
                 return response;
               }
               
+              if (isNavigation && hasQuery) {
+                return response;
+              }
+              
               // Clone the response
               const responseToCache = response.clone();
               
@@ -141,6 +152,28 @@ self.addEventListener('notificationclick', (event) => {
   // Close notification
   event.notification.close();
   
+  // "Mark done" on a habit reminder or "Mark taken" on a supplement reminder:
+  // an open window records it, otherwise the app is opened with the action in its URL
+  const data = event.notification.data;
+  const actionUrls = {
+    'habit-done': (data) => `./?habit-done=${encodeURIComponent(data.habit)}&date=${data.date}`,
+    'supplement-taken': (data) => `./?supplement-taken=${encodeURIComponent(data.supplement)}&time=${data.time}&date=${data.date}`
+  };
+  if (actionUrls[event.action] && data && data.type === event.action) {
+    event.waitUntil(
+      clients.matchAll({ type: 'window', includeUncontrolled: true })
+        .then((windowClients) => {
+          if (windowClients.length > 0) {
+            windowClients[0].postMessage(data);
+            return windowClients[0].focus();
+          }
+          
+          return clients.openWindow(actionUrls[event.action](data));
+        })
+    );
+    return;
+  }
+  
   // Open app/specific page when notification is clicked
   event.waitUntil(
     clients.openWindow('/')
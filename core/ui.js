@@ -7,12 +7,12 @@
  * Initialize theme (light/dark)
  */
 function initializeTheme() {
-  let savedTheme = localStorage.getItem(STORAGE_KEYS.THEME);
+  let savedTheme = storageManager.getItem(STORAGE_KEYS.THEME);
 
   // If no theme saved, default to dark
   if (!savedTheme) {
     savedTheme = 'dark-theme';
-    localStorage.setItem(STORAGE_KEYS.THEME, savedTheme);
+    storageManager.setItem(STORAGE_KEYS.THEME, savedTheme);
   }
 
   document.body.classList.add(savedTheme);
@@ -32,7 +32,7 @@ function initializeTheme() {
 
       document.body.classList.remove('dark-theme', 'light-theme');
       document.body.classList.add(newTheme);
-      localStorage.setItem(STORAGE_KEYS.THEME, newTheme);
+      storageManager.setItem(STORAGE_KEYS.THEME, newTheme);
 
       const newColor = newTheme === 'dark-theme' ? '#121212' : '#F8F9FA';
       utils.changeThemeColor(newColor);
@@ -96,8 +96,9 @@ function initializeTabNavigation() {
   });
   
   // Initialize history tabs
-  document.getElementById('water-daily-history').classList.add('active');
-  document.getElementById('protein-daily-history').classList.add('active');
+  trackerRegistry.getDefinitions().forEach(({ type }) => {
+    document.getElementById(`${type}-daily-history`).classList.add('active');
+  });
   document.getElementById('workout-daily-history').classList.add('active');
 }
 
@@ -113,11 +114,13 @@ function initializeNotificationSettings() {
     });
   }
   
-  // Initialize water interval reminder in water settings
-  const waterSetReminderBtn = document.getElementById('water-set-reminder');
-  if (waterSetReminderBtn) {
-    waterSetReminderBtn.addEventListener('click', () => {
-      const input = document.getElementById('water-reminder-time');
+  // Initialize interval reminders in tracker settings
+  trackerRegistry.getDefinitions().forEach(({ type, name }) => {
+    const setReminderBtn = document.getElementById(`${type}-set-reminder`);
+    if (!setReminderBtn) return;
+    
+    setReminderBtn.addEventListener('click', () => {
+      const input = document.getElementById(`${type}-reminder-time`);
       const minutes = parseInt(input.value);
       
       if (isNaN(minutes) || minutes <= 0) {
@@ -125,23 +128,23 @@ function initializeNotificationSettings() {
         return;
       }
       
-      startWaterIntervalReminder(minutes);
+      startIntervalReminder(type, minutes);
       
-      utils.showToast(`Water reminder set for every ${minutes} minutes.`, 'success');
+      utils.showToast(`${name} reminder set for every ${minutes} minutes.`, 'success');
       
-      // Close the water settings panel
-      document.getElementById('water-settings-section').classList.remove('active');
+      // Close the settings panel
+      document.getElementById(`${type}-settings-section`).classList.remove('active');
     });
     
     // Set the input value if a reminder is already set
-    const savedInterval = localStorage.getItem(NOTIFICATION_STORAGE_KEYS.WATER_INTERVAL);
+    const savedInterval = storageManager.getItem(NOTIFICATION_STORAGE_KEYS.trackerInterval(type));
     if (savedInterval) {
-      const waterReminderTimeInput = document.getElementById('water-reminder-time');
-      if (waterReminderTimeInput) {
-        waterReminderTimeInput.value = savedInterval;
+      const reminderTimeInput = document.getElementById(`${type}-reminder-time`);
+      if (reminderTimeInput) {
+        reminderTimeInput.value = savedInterval;
       }
     }
-  }
+  });
 }
 
 /**
@@ -150,16 +153,18 @@ function initializeNotificationSettings() {
 function initializePanels() {
   // Panel toggle buttons
   const panelToggles = {
-    'water-settings-toggle': 'water-settings-section',
-    'water-history-toggle': 'water-history-popup',
-    'protein-settings-toggle': 'protein-settings-section',
-    'protein-history-toggle': 'protein-history-popup',
     'workout-settings-toggle': 'workout-settings-section',
     'workout-history-toggle': 'workout-history-popup',
     'more-options-toggle': 'more-options-panel',
     'notifications-settings-toggle': 'notifications-panel'  // Add the new notifications toggle
   };
   
+  // Settings and history panels for every tracker
+  trackerRegistry.getDefinitions().forEach(({ type }) => {
+    panelToggles[`${type}-settings-toggle`] = `${type}-settings-section`;
+    panelToggles[`${type}-history-toggle`] = `${type}-history-popup`;
+  });
+  
   // Set up panel toggles
   Object.entries(panelToggles).forEach(([toggleId, panelId]) => {
     const toggleBtn = document.getElementById(toggleId);
@@ -211,45 +216,6 @@ function initializePanels() {
   initializeNotificationSettings();
 }
 
-/**
- * Initialize global notification buttons in options panel
- */
-function initializeGlobalNotificationButtons() {
-  const setReminderBtn = document.getElementById('global-set-reminder');
-  if (setReminderBtn) {
-    setReminderBtn.addEventListener('click', () => {
-      const input = document.getElementById('global-reminder-time');
-      const minutes = parseInt(input.value);
-      
-      if (isNaN(minutes) || minutes <= 0) {
-        utils.showToast('Please enter a valid reminder interval.', 'error');
-        return;
-      }
-      
-      localStorage.setItem(STORAGE_KEYS.REMINDER, minutes);
-      startGlobalReminder(minutes);
-      
-      utils.showToast(`Reminder set for every ${minutes} minutes.`, 'success');
-      
-      // Close the options panel
-      document.getElementById('more-options-panel').classList.remove('active');
-    });
-  }
-
-  const enableNotificationsBtn = document.getElementById('global-enable-notifications');
-  if (enableNotificationsBtn) {
-    enableNotificationsBtn.addEventListener('click', () => {
-      requestNotificationPermission();
-    });
-  }
-
-  // Initialize reminder if it exists in localStorage
-  const savedReminderInterval = localStorage.getItem(STORAGE_KEYS.REMINDER);
-  if (savedReminderInterval) {
-    startGlobalReminder(parseInt(savedReminderInterval));
-  }
-}
-
 /**
  * Initialize tracker actions for a specific tracker
  * @param {Tracker} tracker - Tracker instance
@@ -257,15 +223,19 @@ function initializeGlobalNotificationButtons() {
 function initializeTrackerActions(tracker) {
   const type = tracker.type;
   
-  // Set up quick add buttons
-  document.querySelectorAll(`[data-action="${type}-add"]`).forEach(btn => {
-    btn.addEventListener('click', () => {
+  // Set up quick add buttons (delegated, as presets can be edited)
+  const quickAdd = document.getElementById(`${type}-quick-add`);
+  if (quickAdd) {
+    quickAdd.addEventListener('click', (event) => {
+      const btn = event.target.closest(`[data-action="${type}-add"]`);
+      if (!btn) return;
+      
       const amount = parseInt(btn.dataset.amount);
       if (!isNaN(amount) && amount > 0) {
-        tracker.addIntake(amount);
+        tracker.addIntake(amount, { label: btn.dataset.label || null });
       }
     });
-  });
+  }
   
  // Set up manual add button
  const addManualBtn = document.getElementById(`${type}-add-manual`);
@@ -285,6 +255,22 @@ function initializeTrackerActions(tracker) {
    });
  }
  
+ // Set up past entry button
+ const backfillBtn = document.getElementById(`${type}-backfill-add`);
+ if (backfillBtn) {
+   backfillBtn.addEventListener('click', () => {
+     tracker.addPastIntake();
+   });
+ }
+ 
+ // Add preset button
+ const addPresetBtn = document.getElementById(`${type}-add-preset`);
+ if (addPresetBtn) {
+   addPresetBtn.addEventListener('click', () => {
+     tracker.addPreset();
+   });
+ }
+ 
  // Set goal button
  const setGoalBtn = document.getElementById(`${type}-set-goal`);
  if (setGoalBtn) {
@@ -297,9 +283,9 @@ function initializeTrackerActions(tracker) {
  const resetDailyBtn = document.getElementById(`${type}-reset-daily`);
  if (resetDailyBtn) {
    resetDailyBtn.addEventListener('click', () => {
-     if (confirm(`Are you sure you want to reset today's ${type} intake data?`)) {
+     if (confirm(`Are you sure you want to reset today's ${tracker.name.toLowerCase()} intake data?`)) {
        tracker.resetDailyIntake();
-       utils.showToast(`Today's ${type} intake has been reset.`, 'warning');
+       utils.showToast(`Today's ${tracker.name.toLowerCase()} intake has been reset.`, 'warning');
      }
    });
  }
@@ -308,16 +294,90 @@ function initializeTrackerActions(tracker) {
  const resetDataBtn = document.getElementById(`${type}-reset-data`);
  if (resetDataBtn) {
    resetDataBtn.addEventListener('click', () => {
-     if (confirm(`⚠️ WARNING: This will delete ALL ${type} tracking data. This action cannot be undone. Are you sure?`)) {
+     if (confirm(`⚠️ WARNING: This will delete ALL ${tracker.name.toLowerCase()} tracking data. This action cannot be undone. Are you sure?`)) {
        tracker.resetAllData();
      }
    });
  }
  
+ // Analytics period selector
+ const timePeriodSelect = document.getElementById(`${type}-time-period`);
+ if (timePeriodSelect) {
+   timePeriodSelect.addEventListener('change', (e) => {
+     tracker.setAnalyticsPeriod(e.target.value);
+   });
+ }
+ 
+ // Remove tracker button (user-defined trackers only)
+ const removeTrackerBtn = document.getElementById(`${type}-remove-tracker`);
+ if (removeTrackerBtn) {
+   removeTrackerBtn.addEventListener('click', () => {
+     if (confirm(`⚠️ WARNING: This will remove the ${tracker.name} tracker and delete all of its data. This action cannot be undone. Are you sure?`)) {
+       trackerRegistry.removeDefinition(type).then(() => {
+         utils.showToast(`${tracker.name} tracker removed.`, 'warning');
+         setTimeout(() => storageManager.flush().then(() => location.reload()), 1500);
+       });
+     }
+   });
+ }
+ 
  // Initial history refresh
  tracker.refreshHistory();
 }
 
+/**
+ * Initialize the add tracker modal in the options panel
+ */
+function initializeTrackerManagement() {
+  const modal = document.getElementById('add-tracker-modal');
+  const openBtn = document.getElementById('add-tracker-toggle');
+  if (!modal || !openBtn) return;
+  
+  const nameInput = document.getElementById('tracker-name-input');
+  const unitInput = document.getElementById('tracker-unit-input');
+  const colorInput = document.getElementById('tracker-color-input');
+  const goalInput = document.getElementById('tracker-goal-input');
+  
+  const closeModal = () => {
+    modal.style.display = 'none';
+  };
+  
+  openBtn.addEventListener('click', () => {
+    nameInput.value = '';
+    unitInput.value = '';
+    goalInput.value = '';
+    modal.style.display = 'flex';
+    document.getElementById('more-options-panel').classList.remove('active');
+    nameInput.focus();
+  });
+  
+  document.getElementById('tracker-cancel-button').addEventListener('click', closeModal);
+  
+  document.getElementById('tracker-confirm-button').addEventListener('click', () => {
+    const name = nameInput.value.trim();
+    const unit = unitInput.value.trim();
+    const goal = parseInt(goalInput.value);
+    
+    if (!name || !unit) {
+      utils.showToast('Please enter a name and a unit.', 'error');
+      return;
+    }
+    
+    if (isNaN(goal) || goal <= 0) {
+      utils.showToast('Please enter a valid goal (a positive number).', 'error');
+      return;
+    }
+    
+    trackerRegistry.addDefinition({ name, unit, color: colorInput.value, goal }).then(() => {
+      closeModal();
+      utils.showToast(`${name} tracker added! Reloading app...`, 'success');
+      
+      // Reload so the new tracker gets its tab, panels and reminders
+      setTimeout(() => storageManager.flush().then(() => location.reload()), 1500);
+    });
+  });
+}
+
 /**
 * Initialize workout tracker actions
 * @param {WorkoutTracker} tracker - WorkoutTracker instance
@@ -335,6 +395,86 @@ function initializeWorkoutTrackerActions(tracker) {
    });
  }
  
+ // Undo last workout tap
+ const undoBtn = document.getElementById('workout-undo');
+ if (undoBtn) {
+   undoBtn.addEventListener('click', () => tracker.undoLastWorkout());
+ }
+ 
+ // When completed tabs reset
+ const resetRuleSelect = document.getElementById('workout-reset-rule');
+ if (resetRuleSelect) {
+   resetRuleSelect.addEventListener('change', (e) => {
+     tracker.setResetRule(e.target.value);
+   });
+ }
+ 
+ // Session mode
+ const sessionStartBtn = document.getElementById('workout-session-start');
+ if (sessionStartBtn) {
+   sessionStartBtn.addEventListener('click', () => tracker.startSession());
+ }
+ 
+ const sessionEndBtn = document.getElementById('workout-session-end');
+ if (sessionEndBtn) {
+   sessionEndBtn.addEventListener('click', () => tracker.endSession());
+ }
+ 
+ const restToggleBtn = document.getElementById('workout-rest-toggle');
+ if (restToggleBtn) {
+   restToggleBtn.addEventListener('click', () => tracker.toggleRestTimer());
+ }
+ 
+ const saveRestBtn = document.getElementById('workout-save-rest');
+ if (saveRestBtn) {
+   saveRestBtn.addEventListener('click', () => {
+     const restInput = document.getElementById('workout-rest-seconds');
+     if (!tracker.setRestSeconds(restInput.value)) {
+       restInput.value = tracker.restSeconds;
+     }
+   });
+ }
+ 
+ // Add workout type
+ const addTypeBtn = document.getElementById('workout-add-type');
+ if (addTypeBtn) {
+   addTypeBtn.addEventListener('click', () => {
+     const nameInput = document.getElementById('workout-type-name');
+     const colorInput = document.getElementById('workout-type-color');
+     if (tracker.addWorkoutType(nameInput.value, colorInput.value)) {
+       nameInput.value = '';
+     }
+   });
+ }
+ 
+ // Split selection
+ const splitSelect = document.getElementById('workout-split-select');
+ if (splitSelect) {
+   splitSelect.addEventListener('change', (e) => {
+     tracker.setActiveSplit(e.target.value);
+   });
+ }
+ 
+ const splitNextBtn = document.getElementById('workout-split-next');
+ if (splitNextBtn) {
+   splitNextBtn.addEventListener('click', () => {
+     tracker.advanceSplitDay();
+   });
+ }
+ 
+ // Save custom split template
+ const saveSplitBtn = document.getElementById('workout-save-split');
+ if (saveSplitBtn) {
+   saveSplitBtn.addEventListener('click', () => {
+     const nameInput = document.getElementById('workout-split-name');
+     const daysInput = document.getElementById('workout-split-days');
+     if (tracker.addSplitTemplate(nameInput.value, daysInput.value)) {
+       nameInput.value = '';
+       daysInput.value = '';
+     }
+   });
+ }
+ 
  // Reset daily button
  const resetDailyBtn = document.getElementById('workout-reset-daily');
  if (resetDailyBtn) {
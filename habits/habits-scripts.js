@@ -14,6 +14,7 @@ class HabitsTracker {
     // Define storage keys
     this.habitsKey = 'habits_data';
     this.lastResetKey = `${STORAGE_KEYS.LAST_RESET_PREFIX}habits`;
+    this.collapsedGroupsKey = 'habits_collapsed_groups';
     
     // Initialize variables
     this.habits = [];
@@ -30,6 +31,13 @@ class HabitsTracker {
     this.months = [];
     this.currentDateOffset = 0;
     this.selectedTimePeriod = 'weekly'; // Default selected time period
+    this.collapsedGroups = JSON.parse(storageManager.getItem(this.collapsedGroupsKey) || '[]');
+    this.filterText = '';
+    this.filterGroup = null; // null shows every group
+    this.STRENGTH_WEIGHT = 0.1; // How far each day moves habit strength
+    this.HABIT_STATUSES = ['fail', 'done', 'partial', 'skip']; // Order a day cycles through when tapped
+    this.PARTIAL_CREDIT = 0.5; // How much a partial day counts towards strength
+    this.MAX_NOTE_LENGTH = 200; // Longest note kept for a habit day
     
     // For touch event handling
     this.longPressContext = null;
@@ -54,6 +62,9 @@ class HabitsTracker {
     
     // Fix for touch events
     this.enhanceTouchEvents();
+    
+    // Handle "mark done" from habit reminders
+    this.initReminderActions();
   }
   
   /**
@@ -66,6 +77,11 @@ class HabitsTracker {
     
     // Main elements
     this.habitsContainer = document.getElementById('habits-container');
+    this.archivedSection = document.getElementById('habits-archived');
+    this.archivedToggle = document.getElementById('habits-archived-toggle');
+    this.archivedList = document.getElementById('habits-archived-list');
+    this.filterSearch = document.getElementById('habits-filter-search');
+    this.filterGroupSelect = document.getElementById('habits-filter-group');
     this.dateSelector = document.getElementById('habits-date-selector');
     
     // Modal elements
@@ -73,6 +89,24 @@ class HabitsTracker {
     this.habitNameInput = document.getElementById('habit-name-input');
     this.modalTitle = document.getElementById('modal-title');
     this.confirmButton = document.getElementById('habits-confirm-button');
+    this.scheduleTypeSelect = document.getElementById('habit-schedule-type');
+    this.scheduleFields = document.getElementById('habit-schedule-fields');
+    this.scheduleNumberInput = document.getElementById('habit-schedule-number');
+    this.scheduleUnit = document.getElementById('habit-schedule-unit');
+    this.targetAmountInput = document.getElementById('habit-target-amount');
+    this.targetUnitInput = document.getElementById('habit-target-unit');
+    this.groupInput = document.getElementById('habit-group-input');
+    this.groupOptions = document.getElementById('habit-group-options');
+    this.reminderList = document.getElementById('habit-reminder-list');
+    
+    // Day modal for amounts and notes
+    this.dayModal = document.getElementById('habit-day-modal');
+    this.dayModalTitle = document.getElementById('habit-day-title');
+    this.dayAmountGroup = document.getElementById('habit-day-amount-group');
+    this.dayAmountLabel = document.getElementById('habit-day-amount-label');
+    this.dayAmountInput = document.getElementById('habit-day-amount');
+    this.dayNoteInput = document.getElementById('habit-day-note');
+    this.daySkipButton = document.getElementById('habit-day-skip');
     
     // Detail view elements
     this.habitDetailTitle = document.getElementById('habit-detail-title');
@@ -80,6 +114,10 @@ class HabitsTracker {
     this.chartLabels = document.getElementById('habits-chart-labels');
     this.calendarScrollContent = document.getElementById('habits-calendar-scroll-content');
     this.habitStreaks = document.getElementById('habit-streaks');
+    this.archiveButton = document.getElementById('habits-archive-button');
+    this.scheduleSummary = document.getElementById('habit-schedule-summary');
+    this.notesSearch = document.getElementById('habit-notes-search');
+    this.notesList = document.getElementById('habit-notes-list');
   }
   
   /**
@@ -92,6 +130,31 @@ class HabitsTracker {
     document.getElementById('habits-cancel-button').addEventListener('click', () => this.closeModal());
     document.getElementById('habits-confirm-button').addEventListener('click', () => this.handleModalConfirm());
     document.getElementById('habits-back-button').addEventListener('click', () => this.showMainView());
+    this.scheduleTypeSelect.addEventListener('change', () => this.updateScheduleFields());
+    document.getElementById('habit-day-cancel').addEventListener('click', () => this.closeDayModal());
+    this.daySkipButton.addEventListener('click', () => this.skipDay());
+    document.getElementById('habit-day-save').addEventListener('click', () => this.saveDayModal());
+    this.dayAmountInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.saveDayModal();
+    });
+    this.notesSearch.addEventListener('input', () => this.renderNotes(this.habits[this.currentHabitIndex]));
+    this.archiveButton.addEventListener('click', () => this.toggleArchiveCurrentHabit());
+    document.getElementById('habit-add-reminder').addEventListener('click', () => {
+      this.addReminderRow({ time: '09:00', days: [0, 1, 2, 3, 4, 5, 6] });
+    });
+    this.filterSearch.addEventListener('input', () => {
+      this.filterText = this.filterSearch.value.trim().toLowerCase();
+      this.renderHabits();
+    });
+    this.filterGroupSelect.addEventListener('change', () => {
+      const value = this.filterGroupSelect.value;
+      this.filterGroup = value === 'all' ? null : value.slice('group:'.length);
+      this.renderHabits();
+    });
+    this.archivedToggle.addEventListener('click', () => {
+      const open = this.archivedSection.classList.toggle('open');
+      this.archivedToggle.setAttribute('aria-expanded', open);
+    });
     
     // Ensure we're using direct function binding for these critical buttons
     const deleteButton = document.getElementById('habits-delete-button');
@@ -322,10 +385,10 @@ alignDateItemsWithHabitDays() {
   }, 0);
 }
   /**
-   * Load habits from localStorage
+   * Load habits from storage
    */
   loadHabits() {
-    const storedHabits = localStorage.getItem(this.habitsKey);
+    const storedHabits = storageManager.getItem(this.habitsKey);
     if (storedHabits) {
       this.habits = JSON.parse(storedHabits);
       this.habits.forEach(habit => {
@@ -334,90 +397,531 @@ alignDateItemsWithHabitDays() {
     } else {
       // Create default habits list with empty history
       this.habits = [
-        { name: 'Start a Habit', color: 'default', history: {} }
+        { id: utils.createId('habit'), name: 'Start a Habit', color: 'default', history: {} }
       ];
     }
   }
   
   /**
-   * Save habits to localStorage with storage quota handling
+   * Save habits to storage
+   * @returns {Promise<boolean>} Whether the write was persisted
    */
   saveHabits() {
-    // Check if we're low on storage space
-    if (storageManager && storageManager.isNearQuota && storageManager.isNearQuota()) {
-      // Try to clean up old data
-      const cleaned = storageManager.cleanupOldData();
+    return storageManager.setItem(this.habitsKey, JSON.stringify(this.habits));
+  }
+  
+  /**
+   * Save habits after one was added, edited, archived, restored or deleted,
+   * and announce it with a 'habits-changed' event so reminders can follow
+   * @returns {Promise<boolean>} Whether the write was persisted
+   */
+  saveHabitDefinitions() {
+    const saved = this.saveHabits();
+    document.dispatchEvent(new CustomEvent('habits-changed'));
+    return saved;
+  }
+  
+  /**
+   * Get the status a day moves to when tapped
+   * @param {string} status - Current status
+   * @returns {string} Next status
+   */
+  getNextStatus(status) {
+    const index = this.HABIT_STATUSES.indexOf(status);
+    return this.HABIT_STATUSES[(index + 1) % this.HABIT_STATUSES.length];
+  }
+  
+  /**
+   * Get the icon shown in a habit day for a status
+   * @param {string} status - Day status
+   * @returns {string} SVG markup
+   */
+  getStatusSymbol(status) {
+    switch (status) {
+      case 'done':
+        return '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>';
+      case 'partial':
+        return '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="8"></circle><line x1="12" y1="4" x2="12" y2="20"></line></svg>';
+      case 'skip':
+        return '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="13 17 18 12 13 7"></polyline><polyline points="6 17 11 12 6 7"></polyline></svg>';
+      default:
+        return '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+    }
+  }
+  
+  /**
+   * Describe a status for screen readers
+   * @param {string} status - Day status
+   * @returns {string} Label
+   */
+  getStatusLabel(status) {
+    const labels = { done: 'Completed', partial: 'Partially completed', skip: 'Skipped' };
+    return labels[status] || 'Not completed';
+  }
+  
+  /**
+   * Check whether a habit has been archived
+   * @param {Object} habit - Habit object
+   * @returns {boolean} True if the habit is hidden from the main grid
+   */
+  isArchived(habit) {
+    return !!habit.archivedAt;
+  }
+  
+  /**
+   * Get the group a habit belongs to
+   * @param {Object} habit - Habit object
+   * @returns {string} Group name, or an empty string for ungrouped habits
+   */
+  getGroup(habit) {
+    return habit.group || '';
+  }
+  
+  /**
+   * Group names in the order their first habit appears
+   * @returns {Array<string>} Group names, including '' if any habit is ungrouped
+   */
+  getGroupNames() {
+    return [...new Set(this.habits.filter(habit => !this.isArchived(habit)).map(habit => this.getGroup(habit)))];
+  }
+  
+  /**
+   * Check whether a habit passes the filter bar
+   * @param {Object} habit - Habit object
+   * @returns {boolean} True if the habit should be shown
+   */
+  matchesFilter(habit) {
+    if (this.filterGroup !== null && this.getGroup(habit) !== this.filterGroup) return false;
+    return habit.name.toLowerCase().includes(this.filterText);
+  }
+  
+  /**
+   * Date keys of the days shown in the grid, oldest first
+   * @returns {Array<string>} Date keys
+   */
+  getVisibleDateKeys() {
+    const today = new Date();
+    const dateKeys = [];
+    
+    for (let i = this.DAYS_TO_SHOW - 1; i >= 0; i--) {
+      const date = new Date(today);
+      date.setDate(today.getDate() - i - this.currentDateOffset);
+      dateKeys.push(this.getDateKey(date));
+    }
+    
+    return dateKeys;
+  }
+  
+  /**
+   * Rows of the main grid: group headers followed by their habits.
+   * Habits keep their manual order within a group, and without any
+   * groups the grid stays a flat list.
+   * @returns {Array<Object>} Rows, either {group} or {habit, index}
+   */
+  getGridRows() {
+    const groups = [];
+    
+    this.habits.forEach((habit, index) => {
+      if (this.isArchived(habit) || !this.matchesFilter(habit)) return;
       
-      if (!cleaned) {
-        utils.showToast('Storage space is running low. Old habit history may be archived.', 'warning');
-        
-        // Keep only last 30 days of history for each habit
-        this.habits.forEach(habit => {
-          if (habit.history) {
-            const dates = Object.keys(habit.history).sort();
-            if (dates.length > 30) {
-              const datesToRemove = dates.slice(0, dates.length - 30);
-              datesToRemove.forEach(date => {
-                delete habit.history[date];
-              });
-            }
-          }
-        });
+      const name = this.getGroup(habit);
+      let group = groups.find(existing => existing.name === name);
+      if (!group) {
+        group = { name, habits: [] };
+        groups.push(group);
       }
+      group.habits.push({ habit, index });
+    });
+    
+    if (!this.habits.some(habit => !this.isArchived(habit) && this.getGroup(habit))) {
+      return groups.flatMap(group => group.habits);
     }
     
-    try {
-      localStorage.setItem(this.habitsKey, JSON.stringify(this.habits));
-    } catch (error) {
-      // Handle storage errors
-      if (error.name === 'QuotaExceededError' || 
-          error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || 
-          error.code === 22) {
-        utils.showToast('Not enough storage space. Some habit history may be lost.', 'error');
-        
-        // Aggressive cleanup - remove all history except current month
-        const currentMonth = new Date().getMonth();
-        const currentYear = new Date().getFullYear();
-        
-        this.habits.forEach(habit => {
-          if (habit.history) {
-            Object.keys(habit.history).forEach(dateKey => {
-              const date = new Date(dateKey);
-              if (date.getMonth() !== currentMonth || date.getFullYear() !== currentYear) {
-                delete habit.history[dateKey];
-              }
-            });
-          }
-        });
-        
-        // Try again
-        try {
-          localStorage.setItem(this.habitsKey, JSON.stringify(this.habits));
-        } catch (error2) {
-          // Last resort - only keep today's data
-          const today = utils.formatDate(new Date());
-          
-          this.habits.forEach(habit => {
-            const todayStatus = habit.history && habit.history[today];
-            habit.history = {};
-            if (todayStatus) {
-              habit.history[today] = todayStatus;
-            }
-          });
-          
-          try {
-            localStorage.setItem(this.habitsKey, JSON.stringify(this.habits));
-            utils.showToast('Storage space critically low. Only today\'s data kept.', 'error');
-          } catch (error3) {
-            utils.showToast('Unable to save habits data. Please export your data.', 'error');
-          }
+    return groups.flatMap(group => [
+      { group },
+      ...(this.collapsedGroups.includes(group.name) ? [] : group.habits)
+    ]);
+  }
+  
+  /**
+   * Build a group header with the group's completions for each visible day
+   * @param {Object} group - Group ({name, habits})
+   * @returns {HTMLElement} Header element
+   */
+  createGroupHeader(group) {
+    const collapsed = this.collapsedGroups.includes(group.name);
+    const header = document.createElement('div');
+    header.className = `habits-group-header${collapsed ? ' collapsed' : ''}`;
+    
+    // Completed habits out of those due, per day; skipped days don't count
+    const days = this.getVisibleDateKeys().map(dateKey => {
+      let done = 0;
+      let due = 0;
+      group.habits.forEach(({ habit }) => {
+        const status = habit.history[dateKey];
+        if (this.isCompletion(status)) {
+          done++;
+          due++;
+        } else if (status !== 'skip' && this.isScheduledDay(habit, dateKey)) {
+          due++;
         }
+      });
+      
+      const complete = due > 0 && done === due ? ' complete' : '';
+      return `<div class="habits-group-day${complete}" title="${done} of ${due} done">${due > 0 ? `${done}/${due}` : '-'}</div>`;
+    }).join('');
+    
+    header.innerHTML = `
+      <button class="habit-name-section habits-group-toggle" aria-expanded="${!collapsed}">
+        <i class="material-icons-round">expand_more</i>
+        <span class="habits-group-name">${utils.escapeHTML(group.name || 'Ungrouped')}</span>
+        <span class="habits-group-count">${group.habits.length}</span>
+      </button>
+      <div class="habit-grid-section">
+        <div class="habit-grid">${days}</div>
+      </div>
+    `;
+    
+    header.querySelector('.habits-group-toggle').addEventListener('click', () => this.toggleGroup(group.name));
+    return header;
+  }
+  
+  /**
+   * Collapse or expand a group on the main grid
+   * @param {string} name - Group name
+   */
+  toggleGroup(name) {
+    if (this.collapsedGroups.includes(name)) {
+      this.collapsedGroups = this.collapsedGroups.filter(group => group !== name);
+    } else {
+      this.collapsedGroups.push(name);
+    }
+    
+    storageManager.setItem(this.collapsedGroupsKey, JSON.stringify(this.collapsedGroups));
+    this.renderHabits();
+  }
+  
+  /**
+   * Fill the filter bar's group list, keeping the current choice if it still exists
+   */
+  renderGroupFilter() {
+    if (!this.filterGroupSelect) return;
+    
+    const groups = this.getGroupNames();
+    if (this.filterGroup !== null && !groups.includes(this.filterGroup)) {
+      this.filterGroup = null;
+    }
+    
+    this.filterGroupSelect.innerHTML = '<option value="all">All groups</option>';
+    groups.forEach(name => {
+      const option = document.createElement('option');
+      option.value = `group:${name}`;
+      option.textContent = name || 'Ungrouped';
+      this.filterGroupSelect.appendChild(option);
+    });
+    
+    this.filterGroupSelect.value = this.filterGroup === null ? 'all' : `group:${this.filterGroup}`;
+    this.filterGroupSelect.style.display = groups.some(name => name) ? '' : 'none';
+  }
+  
+  /**
+   * Get a habit's schedule; habits saved before schedules existed are daily
+   * @param {Object} habit - Habit object
+   * @returns {Object} Schedule ({type: 'daily'|'weekdays'|'weekly'|'interval', ...})
+   */
+  getSchedule(habit) {
+    return habit.schedule || { type: 'daily' };
+  }
+  
+  /**
+   * Check whether a status counts as doing the habit
+   * @param {string} status - Day status
+   * @returns {boolean} True for done and partial days
+   */
+  isCompletion(status) {
+    return status === 'done' || status === 'partial';
+  }
+  
+  /**
+   * Get the Monday-to-Sunday week containing a day
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @returns {Array<string>} Date keys of the week
+   */
+  getWeekDateKeys(dateKey) {
+    const date = utils.parseDateKey(dateKey);
+    date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    
+    return Array.from({ length: 7 }, (_, i) => {
+      const day = new Date(date);
+      day.setDate(date.getDate() + i);
+      return this.getDateKey(day);
+    });
+  }
+  
+  /**
+   * Check whether a habit is due on a day.
+   * Times-per-week habits are due every day until the week's target is reached.
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @returns {boolean} True if the day is scheduled
+   */
+  isScheduledDay(habit, dateKey) {
+    const schedule = this.getSchedule(habit);
+    const date = utils.parseDateKey(dateKey);
+    
+    switch (schedule.type) {
+      case 'weekdays':
+        return schedule.days.includes(date.getDay());
+      case 'interval': {
+        const days = Math.round((date - utils.parseDateKey(schedule.start)) / 86400000);
+        return ((days % schedule.every) + schedule.every) % schedule.every === 0;
+      }
+      case 'weekly': {
+        if (this.isCompletion(habit.history[dateKey])) return true;
+        const completions = this.getWeekDateKeys(dateKey)
+          .filter(key => this.isCompletion(habit.history[key])).length;
+        return completions < schedule.times;
+      }
+      default:
+        return true;
+    }
+  }
+  
+  /**
+   * Classify a day for streaks, strength and completion rates.
+   * Skipped days, days off the schedule and days that aren't over yet are neutral.
+   * A times-per-week habit only misses days once a week ends short of its target,
+   * and then only as many as it fell short by (the last open days of the week).
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {string} todayKey - Today's date key
+   * @returns {string} 'hit', 'miss' or 'neutral'
+   */
+  getDayOutcome(habit, dateKey, todayKey) {
+    const status = habit.history[dateKey];
+    if (this.isCompletion(status)) return 'hit';
+    if (status === 'skip' || dateKey >= todayKey || !this.isScheduledDay(habit, dateKey)) return 'neutral';
+    
+    const schedule = this.getSchedule(habit);
+    if (schedule.type === 'weekly') {
+      const week = this.getWeekDateKeys(dateKey);
+      if (week[6] >= todayKey) return 'neutral';
+      
+      const completions = week.filter(key => this.isCompletion(habit.history[key])).length;
+      const openDays = week.filter(key => !this.isCompletion(habit.history[key]) && habit.history[key] !== 'skip');
+      return openDays.slice(-(schedule.times - completions)).includes(dateKey) ? 'miss' : 'neutral';
+    }
+    
+    return 'miss';
+  }
+  
+  /**
+   * Describe a habit's schedule, e.g. "Mon, Wed, Fri" or "3 times a week"
+   * @param {Object} habit - Habit object
+   * @returns {string} Description
+   */
+  describeSchedule(habit) {
+    const schedule = this.getSchedule(habit);
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    
+    switch (schedule.type) {
+      case 'weekdays':
+        // Monday first, like the calendar
+        return [1, 2, 3, 4, 5, 6, 0].filter(day => schedule.days.includes(day)).map(day => dayNames[day]).join(', ');
+      case 'weekly':
+        return `${schedule.times} ${schedule.times === 1 ? 'time' : 'times'} a week`;
+      case 'interval':
+        return `Every ${schedule.every} days`;
+      default:
+        return 'Every day';
+    }
+  }
+  
+  /**
+   * Check whether a habit records an amount per day instead of done/not done
+   * @param {Object} habit - Habit object
+   * @returns {boolean} True if the habit has a numeric target
+   */
+  isQuantitative(habit) {
+    return !!(habit.target && habit.target.amount > 0);
+  }
+  
+  /**
+   * Amount logged for a quantitative habit on a date
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @returns {number|null} Logged amount, or null if nothing was logged
+   */
+  getHabitValue(habit, dateKey) {
+    const value = habit.values ? habit.values[dateKey] : undefined;
+    return typeof value === 'number' ? value : null;
+  }
+  
+  /**
+   * Record an amount for a quantitative habit. The day counts as done once
+   * the target is met and as partial below it, so streaks, strength and the
+   * calendar need nothing extra.
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {number|null} value - Amount, or null to clear the day
+   */
+  setHabitValue(habit, dateKey, value) {
+    if (!habit.history) habit.history = {};
+    if (!habit.values) habit.values = {};
+    
+    if (value === null) {
+      delete habit.values[dateKey];
+      delete habit.history[dateKey];
+    } else {
+      habit.values[dateKey] = value;
+      if (value >= habit.target.amount) {
+        habit.history[dateKey] = 'done';
       } else {
-        utils.showToast(`Error saving habits: ${error.message}`, 'error');
+        habit.history[dateKey] = value > 0 ? 'partial' : 'fail';
       }
     }
   }
   
+  /**
+   * Describe a habit's target, e.g. "20 pages"
+   * @param {Object} habit - Quantitative habit
+   * @returns {string} Target with its unit
+   */
+  describeTarget(habit) {
+    return `${this.formatAmount(habit.target.amount)} ${habit.target.unit}`.trim();
+  }
+  
+  /**
+   * Format an amount without trailing decimals
+   * @param {number} value - Amount
+   * @returns {string} Formatted amount
+   */
+  formatAmount(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+  
+  /**
+   * Note written for a habit day
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @returns {string} Note, or an empty string
+   */
+  getHabitNote(habit, dateKey) {
+    return (habit.notes && habit.notes[dateKey]) || '';
+  }
+  
+  /**
+   * Write or clear the note for a habit day
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {string} text - Note text; empty clears the note
+   */
+  setHabitNote(habit, dateKey, text) {
+    const note = text.trim().slice(0, this.MAX_NOTE_LENGTH);
+    if (!habit.notes) habit.notes = {};
+    
+    if (note) {
+      habit.notes[dateKey] = note;
+    } else {
+      delete habit.notes[dateKey];
+    }
+  }
+  
+  /**
+   * Show a habit day's status, dimming days the habit isn't scheduled for
+   * @param {HTMLElement} element - Habit day element
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   */
+  renderDayStatus(element, habit, dateKey) {
+    const status = habit.history[dateKey] || 'fail';
+    const value = this.getHabitValue(habit, dateKey);
+    const inactive = status === 'fail' && value === null && !this.isScheduledDay(habit, dateKey);
+    
+    element.classList.remove(...this.HABIT_STATUSES, 'inactive', 'quantity', habit.color);
+    element.classList.add(inactive ? 'inactive' : status);
+    if (this.isCompletion(status)) {
+      element.classList.add(habit.color);
+    }
+    
+    // Days with a note get a marker and show it on hover
+    const note = this.getHabitNote(habit, dateKey);
+    element.classList.toggle('has-note', !!note);
+    element.title = note;
+    
+    // Quantitative days show the logged amount and a bar toward the target;
+    // days marked before the habit had a target keep their status symbol
+    const hasAmount = value !== null || !habit.history[dateKey];
+    if (this.isQuantitative(habit) && hasAmount && !inactive && status !== 'skip') {
+      const progress = Math.min((value || 0) / habit.target.amount, 1);
+      element.classList.add('quantity');
+      element.innerHTML = `
+        <span class="habit-day-value">${this.formatAmount(value || 0)}</span>
+        <span class="habit-day-progress"><span style="width: ${progress * 100}%; background-color: ${this.getColorHex(habit.color)}"></span></span>
+      `;
+      element.setAttribute('aria-label', `${this.formatAmount(value || 0)} of ${this.describeTarget(habit)} on ${utils.parseDateKey(dateKey).toLocaleDateString()}`);
+      return;
+    }
+    
+    element.innerHTML = inactive ? '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="1"></circle></svg>' : this.getStatusSymbol(status);
+    
+    const label = inactive ? 'Not scheduled' : this.getStatusLabel(status);
+    element.setAttribute('aria-label', `${label} on ${utils.parseDateKey(dateKey).toLocaleDateString()}`);
+  }
+  
+  /**
+   * Log a habit day: quantitative habits ask for an amount, others cycle their status.
+   * Notes are added with a long press instead (see startLongPress).
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {HTMLElement} element - Habit day element
+   */
+  logHabitDay(habit, dateKey, element) {
+    if (this.isQuantitative(habit)) {
+      this.showDayModal(habit, dateKey, () => this.renderHabits());
+    } else {
+      this.cycleDayStatus(habit, dateKey, element);
+    }
+  }
+  
+  /**
+   * Confirm a status change with a toast that offers to add a note
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {Function} onSave - Called after the note is saved
+   */
+  showNoteToast(habit, dateKey, onSave) {
+    utils.showToast(`${habit.name}: ${this.getStatusLabel(habit.history[dateKey])}`, 'info', 3000, {
+      label: this.getHabitNote(habit, dateKey) ? 'Edit note' : 'Add note',
+      onClick: () => this.showDayModal(habit, dateKey, onSave)
+    });
+  }
+  
+  /**
+   * Move a habit day to its next status and update its cell
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {HTMLElement} element - Habit day element
+   */
+  cycleDayStatus(habit, dateKey, element) {
+    // Ensure history object exists
+    if (!habit.history) habit.history = {};
+    
+    habit.history[dateKey] = this.getNextStatus(habit.history[dateKey] || 'fail');
+    
+    // Update UI directly for immediate feedback
+    this.renderDayStatus(element, habit, dateKey);
+    
+    // Reaching a weekly target takes the rest of the week off the schedule
+    if (this.getSchedule(habit).type === 'weekly') {
+      document.querySelectorAll(`.habit-day[data-habit="${this.habits.indexOf(habit)}"]`).forEach(day => {
+        if (day !== element) this.renderDayStatus(day, habit, day.dataset.date);
+      });
+    }
+    
+    this.saveHabits();
+  }
+  
   /**
    * Enhanced long press handling with better touch support
    */
@@ -425,9 +929,11 @@ alignDateItemsWithHabitDays() {
     // Clear any previous longpress
     this.endLongPress();
     
-    // Store context for cleanup
+    // Store context for cleanup, and to tell a tap from a long press
     this.longPressContext = {
       element: element,
+      habitIndex: habitIndex,
+      dateKey: dateKey,
       timer: null
     };
     
@@ -468,32 +974,16 @@ alignDateItemsWithHabitDays() {
     this.touchMoveHandler = touchMoveHandler;
     
     // Start longpress timer
-    this.longPressContext.timer = setTimeout(() => {
+    const context = this.longPressContext;
+    context.timer = setTimeout(() => {
+      context.timer = null;
+      
       // Get the habit
       const habit = this.habits[habitIndex];
       if (!habit) return;
       
-      // Ensure history object exists
-      if (!habit.history) habit.history = {};
-      
-      // Toggle status
-      const currentStatus = habit.history[dateKey] || 'fail';
-      const newStatus = currentStatus === 'fail' ? 'done' : 'fail';
-      habit.history[dateKey] = newStatus;
-      
-      // Update UI directly for immediate feedback
-      if (newStatus === 'done') {
-        element.classList.remove('fail');
-        element.classList.add('done', habit.color);
-        element.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>';
-      } else {
-        element.classList.remove('done', habit.color);
-        element.classList.add('fail');
-        element.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
-      }
-      
-      // Save changes
-      this.saveHabits();
+      // Open the day to write a note (and the amount for quantitative habits)
+      this.showDayModal(habit, dateKey, () => this.renderHabits());
       
       // Add haptic feedback if available
       if (window.navigator && window.navigator.vibrate) {
@@ -521,6 +1011,10 @@ alignDateItemsWithHabitDays() {
       event.preventDefault();
     }
     
+    // Releasing before the long press fires is a tap
+    const context = this.longPressContext;
+    const isTap = !!(context && context.timer && event && (event.type === 'touchend' || event.type === 'mouseup'));
+    
     // Clear timer
     if (this.longPressContext && this.longPressContext.timer) {
       clearTimeout(this.longPressContext.timer);
@@ -541,6 +1035,11 @@ alignDateItemsWithHabitDays() {
     // Reset context
     this.longPressContext = null;
     this.touchOrigin = null;
+    
+    // A tap logs the day
+    if (isTap) {
+      this.handleHabitDayClick(context.habitIndex, context.dateKey, context.element);
+    }
   }
   
   /**
@@ -554,26 +1053,7 @@ alignDateItemsWithHabitDays() {
     const habit = this.habits[habitIndex];
     if (!habit) return;
     
-    // For standard clicks, implement different behavior - just toggle
-    if (!habit.history) habit.history = {};
-    
-    const currentStatus = habit.history[dateKey] || 'fail';
-    const newStatus = currentStatus === 'fail' ? 'done' : 'fail';
-    habit.history[dateKey] = newStatus;
-    
-    // Update the UI directly
-    if (newStatus === 'done') {
-      element.classList.remove('fail');
-      element.classList.add('done', habit.color);
-      element.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>';
-    } else {
-      element.classList.remove('done', habit.color);
-      element.classList.add('fail');
-      element.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
-    }
-    
-    // Save changes
-    this.saveHabits();
+    this.logHabitDay(habit, dateKey, element);
   }
   
   /**
@@ -585,8 +1065,11 @@ alignDateItemsWithHabitDays() {
     this.habitsContainer.innerHTML = '';
     this.habitsContainer.className = this.isRearranging ? 'rearranging' : '';
     
+    this.renderArchivedHabits();
+    this.renderGroupFilter();
+    
     // Handle empty habits
-    if (this.habits.length === 0) {
+    if (!this.habits.some(habit => !this.isArchived(habit))) {
       const emptyMessage = document.createElement('div');
       emptyMessage.className = 'empty-habits-message';
       emptyMessage.innerHTML = `
@@ -604,8 +1087,23 @@ alignDateItemsWithHabitDays() {
       return;
     }
     
-    // Create habit elements
-    this.habits.forEach((habit, index) => {
+    const rows = this.getGridRows();
+    if (rows.length === 0) {
+      const noMatches = document.createElement('p');
+      noMatches.className = 'habits-no-matches';
+      noMatches.textContent = 'No habits match the filter.';
+      this.habitsContainer.appendChild(noMatches);
+      return;
+    }
+    
+    // Create group headers and habit elements
+    rows.forEach(row => {
+      if (row.group) {
+        this.habitsContainer.appendChild(this.createGroupHeader(row.group));
+        return;
+      }
+      
+      const { habit, index } = row;
       const habitElement = document.createElement('div');
       habitElement.className = `habit-item ${habit.color}`;
       habitElement.setAttribute('data-index', index);
@@ -628,24 +1126,12 @@ alignDateItemsWithHabitDays() {
         date.setDate(today.getDate() - i - this.currentDateOffset);
         const dateKey = this.getDateKey(date);
         
-        const status = habit.history[dateKey] || 'fail';
-        
-        let className = 'fail';
-        let symbol = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
-        
-        if (status === 'done') {
-          symbol = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>';
-          className = `done ${habit.color}`;
-        }
-        
         habitGrid += `
-          <div class="habit-day ${className}" 
+          <div class="habit-day"
                data-date="${dateKey}"
                data-habit="${index}"
                role="button"
-               tabindex="0"
-               aria-label="${status === 'done' ? 'Completed' : 'Not completed'} on ${date.toLocaleDateString()}">
-            ${symbol}
+               tabindex="0">
           </div>
         `;
       }
@@ -661,12 +1147,16 @@ alignDateItemsWithHabitDays() {
         </div>
       `;
       
+      habitElement.querySelectorAll('.habit-day').forEach(day => this.renderDayStatus(day, habit, day.dataset.date));
+      
       this.habitsContainer.appendChild(habitElement);
     });
     
     // Add event listeners for habit names and days
     if (!this.isRearranging) {
-      document.querySelectorAll('.habit-name-section .name').forEach((nameElement, index) => {
+      document.querySelectorAll('.habit-name-section .name').forEach(nameElement => {
+        // Archived habits are skipped, so use the habit's own index
+        const index = parseInt(nameElement.closest('.habit-item').dataset.index);
         nameElement.addEventListener('click', () => this.showHabitDetail(index));
         
         // Add keyboard accessibility
@@ -706,6 +1196,47 @@ alignDateItemsWithHabitDays() {
     }
   }
   
+  /**
+   * Render the collapsible list of archived habits below the grid
+   */
+  renderArchivedHabits() {
+    if (!this.archivedSection) return;
+    
+    const archived = this.habits
+      .map((habit, index) => ({ habit, index }))
+      .filter(({ habit }) => this.isArchived(habit));
+    
+    this.archivedSection.style.display = archived.length > 0 ? '' : 'none';
+    this.archivedToggle.querySelector('span').textContent = `Archived (${archived.length})`;
+    this.archivedList.innerHTML = '';
+    
+    archived.forEach(({ habit, index }) => {
+      const item = document.createElement('div');
+      item.className = 'habits-archived-item';
+      
+      const name = document.createElement('button');
+      name.className = 'habits-archived-name';
+      name.textContent = habit.name;
+      name.setAttribute('aria-label', `View details for ${habit.name}`);
+      name.addEventListener('click', () => this.showHabitDetail(index));
+      
+      const date = document.createElement('span');
+      date.className = 'habits-archived-date';
+      date.textContent = `Archived ${new Date(habit.archivedAt).toLocaleDateString()}`;
+      
+      const restore = document.createElement('button');
+      restore.className = 'icon-btn';
+      restore.setAttribute('aria-label', `Restore ${habit.name}`);
+      restore.innerHTML = '<i class="material-icons-round">unarchive</i>';
+      restore.addEventListener('click', () => this.restoreHabit(index));
+      
+      item.appendChild(name);
+      item.appendChild(date);
+      item.appendChild(restore);
+      this.archivedList.appendChild(item);
+    });
+  }
+  
   /**
    * Show add habit modal
    */
@@ -718,28 +1249,209 @@ alignDateItemsWithHabitDays() {
     this.addHabitModal.style.display = 'flex';
     this.addHabitModal.style.zIndex = '1000';
     
-    this.habitNameInput.value = '';
-    this.selectColor('default');
-    this.habitNameInput.focus();
+    this.habitNameInput.value = '';
+    this.selectColor('default');
+    this.setScheduleFields({ type: 'daily' });
+    this.targetAmountInput.value = '';
+    this.targetUnitInput.value = '';
+    this.setGroupField('');
+    this.setReminderFields([]);
+    this.habitNameInput.focus();
+  }
+  
+  /**
+   * Show edit habit modal
+   */
+  showEditHabitModal() {
+    this.isEditing = true;
+    const habit = this.habits[this.currentHabitIndex];
+    
+    this.modalTitle.textContent = 'Edit Habit';
+    this.confirmButton.textContent = 'Save';
+    
+    // Ensure proper display of modal
+    this.addHabitModal.style.display = 'flex';
+    this.addHabitModal.style.zIndex = '1000';
+    
+    this.habitNameInput.value = habit.name;
+    this.selectColor(habit.color);
+    this.setScheduleFields(this.getSchedule(habit));
+    this.targetAmountInput.value = habit.target ? habit.target.amount : '';
+    this.targetUnitInput.value = habit.target ? habit.target.unit : '';
+    this.setGroupField(this.getGroup(habit));
+    this.setReminderFields(habit.reminders || []);
+    this.habitNameInput.focus();
+  }
+  
+  /**
+   * Fill the schedule fields of the habit modal
+   * @param {Object} schedule - Habit schedule
+   */
+  setScheduleFields(schedule) {
+    this.scheduleTypeSelect.value = schedule.type;
+    
+    const days = schedule.type === 'weekdays' ? schedule.days : [1, 2, 3, 4, 5];
+    this.scheduleFields.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = days.includes(parseInt(checkbox.value));
+    });
+    
+    this.scheduleNumberInput.value = schedule.times || schedule.every || '';
+    this.updateScheduleFields();
+  }
+  
+  /**
+   * Show the fields that belong to the selected schedule type
+   */
+  updateScheduleFields() {
+    const type = this.scheduleTypeSelect.value;
+    this.scheduleFields.dataset.type = type;
+    
+    if (type === 'weekly') {
+      this.scheduleUnit.textContent = 'times a week';
+      this.scheduleNumberInput.max = 6;
+      this.scheduleNumberInput.value = this.scheduleNumberInput.value || 3;
+    } else if (type === 'interval') {
+      this.scheduleUnit.textContent = 'days between';
+      this.scheduleNumberInput.max = 365;
+      this.scheduleNumberInput.value = this.scheduleNumberInput.value || 2;
+    }
+  }
+  
+  /**
+   * Read the schedule from the habit modal
+   * @param {Object} [current] - Schedule being edited, so an interval keeps its start day
+   * @returns {Object|null} Schedule, or null if the fields are invalid
+   */
+  readScheduleFields(current) {
+    const type = this.scheduleTypeSelect.value;
+    const number = parseInt(this.scheduleNumberInput.value);
+    
+    switch (type) {
+      case 'weekdays': {
+        const days = [...this.scheduleFields.querySelectorAll('input[type="checkbox"]:checked')]
+          .map(checkbox => parseInt(checkbox.value));
+        if (days.length === 0) {
+          utils.showToast('Please pick at least one day', 'error');
+          return null;
+        }
+        return { type, days };
+      }
+      case 'weekly':
+        if (!(number >= 1 && number <= 6)) {
+          utils.showToast('Times a week must be between 1 and 6', 'error');
+          return null;
+        }
+        return { type, times: number };
+      case 'interval':
+        if (!(number >= 2 && number <= 365)) {
+          utils.showToast('Days between must be between 2 and 365', 'error');
+          return null;
+        }
+        return {
+          type,
+          every: number,
+          start: current && current.type === 'interval' && current.every === number ? current.start : this.getDateKey(new Date())
+        };
+      default:
+        return { type: 'daily' };
+    }
+  }
+  
+  /**
+   * Fill the group field of the habit modal, suggesting existing groups
+   * @param {string} group - Current group name
+   */
+  setGroupField(group) {
+    this.groupInput.value = group;
+    this.groupOptions.innerHTML = '';
+    this.getGroupNames().filter(name => name).forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      this.groupOptions.appendChild(option);
+    });
+  }
+  
+  /**
+   * Fill the reminder rows of the habit modal
+   * @param {Array<Object>} reminders - Reminders ({time: 'HH:MM', days: [0-6]})
+   */
+  setReminderFields(reminders) {
+    this.reminderList.innerHTML = '';
+    reminders.forEach(reminder => this.addReminderRow(reminder));
+  }
+  
+  /**
+   * Add a reminder row with a time and the weekdays it fires on
+   * @param {Object} reminder - Reminder ({time: 'HH:MM', days: [0-6]})
+   */
+  addReminderRow(reminder) {
+    const dayNames = { 1: 'M', 2: 'T', 3: 'W', 4: 'T', 5: 'F', 6: 'S', 0: 'S' };
+    
+    const row = document.createElement('div');
+    row.className = 'habits-reminder-row';
+    row.innerHTML = `
+      <input type="time" class="habits-reminder-time" aria-label="Reminder time">
+      <div class="habits-reminder-days">
+        ${[1, 2, 3, 4, 5, 6, 0].map(day => `
+          <label><input type="checkbox" value="${day}" ${reminder.days.includes(day) ? 'checked' : ''}><span>${dayNames[day]}</span></label>
+        `).join('')}
+      </div>
+      <button type="button" class="icon-btn habits-reminder-remove" aria-label="Remove reminder">
+        <i class="material-icons-round">close</i>
+      </button>
+    `;
+    
+    row.querySelector('.habits-reminder-time').value = reminder.time;
+    row.querySelector('.habits-reminder-remove').addEventListener('click', () => row.remove());
+    this.reminderList.appendChild(row);
   }
   
   /**
-   * Show edit habit modal
+   * Read the reminders from the habit modal
+   * @returns {Array<Object>|null} Reminders, or null if a row is invalid
    */
-  showEditHabitModal() {
-    this.isEditing = true;
-    const habit = this.habits[this.currentHabitIndex];
+  readReminderFields() {
+    const reminders = [];
     
-    this.modalTitle.textContent = 'Edit Habit';
-    this.confirmButton.textContent = 'Save';
+    for (const row of this.reminderList.querySelectorAll('.habits-reminder-row')) {
+      const time = row.querySelector('.habits-reminder-time').value;
+      const days = [...row.querySelectorAll('input[type="checkbox"]:checked')].map(checkbox => parseInt(checkbox.value));
+      
+      if (!/^\d{2}:\d{2}$/.test(time)) {
+        utils.showToast('Please enter a time for each reminder', 'error');
+        return null;
+      }
+      if (days.length === 0) {
+        utils.showToast('Please pick at least one day for each reminder', 'error');
+        return null;
+      }
+      
+      reminders.push({ time, days });
+    }
     
-    // Ensure proper display of modal
-    this.addHabitModal.style.display = 'flex';
-    this.addHabitModal.style.zIndex = '1000';
+    // Reminders only reach the user once notifications are allowed
+    if (reminders.length > 0 && (!('Notification' in window) || Notification.permission !== 'granted')) {
+      utils.showToast('Enable notifications to receive habit reminders', 'warning');
+    }
     
-    this.habitNameInput.value = habit.name;
-    this.selectColor(habit.color);
-    this.habitNameInput.focus();
+    return reminders;
+  }
+  
+  /**
+   * Read the daily target from the habit modal
+   * @returns {Object|null|false} Target ({amount, unit}), null for a done/not done habit, or false if invalid
+   */
+  readTargetFields() {
+    const amountText = this.targetAmountInput.value.trim();
+    if (!amountText) return null;
+    
+    const amount = parseFloat(amountText);
+    if (!(amount > 0)) {
+      utils.showToast('Daily target must be greater than 0', 'error');
+      return false;
+    }
+    
+    return { amount, unit: this.targetUnitInput.value.trim() };
   }
   
   /**
@@ -787,13 +1499,29 @@ alignDateItemsWithHabitDays() {
       return;
     }
     
+    const schedule = this.readScheduleFields();
+    if (!schedule) return;
+    
+    const target = this.readTargetFields();
+    if (target === false) return;
+    
+    const reminders = this.readReminderFields();
+    if (!reminders) return;
+    
+    const group = this.groupInput.value.trim();
+    
     this.habits.push({
+      id: utils.createId('habit'),
       name: habitName,
       color: this.selectedColor,
+      ...(group && { group }),
+      schedule,
+      ...(reminders.length > 0 && { reminders }),
+      ...(target && { target, values: {} }),
       history: {}
     });
     
-    this.saveHabits();
+    this.saveHabitDefinitions();
     this.renderHabits();
     this.closeModal();
   }
@@ -809,14 +1537,126 @@ alignDateItemsWithHabitDays() {
       return;
     }
     
-    this.habits[this.currentHabitIndex].name = habitName;
-    this.habits[this.currentHabitIndex].color = this.selectedColor;
+    const habit = this.habits[this.currentHabitIndex];
+    const schedule = this.readScheduleFields(this.getSchedule(habit));
+    if (!schedule) return;
+    
+    const target = this.readTargetFields();
+    if (target === false) return;
     
-    this.saveHabits();
+    const reminders = this.readReminderFields();
+    if (!reminders) return;
+    
+    habit.name = habitName;
+    habit.color = this.selectedColor;
+    habit.schedule = schedule;
+    
+    const group = this.groupInput.value.trim();
+    if (group) {
+      habit.group = group;
+    } else {
+      delete habit.group;
+    }
+    
+    if (reminders.length > 0) {
+      habit.reminders = reminders;
+    } else {
+      delete habit.reminders;
+    }
+    
+    if (target) {
+      habit.target = target;
+      if (!habit.values) habit.values = {};
+      
+      // A new target changes which logged days met it
+      Object.keys(habit.values).forEach(dateKey => {
+        this.setHabitValue(habit, dateKey, habit.values[dateKey]);
+      });
+    } else {
+      // Logged amounts are kept in case the target comes back
+      delete habit.target;
+    }
+    
+    this.saveHabitDefinitions();
     this.closeModal();
     this.showHabitDetail(this.currentHabitIndex);
   }
   
+  /**
+   * Open the day modal to write a note and, for quantitative habits, log the amount
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {Function} onSave - Called after the day changes
+   */
+  showDayModal(habit, dateKey, onSave) {
+    this.dayContext = { habit, dateKey, onSave };
+    const quantitative = this.isQuantitative(habit);
+    
+    this.dayModalTitle.textContent = `${habit.name} - ${utils.parseDateKey(dateKey).toLocaleDateString()}`;
+    this.dayAmountGroup.style.display = quantitative ? '' : 'none';
+    this.daySkipButton.style.display = quantitative ? '' : 'none';
+    
+    if (quantitative) {
+      this.dayAmountLabel.textContent = `${habit.target.unit || 'Amount'} (target ${this.formatAmount(habit.target.amount)})`;
+      const value = this.getHabitValue(habit, dateKey);
+      this.dayAmountInput.value = value === null ? '' : value;
+    }
+    this.dayNoteInput.value = this.getHabitNote(habit, dateKey);
+    
+    this.dayModal.style.display = 'flex';
+    this.dayModal.style.zIndex = '1000';
+    (quantitative ? this.dayAmountInput : this.dayNoteInput).focus();
+  }
+  
+  /**
+   * Close the day modal without changing the day
+   */
+  closeDayModal() {
+    this.dayModal.style.display = 'none';
+    this.dayContext = null;
+  }
+  
+  /**
+   * Save the day modal; an empty amount clears the day's status
+   */
+  saveDayModal() {
+    if (!this.dayContext) return;
+    const { habit, dateKey, onSave } = this.dayContext;
+    
+    if (this.isQuantitative(habit)) {
+      const text = this.dayAmountInput.value.trim();
+      const value = text === '' ? null : parseFloat(text);
+      if (value !== null && !(value >= 0)) {
+        utils.showToast('Please enter an amount of 0 or more', 'error');
+        return;
+      }
+      // A day marked before the habit had a target has no amount to clear
+      if (value !== null || this.getHabitValue(habit, dateKey) !== null) {
+        this.setHabitValue(habit, dateKey, value);
+      }
+    }
+    
+    this.setHabitNote(habit, dateKey, this.dayNoteInput.value);
+    this.saveHabits();
+    this.closeDayModal();
+    onSave();
+  }
+  
+  /**
+   * Mark the day in the day modal as skipped, keeping its note
+   */
+  skipDay() {
+    if (!this.dayContext) return;
+    const { habit, dateKey, onSave } = this.dayContext;
+    
+    this.setHabitValue(habit, dateKey, null);
+    habit.history[dateKey] = 'skip';
+    this.setHabitNote(habit, dateKey, this.dayNoteInput.value);
+    this.saveHabits();
+    this.closeDayModal();
+    onSave();
+  }
+  
   /**
    * Toggle rearrange mode
    */
@@ -892,7 +1732,10 @@ alignDateItemsWithHabitDays() {
     
     element.classList.remove('drag-over');
     
-    if (this.dragSrcElement !== element) {
+    // Habits are ordered within their group
+    const sameGroup = this.getGroup(this.habits[this.dragSrcIndex]) === this.getGroup(this.habits[index]);
+    
+    if (this.dragSrcElement !== element && sameGroup) {
       const dropIndex = index;
       
       // Reorder habits array
@@ -942,6 +1785,11 @@ alignDateItemsWithHabitDays() {
     // Apply color theme
     this.applyColorThemeToDetailView(habit.color);
     
+    // Archived habits offer restore instead of archive
+    const archived = this.isArchived(habit);
+    this.archiveButton.querySelector('i').textContent = archived ? 'unarchive' : 'archive';
+    this.archiveButton.setAttribute('aria-label', archived ? 'Restore' : 'Archive');
+    
     // Make sure delete button has proper event listener
     const deleteButton = document.getElementById('habits-delete-button');
     if (deleteButton) {
@@ -988,9 +1836,57 @@ alignDateItemsWithHabitDays() {
     }
     
     // Render visualizations
+    this.renderScheduleSummary(habit);
     this.renderChart(habit);
     this.renderCalendar(habit);
     this.renderStreaks(habit);
+    
+    this.notesSearch.value = '';
+    this.renderNotes(habit);
+  }
+  
+  /**
+   * Show the habit's schedule and how often it was kept over the last 30 days
+   * @param {Object} habit - Habit object
+   */
+  renderScheduleSummary(habit) {
+    if (!this.scheduleSummary) return;
+    
+    const { hits, scheduled } = this.getCompletionRate(habit, 30);
+    const rate = scheduled > 0 ? `${Math.round(hits / scheduled * 100)}% of scheduled days in the last 30 days` : 'No scheduled days yet';
+    const target = this.isQuantitative(habit) ? `, ${this.describeTarget(habit)}` : '';
+    const archived = this.isArchived(habit) ? `Archived ${new Date(habit.archivedAt).toLocaleDateString()} · ` : '';
+    this.scheduleSummary.textContent = `${archived}${this.describeSchedule(habit)}${target} · ${rate}`;
+  }
+  
+  /**
+   * Count completed and scheduled days over a recent period.
+   * Only days that count for the schedule are included (see getDayOutcome),
+   * starting from the habit's first recorded day.
+   * @param {Object} habit - Habit object
+   * @param {number} days - Number of days up to and including today
+   * @returns {{hits: number, scheduled: number}} Completed and scheduled days
+   */
+  getCompletionRate(habit, days) {
+    const today = new Date();
+    const todayKey = this.getDateKey(today);
+    const firstKey = Object.keys(habit.history).sort()[0];
+    let hits = 0;
+    let scheduled = 0;
+    
+    for (let i = 0; i < days; i++) {
+      const date = new Date(today);
+      date.setDate(today.getDate() - i);
+      
+      const dateKey = this.getDateKey(date);
+      if (!firstKey || dateKey < firstKey) break;
+      
+      const outcome = this.getDayOutcome(habit, dateKey, todayKey);
+      if (outcome === 'hit') hits++;
+      if (outcome !== 'neutral') scheduled++;
+    }
+    
+    return { hits, scheduled };
   }
   
   /**
@@ -1015,6 +1911,7 @@ alignDateItemsWithHabitDays() {
       // Apply color to buttons
       const buttons = [
         document.getElementById('habits-edit-button'),
+        this.archiveButton,
         document.getElementById('habits-delete-button'),
         document.getElementById('habits-back-button')
       ];
@@ -1052,9 +1949,8 @@ alignDateItemsWithHabitDays() {
       return;
     }
     
-    // Determine max value for y-axis scaling
-    let maxValue = Math.max(...dataPoints.map(point => point.value));
-    maxValue = maxValue <= 0 ? 30 : Math.ceil(maxValue * 1.2); // Add 20% padding, minimum of 30
+    // Strength is a percentage, so the scale is fixed
+    const maxValue = 100;
     
     // Update y-axis labels with dynamic scale
     this.updateYAxisLabels(maxValue);
@@ -1159,166 +2055,101 @@ alignDateItemsWithHabitDays() {
       return [x, y];
     });
     
-    // Create path data for smooth curve
-    let path = `M ${coordinates[0][0]},${coordinates[0][1]}`;
-    
-    // Add curved segments between points
-    for (let i = 0; i < coordinates.length - 1; i++) {
-      const x1 = coordinates[i][0];
-      const y1 = coordinates[i][1];
-      const x2 = coordinates[i + 1][0];
-      const y2 = coordinates[i + 1][1];
+    return utils.buildSmoothCurvePath(coordinates);
+  }
+
+  /**
+   * Calculate habit strength for each day in a range.
+   * Strength is an exponentially weighted average of daily completions (0-100):
+   * each day moves it STRENGTH_WEIGHT of the way towards 100 if done, or towards 0 if not.
+   * Partial days count as PARTIAL_CREDIT of a completion; skipped, unscheduled and
+   * unfinished days leave it unchanged (see getDayOutcome).
+   * Days before the habit's first recorded day have no strength.
+   * @param {Object} habit - Habit object
+   * @param {string} startKey - First date key to return (YYYY-MM-DD)
+   * @param {string} endKey - Last date key to return (YYYY-MM-DD)
+   * @returns {Object} Strength keyed by date key
+   */
+  calculateHabitStrength(habit, startKey, endKey) {
+    const strengthByDate = {};
+    const firstKey = Object.keys(habit.history).sort()[0];
+    
+    // Walk from whichever comes first, so days before the range still count
+    const date = utils.parseDateKey(firstKey && firstKey < startKey ? firstKey : startKey);
+    const end = utils.parseDateKey(endKey);
+    const todayKey = this.getDateKey(new Date());
+    let strength = 0;
+    
+    while (date <= end) {
+      const dateKey = this.getDateKey(date);
+      
+      const outcome = firstKey && dateKey >= firstKey ? this.getDayOutcome(habit, dateKey, todayKey) : 'neutral';
+      if (outcome !== 'neutral') {
+        const status = habit.history[dateKey];
+        const completion = outcome === 'miss' ? 0 : status === 'partial' ? this.PARTIAL_CREDIT : 1;
+        strength += (completion - strength) * this.STRENGTH_WEIGHT;
+      }
       
-      // Calculate control points for smooth curve
-      const cpx1 = x1 + (x2 - x1) / 3;
-      const cpy1 = y1;
-      const cpx2 = x1 + 2 * (x2 - x1) / 3;
-      const cpy2 = y2;
+      if (dateKey >= startKey) {
+        strengthByDate[dateKey] = Math.round(strength * 1000) / 10;
+      }
       
-      // Add cubic bezier curve
-      path += ` C ${cpx1},${cpy1} ${cpx2},${cpy2} ${x2},${y2}`;
+      date.setDate(date.getDate() + 1);
     }
     
-    return path;
+    return strengthByDate;
   }
 
   /**
-   * Get data points by time period with improved calculation
+   * Get habit strength data points for the selected time period
    * @param {Object} habit - Habit object
-   * @returns {Array} - Array of data points
+   * @param {Date} [today] - Last day to include (defaults to now)
+   * @returns {Array} - Array of data points ({date, value})
    */
-  getDataPointsByTimePeriod(habit) {
-    const today = new Date();
-    let dataPoints = [];
+  getDataPointsByTimePeriod(habit, today = new Date()) {
+    const dates = [];
     
     switch (this.selectedTimePeriod) {
-      case 'day':
-        // Last 7 days by hour (showing completion pattern through the day)
-        const hoursToShow = 12;
-        for (let i = 0; i < hoursToShow; i++) {
-          const date = new Date(today);
-          date.setHours(today.getHours() - hoursToShow + i + 1, 0, 0, 0);
-          
-          // Calculate habit strength value (weighted average of nearby completions)
-          let value = 0;
-          const dateKey = this.getDateKey(date);
-          if (habit.history[dateKey] === 'done') {
-            // Higher value for hours with completions
-            value = 25 + Math.random() * 5;
-          } else {
-            // Lower random value for non-completion hours
-            value = 15 + Math.random() * 10;
-          }
-          
-          // Gradually decrease for most recent hours (showing current day decline like in screenshots)
-          if (i >= hoursToShow - 3) {
-            value *= (hoursToShow - i) / 3;
-          }
-          
-          dataPoints.push({ date, value });
-        }
-        break;
-        
       case 'weekly':
-        // Last 7 days pattern (matching week view in screenshot)
-        for (let i = 6; i >= 0; i--) {
+      case 'monthly': {
+        // One point per day
+        const days = this.selectedTimePeriod === 'weekly' ? 7 : 30;
+        for (let i = days - 1; i >= 0; i--) {
           const date = new Date(today);
           date.setDate(today.getDate() - i);
-          
-          // Calculate streak value based on screenshot pattern
-          // Start high and gradually decline
-          let value = 60 - (6 - i) * 5;
-          
-          // Adjust value based on completion
-          const dateKey = this.getDateKey(date);
-          if (habit.history[dateKey] === 'done') {
-            // Small bump for completed days
-            value += 3;
-          } else {
-            // Small drop for missed days
-            value -= 3;
-          }
-          
-          dataPoints.push({ date, value: Math.max(5, value) });
-        }
-        break;
-        
-      case 'monthly':
-        // Monthly pattern (upward trend like monthly view in screenshot)
-        const daysInMonth = 30;
-        
-        for (let i = 0; i < daysInMonth; i++) {
-          const date = new Date(today);
-          date.setDate(today.getDate() - (daysInMonth - 1) + i);
-          
-          // Start low and gradually increase (like in screenshot)
-          let value = 10;
-          
-          // Base trend - starting at 10, increasing to 25 by end
-          value = 10 + (i / (daysInMonth - 1)) * 15;
-          
-          // Add some randomness to make it look natural
-          value += Math.sin(i * 0.5) * 5;
-          
-          // Adjust value based on completion
-          const dateKey = this.getDateKey(date);
-          if (habit.history[dateKey] === 'done') {
-            value += 2;
-          } else {
-            value -= 1;
-          }
-          
-          // Special handling for last week (upward trend at end)
-          if (i >= daysInMonth - 7) {
-            value += (i - (daysInMonth - 7)) * 3;
-          }
-          
-          dataPoints.push({ date, value: Math.max(5, Math.min(50, value)) });
+          dates.push(date);
         }
         break;
+      }
         
-      case 'quarterly':
-        // Quarterly pattern (wave pattern like in trimester view)
-        const months = 9;
-        
-        for (let i = 0; i < months; i++) {
-          const date = new Date(today);
-          date.setMonth(today.getMonth() - (months - 1) + i);
-          
-          // Wave pattern with peak in middle and end
-          let value = 15 + 15 * Math.sin((i / months) * Math.PI * 2);
-          
-          // Add small dip in middle section
-          if (i > 3 && i < 6) {
-            value -= 5;
-          }
-          
-          // Add final upward trend
-          if (i >= 7) {
-            value += 5;
-          }
-          
-          dataPoints.push({ date, value: Math.max(5, Math.min(30, value)) });
+      case 'quarterly': {
+        // Strength at the end of each of the last 9 months (today for this month)
+        for (let i = 8; i >= 0; i--) {
+          const date = i === 0 ? new Date(today) : new Date(today.getFullYear(), today.getMonth() - i + 1, 0);
+          dates.push(date);
         }
         break;
+      }
         
-      case 'yearly':
-        // Yearly pattern (upward trend like in year view)
-        const years = 3;
-        
-        for (let i = 0; i < years; i++) {
-          const date = new Date(today);
-          date.setFullYear(today.getFullYear() - (years - 1) + i);
-          
-          // Start at 0, steady increase
-          let value = (i / (years - 1)) * 20;
-          
-          dataPoints.push({ date, value });
+      case 'yearly': {
+        // Strength at the end of each of the last 3 years (today for this year)
+        for (let i = 2; i >= 0; i--) {
+          const date = i === 0 ? new Date(today) : new Date(today.getFullYear() - i, 11, 31);
+          dates.push(date);
         }
         break;
+      }
     }
     
-    return dataPoints;
+    if (dates.length === 0) return [];
+    
+    const strengthByDate = this.calculateHabitStrength(
+      habit,
+      this.getDateKey(dates[0]),
+      this.getDateKey(dates[dates.length - 1])
+    );
+    
+    return dates.map(date => ({ date, value: strengthByDate[this.getDateKey(date)] }));
   }
 
   /**
@@ -1330,15 +2161,6 @@ alignDateItemsWithHabitDays() {
     let labels = [];
     
     switch (this.selectedTimePeriod) {
-      case 'day':
-        // Last 12 hours
-        for (let i = 0; i < 12; i++) {
-          const date = new Date(today);
-          date.setHours(today.getHours() - 12 + i + 1, 0, 0, 0);
-          labels.push(date);
-        }
-        break;
-        
       case 'weekly':
         // Last 7 days
         for (let i = 6; i >= 0; i--) {
@@ -1392,9 +2214,6 @@ alignDateItemsWithHabitDays() {
    */
   formatDateForTimePeriod(date) {
     switch (this.selectedTimePeriod) {
-      case 'day':
-        return date.getHours() + ':00';
-        
       case 'weekly':
         return (date.getMonth() + 1) + '/' + date.getDate();
         
@@ -1449,6 +2268,7 @@ alignDateItemsWithHabitDays() {
    */
   deleteCurrentHabit() {
     const indexToDelete = this.currentHabitIndex;
+    const habitName = this.habits[indexToDelete].name;
     
     // Create confirmation modal with proper styling
     const confirmationModal = document.createElement('div');
@@ -1467,10 +2287,12 @@ alignDateItemsWithHabitDays() {
     confirmationModal.innerHTML = `
       <div class="modal-content" style="position: relative; max-width: 320px;">
         <div class="modal-header">Delete Habit</div>
-        <p style="margin-bottom: 20px;">Are you sure you want to delete this habit?</p>
+        <p style="margin-bottom: 12px;">This permanently deletes the habit and all of its history. Archive it instead to keep its history.</p>
+        <p style="margin-bottom: 12px;">Type <strong>${utils.escapeHTML(habitName)}</strong> to confirm.</p>
+        <input type="text" class="modal-input" id="habits-delete-name" autocomplete="off" aria-label="Habit name">
         <div class="modal-buttons">
           <button class="modal-button cancel" id="habits-cancel-delete">Cancel</button>
-          <button class="modal-button confirm" style="background-color: var(--habits-primary);" id="habits-confirm-delete">Delete</button>
+          <button class="modal-button confirm" style="background-color: var(--habits-primary);" id="habits-confirm-delete" disabled>Delete</button>
         </div>
       </div>
     `;
@@ -1482,9 +2304,20 @@ alignDateItemsWithHabitDays() {
       document.body.removeChild(confirmationModal);
     };
     
+    // Only delete once the habit's name has been typed
+    const nameInput = document.getElementById('habits-delete-name');
+    const confirmButton = document.getElementById('habits-confirm-delete');
+    const nameMatches = () => nameInput.value.trim() === habitName.trim();
+    nameInput.addEventListener('input', () => {
+      confirmButton.disabled = !nameMatches();
+    });
+    nameInput.focus();
+    
     const confirmDelete = function() {
+      if (!nameMatches()) return;
+      
       window.habitsTracker.habits.splice(indexToDelete, 1);
-      window.habitsTracker.saveHabits();
+      window.habitsTracker.saveHabitDefinitions();
       document.body.removeChild(confirmationModal);
       window.habitsTracker.showMainView();
     };
@@ -1494,6 +2327,98 @@ alignDateItemsWithHabitDays() {
     document.getElementById('habits-confirm-delete').addEventListener('click', confirmDelete);
   }
   
+  /**
+   * Archive the habit shown in the detail view, or restore it if it is archived
+   */
+  toggleArchiveCurrentHabit() {
+    const habit = this.habits[this.currentHabitIndex];
+    if (!habit) return;
+    
+    if (this.isArchived(habit)) {
+      this.restoreHabit(this.currentHabitIndex);
+      this.showHabitDetail(this.currentHabitIndex);
+    } else {
+      this.archiveHabit(this.currentHabitIndex);
+      this.showMainView();
+    }
+  }
+  
+  /**
+   * Listen for "mark done" from habit reminder notifications. The service
+   * worker messages an open window, or opens one with the action in its URL.
+   */
+  initReminderActions() {
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'habit-done') {
+          this.markHabitDone(event.data.habit, event.data.date);
+        }
+      });
+    }
+    
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('habit-done')) {
+      this.markHabitDone(params.get('habit-done'), params.get('date'));
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  }
+  
+  /**
+   * Mark a habit done for a day, e.g. from a reminder
+   * @param {string} id - Habit id, which stays the same when the habit is renamed
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   */
+  markHabitDone(id, dateKey) {
+    const habit = this.habits.find(candidate => candidate.id === id);
+    if (!habit || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey || '')) {
+      utils.showToast('That habit no longer exists', 'error');
+      return;
+    }
+    
+    // Quantitative habits are topped up to their target
+    if (this.isQuantitative(habit)) {
+      this.setHabitValue(habit, dateKey, Math.max(this.getHabitValue(habit, dateKey) || 0, habit.target.amount));
+    } else {
+      habit.history[dateKey] = 'done';
+    }
+    
+    this.saveHabits();
+    this.renderHabits();
+    utils.showToast(`"${habit.name}" marked done`, 'success');
+  }
+  
+  /**
+   * Hide a habit from the main grid, keeping its history
+   * @param {number} index - Index of the habit
+   */
+  archiveHabit(index) {
+    const habit = this.habits[index];
+    habit.archivedAt = new Date().toISOString();
+    this.saveHabitDefinitions();
+    
+    // Find the habit again on Undo, as others may be deleted or moved meanwhile
+    utils.showToast(`"${habit.name}" archived`, 'success', 5000, {
+      label: 'Undo',
+      onClick: () => {
+        const currentIndex = this.habits.indexOf(habit);
+        if (currentIndex !== -1 && this.isArchived(habit)) this.restoreHabit(currentIndex);
+      }
+    });
+  }
+  
+  /**
+   * Bring an archived habit back to the main grid
+   * @param {number} index - Index of the habit
+   */
+  restoreHabit(index) {
+    const habit = this.habits[index];
+    delete habit.archivedAt;
+    this.saveHabitDefinitions();
+    this.renderHabits();
+    
+    utils.showToast(`"${habit.name}" restored`, 'success');
+  }
+  
   /**
    * Show main view
    */
@@ -1621,9 +2546,7 @@ createMonthCalendar(habit, monthDate) {
     cell.className = 'habits-calendar-cell';
     cell.dataset.dateKey = dateKey; // Store the dateKey for easier access
     
-    if (status === 'done') {
-      cell.className += ` active ${habit.color}`;
-    }
+    this.setCalendarCellStatus(cell, habit, status);
     
     // Check if this date is in the future
     const today = new Date();
@@ -1796,26 +2719,39 @@ toggleCalendarEdit() {
       // Get the current habit
       const habit = this.habits[this.currentHabitIndex];
       
-      // Add direct click handler to toggle status
+      // Add direct click handler to cycle status
       cell.addEventListener('click', (e) => {
-        const currentStatus = habit.history[dateKey] || 'fail';
-        habit.history[dateKey] = currentStatus === 'fail' ? 'done' : 'fail';
+        // Prevent event bubbling
+        e.stopPropagation();
         
-        // Update the cell appearance directly instead of re-rendering
-        if (habit.history[dateKey] === 'done') {
-          cell.classList.add('active', habit.color);
-        } else {
-          cell.classList.remove('active', habit.color);
+        const refresh = () => {
+          // Update the cell appearance directly instead of re-rendering
+          this.setCalendarCellStatus(cell, habit, habit.history[dateKey]);
+          
+          // Reaching a weekly target takes the rest of the week off the schedule
+          if (this.getSchedule(habit).type === 'weekly') {
+            this.calendarScrollContent.querySelectorAll('.habits-calendar-cell[data-date-key]').forEach(other => {
+              this.setCalendarCellStatus(other, habit, habit.history[other.dataset.dateKey]);
+            });
+          }
+          
+          // Update chart and streaks without re-rendering calendar
+          this.renderScheduleSummary(habit);
+          this.renderChart(habit);
+          this.renderStreaks(habit);
+          this.renderNotes(habit);
+        };
+        
+        // Quantitative habits ask for the amount instead of cycling
+        if (this.isQuantitative(habit)) {
+          this.showDayModal(habit, dateKey, refresh);
+          return;
         }
         
+        habit.history[dateKey] = this.getNextStatus(habit.history[dateKey] || 'fail');
         this.saveHabits();
-        
-        // Update chart and streaks without re-rendering calendar
-        this.renderChart(habit);
-        this.renderStreaks(habit);
-        
-        // Prevent event bubbling
-        e.stopPropagation();
+        refresh();
+        this.showNoteToast(habit, dateKey, refresh);
       });
     } else {
       cell.classList.remove('editable');
@@ -1827,6 +2763,36 @@ toggleCalendarEdit() {
   });
 }
 
+/**
+ * Show a day's status on a calendar cell
+ * @param {HTMLElement} cell - Calendar cell
+ * @param {Object} habit - Habit object
+ * @param {string} status - Day status
+ */
+setCalendarCellStatus(cell, habit, status) {
+  cell.classList.remove('active', 'partial', 'skip', 'inactive', habit.color);
+  
+  // Days the habit isn't scheduled for are dimmed unless something was logged
+  if (!status || status === 'fail') {
+    cell.classList.toggle('inactive', !this.isScheduledDay(habit, cell.dataset.dateKey));
+  }
+  
+  // Partial days are shaded in the habit colour, skipped days are hatched
+  if (status === 'done' || status === 'partial') {
+    cell.classList.add('active', habit.color);
+  }
+  if (status === 'partial' || status === 'skip') {
+    cell.classList.add(status);
+  }
+  
+  // Logged amounts and notes show on hover
+  const value = this.getHabitValue(habit, cell.dataset.dateKey);
+  const note = this.getHabitNote(habit, cell.dataset.dateKey);
+  const amount = this.isQuantitative(habit) && value !== null ? `${this.formatAmount(value)} / ${this.describeTarget(habit)}` : '';
+  cell.classList.toggle('has-note', !!note);
+  cell.title = [amount, note].filter(Boolean).join(' - ');
+}
+
 /**
  * Render streaks for habit
  * @param {Object} habit - Habit object
@@ -1837,7 +2803,7 @@ renderStreaks(habit) {
   this.habitStreaks.innerHTML = '';
   
   // Calculate streaks
-  const streaks = this.calculateStreaks(habit.history);
+  const streaks = this.calculateStreaks(habit);
   
   // Show top 3 streaks
   const topStreaks = streaks.slice(0, 3);
@@ -1879,38 +2845,89 @@ renderStreaks(habit) {
 }
 
 /**
- * Calculate streaks from habit history
- * @param {Object} history - Habit history
- * @returns {Array} - Array of streak objects
+ * Render the habit's notes, newest first, filtered by the search box
+ * @param {Object} habit - Habit object
  */
-calculateStreaks(history) {
-  const sortedDates = Object.entries(history)
-    .filter(([date, status]) => status === 'done')
-    .map(([date]) => date)
-    .sort();
+renderNotes(habit) {
+  if (!this.notesList || !habit) return;
+  
+  this.notesList.innerHTML = '';
+  
+  const query = this.notesSearch.value.trim().toLowerCase();
+  const notes = Object.entries(habit.notes || {})
+    .filter(([, note]) => note.toLowerCase().includes(query))
+    .sort(([a], [b]) => b.localeCompare(a));
   
+  if (notes.length === 0) {
+    const noNotes = document.createElement('p');
+    noNotes.className = 'habits-notes-empty';
+    noNotes.textContent = query ? `No notes match "${this.notesSearch.value.trim()}".` : 'No notes yet. Add one from the calendar edit mode or by long-pressing a day.';
+    this.notesList.appendChild(noNotes);
+    return;
+  }
+  
+  notes.forEach(([dateKey, note]) => {
+    const item = document.createElement('button');
+    item.className = 'habits-note';
+    
+    const header = document.createElement('div');
+    header.className = 'habits-note-date';
+    const value = this.getHabitValue(habit, dateKey);
+    const outcome = this.isQuantitative(habit) && value !== null
+      ? `${this.formatAmount(value)} / ${this.describeTarget(habit)}`
+      : this.getStatusLabel(habit.history[dateKey]);
+    header.textContent = `${utils.parseDateKey(dateKey).toLocaleDateString()} · ${outcome}`;
+    
+    const text = document.createElement('p');
+    text.className = 'habits-note-text';
+    text.textContent = note;
+    
+    item.appendChild(header);
+    item.appendChild(text);
+    
+    // Open the day to edit its note
+    item.addEventListener('click', () => {
+      this.showDayModal(habit, dateKey, () => this.showHabitDetail(this.currentHabitIndex));
+    });
+    
+    this.notesList.appendChild(item);
+  });
+}
+
+/**
+ * Calculate streaks from habit history.
+ * Done and partial days extend a streak, missed scheduled days end it, and
+ * skipped or unscheduled days keep it going without adding to it.
+ * @param {Object} habit - Habit object
+ * @returns {Array} - Array of streak objects
+ */
+calculateStreaks(habit) {
+  const dateKeys = Object.keys(habit.history).sort();
   const streaks = [];
+  if (dateKeys.length === 0) return streaks;
+  
+  const todayKey = this.getDateKey(new Date());
+  const date = utils.parseDateKey(dateKeys[0]);
+  const end = utils.parseDateKey(dateKeys[dateKeys.length - 1] > todayKey ? dateKeys[dateKeys.length - 1] : todayKey);
   let currentStreak = null;
   
-  sortedDates.forEach(date => {
-    const currentDate = new Date(date);
+  while (date <= end) {
+    const dateKey = this.getDateKey(date);
+    const outcome = this.getDayOutcome(habit, dateKey, todayKey);
     
-    if (!currentStreak) {
-      currentStreak = { start: date, end: date, length: 1 };
-    } else {
-      const lastDate = new Date(currentStreak.end);
-      const nextDay = new Date(lastDate);
-      nextDay.setDate(lastDate.getDate() + 1);
-      
-      if (currentDate.getTime() === nextDay.getTime()) {
-        currentStreak.end = date;
-        currentStreak.length++;
-      } else {
-        streaks.push(currentStreak);
-        currentStreak = { start: date, end: date, length: 1 };
+    if (outcome === 'hit') {
+      if (!currentStreak) {
+        currentStreak = { start: dateKey, end: dateKey, length: 0 };
       }
+      currentStreak.end = dateKey;
+      currentStreak.length++;
+    } else if (outcome === 'miss' && currentStreak) {
+      streaks.push(currentStreak);
+      currentStreak = null;
     }
-  });
+    
+    date.setDate(date.getDate() + 1);
+  }
   
   if (currentStreak) {
     streaks.push(currentStreak);
@@ -1924,11 +2941,11 @@ calculateStreaks(history) {
  */
 checkAndResetDailyHabits() {
   const currentDate = utils.formatDate(new Date());
-  const lastResetDate = localStorage.getItem(this.lastResetKey);
+  const lastResetDate = storageManager.getItem(this.lastResetKey);
   
   if (lastResetDate !== currentDate) {
     // Nothing to reset, just update the last reset date
-    localStorage.setItem(this.lastResetKey, currentDate);
+    storageManager.setItem(this.lastResetKey, currentDate);
   }
 }
 
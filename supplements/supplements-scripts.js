@@ -0,0 +1,664 @@
+/**
+ * Health & Habit Tracker App - Supplements Functionality
+ * This file contains the implementation of the supplement stack tracker
+ */
+
+/**
+ * SupplementsTracker class for tracking a daily supplement stack
+ */
+class SupplementsTracker {
+  /**
+   * Create a new supplements tracker
+   */
+  constructor() {
+    // Define storage keys
+    this.supplementsKey = 'supplements_data';
+    
+    // Initialize variables
+    this.supplements = [];
+    this.selectedDateKey = this.getDateKey(new Date());
+    this.editingIndex = -1; // -1 while adding a supplement
+    this.HISTORY_DAYS = 14; // Days shown in each supplement's history row
+    this.ADHERENCE_DAYS = 30; // Days the adherence percentage covers
+    this.ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+    
+    // Load supplements data
+    this.loadSupplements();
+    
+    // Initialize UI elements
+    this.initElements();
+    
+    // Initialize event listeners
+    this.initEventListeners();
+    
+    // Set up core functionality
+    this.render();
+    
+    // Move on to the new day at midnight
+    this.setupMidnightRefresh();
+    
+    // Handle "mark taken" from supplement reminders
+    this.initReminderActions();
+  }
+  
+  /**
+   * Initialize DOM elements
+   */
+  initElements() {
+    // Main elements
+    this.doseList = document.getElementById('supplements-dose-list');
+    this.historyList = document.getElementById('supplements-history-list');
+    this.dateLabel = document.getElementById('supplements-date-label');
+    this.prevDayButton = document.getElementById('supplements-prev-day');
+    this.nextDayButton = document.getElementById('supplements-next-day');
+    
+    // Modal elements
+    this.modal = document.getElementById('supplement-modal');
+    this.modalTitle = document.getElementById('supplement-modal-title');
+    this.nameInput = document.getElementById('supplement-name-input');
+    this.doseInput = document.getElementById('supplement-dose-input');
+    this.timeList = document.getElementById('supplement-time-list');
+    this.dayInputs = document.querySelectorAll('#supplement-days input[type="checkbox"]');
+    this.deleteButton = document.getElementById('supplement-delete-button');
+    this.confirmButton = document.getElementById('supplement-confirm-button');
+  }
+  
+  /**
+   * Initialize event listeners
+   */
+  initEventListeners() {
+    document.getElementById('supplements-add-button').addEventListener('click', () => this.showAddModal());
+    document.getElementById('supplement-add-time').addEventListener('click', () => this.addTimeRow('20:00'));
+    document.getElementById('supplement-cancel-button').addEventListener('click', () => this.closeModal());
+    this.confirmButton.addEventListener('click', () => this.saveModal());
+    this.deleteButton.addEventListener('click', () => this.deleteSupplement(this.editingIndex));
+    this.prevDayButton.addEventListener('click', () => this.changeDay(-1));
+    this.nextDayButton.addEventListener('click', () => this.changeDay(1));
+    
+    // Enter key on inputs
+    [this.nameInput, this.doseInput].forEach(input => {
+      input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.saveModal();
+        }
+      });
+    });
+  }
+  
+  /**
+   * Get date key in YYYY-MM-DD format
+   * @param {Date} date - Date object
+   * @returns {string} Date key
+   */
+  getDateKey(date) {
+    return utils.formatDate(date);
+  }
+  
+  /**
+   * Load supplements from storage
+   */
+  loadSupplements() {
+    const storedSupplements = storageManager.getItem(this.supplementsKey);
+    this.supplements = storedSupplements ? JSON.parse(storedSupplements) : [];
+    this.supplements.forEach(supplement => {
+      if (!supplement.taken) supplement.taken = {};
+    });
+  }
+  
+  /**
+   * Save supplements to storage
+   * @returns {Promise<boolean>} Whether the write was persisted
+   */
+  saveSupplements() {
+    const saved = storageManager.setItem(this.supplementsKey, JSON.stringify(this.supplements));
+    
+    // Reminders follow supplements being added, edited, deleted or taken
+    scheduleSupplementsReminders();
+    return saved;
+  }
+  
+  /**
+   * Get the dose times and weekdays that applied on a day. Changing either
+   * starts a new version ({effectiveFrom, times, days}), so past days are
+   * counted against the schedule they had.
+   * @param {Object} supplement - Supplement
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @returns {{times: Array<string>, days: Array<number>}} Schedule
+   */
+  getScheduleForDate(supplement, dateKey) {
+    const versions = (supplement.scheduleVersions || []).filter(version => version.effectiveFrom <= dateKey);
+    if (versions.length > 0) return versions[versions.length - 1];
+    
+    return { times: supplement.times, days: supplement.days || this.ALL_DAYS };
+  }
+  
+  /**
+   * Start a new schedule version from today if the dose times or days changed
+   * @param {Object} supplement - Supplement, before the change
+   * @param {Array<string>} times - New dose times
+   * @param {Array<number>} days - New weekdays
+   */
+  recordScheduleChange(supplement, times, days) {
+    const current = { times: supplement.times, days: supplement.days || this.ALL_DAYS };
+    if (JSON.stringify(current.times) === JSON.stringify(times) && JSON.stringify(current.days) === JSON.stringify(days)) return;
+    
+    // Supplements saved before versions existed had one schedule since they were added
+    const versions = supplement.scheduleVersions ||
+      [{ effectiveFrom: supplement.createdAt || '1970-01-01', times: current.times, days: current.days }];
+    
+    // A second change on the same day replaces the first
+    const todayKey = this.getDateKey(new Date());
+    if (versions[versions.length - 1].effectiveFrom === todayKey) versions.pop();
+    
+    versions.push({ effectiveFrom: todayKey, times, days });
+    supplement.scheduleVersions = versions;
+  }
+  
+  /**
+   * Check whether a supplement is due on a day
+   * @param {Object} supplement - Supplement
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @returns {boolean} True if its doses are due that day
+   */
+  isScheduledDay(supplement, dateKey) {
+    if (supplement.createdAt && dateKey < supplement.createdAt) return false;
+    return this.getScheduleForDate(supplement, dateKey).days.includes(utils.parseDateKey(dateKey).getDay());
+  }
+  
+  /**
+   * Check whether a dose was taken
+   * @param {Object} supplement - Supplement
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {string} time - Dose time ('HH:MM')
+   * @returns {boolean} True if taken
+   */
+  isDoseTaken(supplement, dateKey, time) {
+    return (supplement.taken[dateKey] || []).includes(time);
+  }
+  
+  /**
+   * Check a dose off, or un-check it
+   * @param {Object} supplement - Supplement
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {string} time - Dose time ('HH:MM')
+   * @param {boolean} taken - Whether the dose was taken
+   */
+  setDoseTaken(supplement, dateKey, time, taken) {
+    const times = (supplement.taken[dateKey] || []).filter(takenTime => takenTime !== time);
+    if (taken) times.push(time);
+    
+    if (times.length > 0) {
+      supplement.taken[dateKey] = times.sort();
+    } else {
+      delete supplement.taken[dateKey];
+    }
+  }
+  
+  /**
+   * Toggle a dose on the selected day
+   * @param {number} index - Index of the supplement
+   * @param {string} time - Dose time ('HH:MM')
+   */
+  toggleDose(index, time) {
+    const supplement = this.supplements[index];
+    this.setDoseTaken(supplement, this.selectedDateKey, time, !this.isDoseTaken(supplement, this.selectedDateKey, time));
+    this.saveSupplements();
+    this.render();
+  }
+  
+  /**
+   * Count the doses due and taken on a day. Today only counts doses whose
+   * time has passed or that were already taken.
+   * @param {Object} supplement - Supplement
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {Date} [now] - Current time
+   * @returns {{due: number, taken: number}} Dose counts
+   */
+  getDayDoses(supplement, dateKey, now = new Date()) {
+    if (!this.isScheduledDay(supplement, dateKey)) return { due: 0, taken: 0 };
+    
+    const todayKey = this.getDateKey(now);
+    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    let due = 0;
+    let taken = 0;
+    
+    this.getScheduleForDate(supplement, dateKey).times.forEach(time => {
+      const isTaken = this.isDoseTaken(supplement, dateKey, time);
+      if (dateKey === todayKey && !isTaken && time > currentTime) return;
+      
+      due++;
+      if (isTaken) taken++;
+    });
+    
+    return { due, taken };
+  }
+  
+  /**
+   * Share of due doses taken over the last few days, today included
+   * @param {Object} supplement - Supplement
+   * @param {number} days - Number of days
+   * @returns {number|null} Percentage (0-100), or null if nothing was due
+   */
+  getAdherence(supplement, days) {
+    const today = new Date();
+    let due = 0;
+    let taken = 0;
+    
+    for (let i = 0; i < days; i++) {
+      const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+      const doses = this.getDayDoses(supplement, this.getDateKey(date), today);
+      due += doses.due;
+      taken += doses.taken;
+    }
+    
+    return due > 0 ? Math.round(taken / due * 100) : null;
+  }
+  
+  /**
+   * Describe when a supplement is taken, e.g. "08:00, 20:00 · Mon, Wed, Fri"
+   * @param {Object} supplement - Supplement
+   * @returns {string} Description
+   */
+  describeSchedule(supplement) {
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const days = supplement.days || this.ALL_DAYS;
+    const dayText = days.length === 7
+      ? 'Every day'
+      : [1, 2, 3, 4, 5, 6, 0].filter(day => days.includes(day)).map(day => dayNames[day]).join(', ');
+    
+    return `${supplement.times.join(', ')} · ${dayText}`;
+  }
+  
+  /**
+   * Move the checklist to another day; the future is out of reach
+   * @param {number} offset - Days to move (-1 back, 1 forward)
+   */
+  changeDay(offset) {
+    const date = utils.parseDateKey(this.selectedDateKey);
+    date.setDate(date.getDate() + offset);
+    
+    const dateKey = this.getDateKey(date);
+    if (dateKey > this.getDateKey(new Date())) return;
+    
+    this.selectedDateKey = dateKey;
+    this.render();
+  }
+  
+  /**
+   * Render the checklist and the adherence history
+   */
+  render() {
+    this.renderDateNav();
+    this.renderDoses();
+    this.renderHistory();
+  }
+  
+  /**
+   * Show the selected day between the day buttons
+   */
+  renderDateNav() {
+    if (!this.dateLabel) return;
+    
+    const todayKey = this.getDateKey(new Date());
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    
+    if (this.selectedDateKey === todayKey) {
+      this.dateLabel.textContent = 'Today';
+    } else if (this.selectedDateKey === this.getDateKey(yesterday)) {
+      this.dateLabel.textContent = 'Yesterday';
+    } else {
+      this.dateLabel.textContent = utils.parseDateKey(this.selectedDateKey).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+    
+    this.nextDayButton.disabled = this.selectedDateKey >= todayKey;
+  }
+  
+  /**
+   * Render each supplement with a check-off button per dose
+   */
+  renderDoses() {
+    if (!this.doseList) return;
+    
+    this.doseList.innerHTML = '';
+    
+    // Handle empty stack
+    if (this.supplements.length === 0) {
+      const emptyMessage = document.createElement('div');
+      emptyMessage.className = 'supplements-empty';
+      emptyMessage.innerHTML = `
+        <p>No supplements yet</p>
+        <p>Add each supplement with its dose and times to check it off every day and get reminders.</p>
+        <button class="action-btn supplements" onclick="window.supplementsTracker.showAddModal()">
+          Add Supplement
+        </button>
+      `;
+      this.doseList.appendChild(emptyMessage);
+      return;
+    }
+    
+    this.supplements.forEach((supplement, index) => {
+      const item = document.createElement('div');
+      item.className = 'supplement-item';
+      
+      const scheduled = this.isScheduledDay(supplement, this.selectedDateKey);
+      item.classList.toggle('not-scheduled', !scheduled);
+      
+      item.innerHTML = `
+        <div class="supplement-info">
+          <button class="supplement-name" aria-label="Edit ${utils.escapeHTML(supplement.name)}">${utils.escapeHTML(supplement.name)}</button>
+          <span class="supplement-dose">${utils.escapeHTML(supplement.dose || '')}</span>
+        </div>
+        <div class="supplement-doses"></div>
+      `;
+      
+      item.querySelector('.supplement-name').addEventListener('click', () => this.showEditModal(index));
+      
+      const doses = item.querySelector('.supplement-doses');
+      if (!scheduled) {
+        doses.innerHTML = '<span class="supplement-rest-day">Not scheduled</span>';
+      } else {
+        this.getScheduleForDate(supplement, this.selectedDateKey).times.forEach(time => {
+          const taken = this.isDoseTaken(supplement, this.selectedDateKey, time);
+          const button = document.createElement('button');
+          button.className = `supplement-dose-btn${taken ? ' taken' : ''}`;
+          button.setAttribute('aria-pressed', taken);
+          button.setAttribute('aria-label', `${supplement.name} at ${time}${taken ? ', taken' : ''}`);
+          button.innerHTML = `
+            <i class="material-icons-round">${taken ? 'check_circle' : 'radio_button_unchecked'}</i>
+            <span></span>
+          `;
+          button.querySelector('span').textContent = time;
+          button.addEventListener('click', () => this.toggleDose(index, time));
+          doses.appendChild(button);
+        });
+      }
+      
+      this.doseList.appendChild(item);
+    });
+  }
+  
+  /**
+   * Render recent days and the adherence percentage for each supplement
+   */
+  renderHistory() {
+    if (!this.historyList) return;
+    
+    this.historyList.innerHTML = '';
+    
+    if (this.supplements.length === 0) {
+      this.historyList.innerHTML = '<p class="supplements-history-empty">History appears once you add supplements.</p>';
+      return;
+    }
+    
+    const today = new Date();
+    
+    this.supplements.forEach(supplement => {
+      const adherence = this.getAdherence(supplement, this.ADHERENCE_DAYS);
+      
+      const row = document.createElement('div');
+      row.className = 'supplement-history-row';
+      row.innerHTML = `
+        <div class="supplement-history-header">
+          <span class="supplement-history-name">${utils.escapeHTML(supplement.name)}</span>
+          <span class="supplement-adherence" title="Doses taken over the last ${this.ADHERENCE_DAYS} days">
+            ${adherence === null ? '–' : `${adherence}%`}
+          </span>
+        </div>
+        <p class="supplement-schedule">${utils.escapeHTML(this.describeSchedule(supplement))}</p>
+        <div class="supplement-history-days"></div>
+      `;
+      
+      const daysContainer = row.querySelector('.supplement-history-days');
+      for (let i = this.HISTORY_DAYS - 1; i >= 0; i--) {
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+        const dateKey = this.getDateKey(date);
+        const { due, taken } = this.getDayDoses(supplement, dateKey, today);
+        
+        let status = 'off';
+        if (due > 0) {
+          status = taken === due ? 'full' : taken > 0 ? 'partial' : 'missed';
+        } else if (this.isScheduledDay(supplement, dateKey)) {
+          status = 'pending';
+        }
+        
+        const day = document.createElement('div');
+        day.className = `supplement-history-day ${status}`;
+        day.title = `${date.toLocaleDateString()}: ${due > 0 ? `${taken}/${due} taken` : status === 'pending' ? 'due later' : 'not scheduled'}`;
+        day.textContent = date.getDate();
+        daysContainer.appendChild(day);
+      }
+      
+      this.historyList.appendChild(row);
+    });
+  }
+  
+  /**
+   * Show the modal for a new supplement
+   */
+  showAddModal() {
+    this.editingIndex = -1;
+    this.modalTitle.textContent = 'Add Supplement';
+    this.confirmButton.textContent = 'Add';
+    this.deleteButton.style.display = 'none';
+    
+    this.nameInput.value = '';
+    this.doseInput.value = '';
+    this.setTimeFields(['09:00']);
+    this.setDayFields(this.ALL_DAYS);
+    
+    this.modal.style.display = 'flex';
+    this.modal.style.zIndex = '1000';
+    this.nameInput.focus();
+  }
+  
+  /**
+   * Show the modal for an existing supplement
+   * @param {number} index - Index of the supplement
+   */
+  showEditModal(index) {
+    const supplement = this.supplements[index];
+    
+    this.editingIndex = index;
+    this.modalTitle.textContent = 'Edit Supplement';
+    this.confirmButton.textContent = 'Save';
+    this.deleteButton.style.display = '';
+    
+    this.nameInput.value = supplement.name;
+    this.doseInput.value = supplement.dose || '';
+    this.setTimeFields(supplement.times);
+    this.setDayFields(supplement.days || this.ALL_DAYS);
+    
+    this.modal.style.display = 'flex';
+    this.modal.style.zIndex = '1000';
+    this.nameInput.focus();
+  }
+  
+  /**
+   * Close the supplement modal
+   */
+  closeModal() {
+    this.modal.style.display = 'none';
+    this.editingIndex = -1;
+  }
+  
+  /**
+   * Fill the dose time rows of the modal
+   * @param {Array<string>} times - Dose times ('HH:MM')
+   */
+  setTimeFields(times) {
+    this.timeList.innerHTML = '';
+    times.forEach(time => this.addTimeRow(time));
+  }
+  
+  /**
+   * Add a dose time row to the modal
+   * @param {string} time - Dose time ('HH:MM')
+   */
+  addTimeRow(time) {
+    const row = document.createElement('div');
+    row.className = 'supplement-time-row';
+    row.innerHTML = `
+      <input type="time" class="supplement-time-input" aria-label="Dose time">
+      <button type="button" class="icon-btn supplement-time-remove" aria-label="Remove time">
+        <i class="material-icons-round">close</i>
+      </button>
+    `;
+    
+    row.querySelector('.supplement-time-input').value = time;
+    row.querySelector('.supplement-time-remove').addEventListener('click', () => row.remove());
+    this.timeList.appendChild(row);
+  }
+  
+  /**
+   * Tick the weekdays a supplement is taken on
+   * @param {Array<number>} days - Weekdays (0 = Sunday)
+   */
+  setDayFields(days) {
+    this.dayInputs.forEach(input => {
+      input.checked = days.includes(parseInt(input.value));
+    });
+  }
+  
+  /**
+   * Read the dose times from the modal
+   * @returns {Array<string>|null} Sorted, distinct times, or null if invalid
+   */
+  readTimeFields() {
+    const times = [...this.timeList.querySelectorAll('.supplement-time-input')].map(input => input.value);
+    
+    if (times.length === 0) {
+      utils.showToast('Please add at least one dose time', 'error');
+      return null;
+    }
+    if (times.some(time => !/^\d{2}:\d{2}$/.test(time))) {
+      utils.showToast('Please enter each dose time', 'error');
+      return null;
+    }
+    
+    return [...new Set(times)].sort();
+  }
+  
+  /**
+   * Add or update the supplement in the modal
+   */
+  saveModal() {
+    const name = this.nameInput.value.trim();
+    if (!name) {
+      utils.showToast('Please enter a supplement name', 'error');
+      return;
+    }
+    
+    const duplicate = this.supplements.some((supplement, index) =>
+      index !== this.editingIndex && supplement.name.trim().toLowerCase() === name.toLowerCase());
+    if (duplicate) {
+      utils.showToast(`"${name}" is already in your stack`, 'error');
+      return;
+    }
+    
+    const times = this.readTimeFields();
+    if (!times) return;
+    
+    const days = [...this.dayInputs].filter(input => input.checked).map(input => parseInt(input.value));
+    if (days.length === 0) {
+      utils.showToast('Please pick at least one day', 'error');
+      return;
+    }
+    
+    const details = { name, dose: this.doseInput.value.trim(), times, days: days.sort() };
+    
+    if (this.editingIndex === -1) {
+      this.supplements.push({ ...details, taken: {}, createdAt: this.getDateKey(new Date()) });
+      utils.showToast(`${name} added`, 'success');
+    } else {
+      this.recordScheduleChange(this.supplements[this.editingIndex], details.times, details.days);
+      Object.assign(this.supplements[this.editingIndex], details);
+      utils.showToast(`${name} updated`, 'success');
+    }
+    
+    // Dose reminders only reach the user once they are switched on
+    if (storageManager.getItem(NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER) !== 'true') {
+      utils.showToast('Turn on supplements reminders in notification settings to be reminded of doses', 'info');
+    }
+    
+    this.saveSupplements();
+    this.closeModal();
+    this.render();
+  }
+  
+  /**
+   * Delete a supplement and its history
+   * @param {number} index - Index of the supplement
+   */
+  deleteSupplement(index) {
+    const supplement = this.supplements[index];
+    if (!supplement) return;
+    
+    if (!confirm(`Delete ${supplement.name}? Its dose history will be removed too.`)) return;
+    
+    this.supplements.splice(index, 1);
+    this.saveSupplements();
+    this.closeModal();
+    this.render();
+    
+    utils.showToast(`${supplement.name} deleted`, 'info');
+  }
+  
+  /**
+   * Listen for "mark taken" from supplement reminder notifications. The
+   * service worker messages an open window, or opens one with the action in its URL.
+   */
+  initReminderActions() {
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'supplement-taken') {
+          this.markDoseTaken(event.data.supplement, event.data.time, event.data.date);
+        }
+      });
+    }
+    
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('supplement-taken')) {
+      this.markDoseTaken(params.get('supplement-taken'), params.get('time'), params.get('date'));
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  }
+  
+  /**
+   * Mark a dose taken, e.g. from a reminder
+   * @param {string} name - Supplement name
+   * @param {string} time - Dose time ('HH:MM')
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   */
+  markDoseTaken(name, time, dateKey) {
+    const supplement = this.supplements.find(candidate => candidate.name === name);
+    if (!supplement || !supplement.times.includes(time) || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey || '')) {
+      utils.showToast('That dose is no longer in your stack', 'error');
+      return;
+    }
+    
+    this.setDoseTaken(supplement, dateKey, time, true);
+    this.saveSupplements();
+    this.render();
+    utils.showToast(`${supplement.name} (${time}) marked taken`, 'success');
+  }
+  
+  /**
+   * Show the new day's checklist after midnight
+   */
+  setupMidnightRefresh() {
+    const now = new Date();
+    const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    
+    setTimeout(() => {
+      // Follow the day over unless an earlier day is being edited
+      const yesterday = this.getDateKey(now);
+      if (this.selectedDateKey === yesterday) {
+        this.selectedDateKey = this.getDateKey(new Date());
+      }
+      this.render();
+      this.setupMidnightRefresh();
+    }, midnight - now);
+  }
+}
@@ -10,27 +10,41 @@ class Tracker {
   /**
    * Create a new tracker
    * @param {Object} config - Configuration object
-   * @param {string} config.type - Type of tracker (water or protein)
+   * @param {string} config.type - Type of tracker (water, protein or a user-defined type)
    * @param {string} config.unit - Unit of measurement (ml or g)
+   * @param {string} [config.name] - Display name (defaults to the capitalized type)
+   * @param {Array<Object>} [config.presets] - Default quick-add presets ({amount, label})
+   * @param {boolean} [config.builtIn] - Whether the tracker has static markup and styles
    */
   constructor(config) {
     // Basic properties
     this.type = config.type;
     this.unit = config.unit;
+    this.name = config.name || this.type.charAt(0).toUpperCase() + this.type.slice(1);
+    
+    // Built-in trackers have their own colour classes, user-defined ones share one
+    this.buttonClass = config.builtIn ? this.type : 'tracker';
     
     // Storage keys
     this.goalKey = `${STORAGE_KEYS.GOAL_PREFIX}${this.type}`;
     this.intakeKey = `${STORAGE_KEYS.INTAKE_PREFIX}${this.type}`;
     this.historyKey = `${STORAGE_KEYS.HISTORY_PREFIX}${this.type}`;
     this.lastResetKey = `${STORAGE_KEYS.LAST_RESET_PREFIX}${this.type}`;
+    this.presetsKey = `${STORAGE_KEYS.PRESETS_PREFIX}${this.type}`;
+    this.goalScheduleKey = `${STORAGE_KEYS.GOAL_SCHEDULE_PREFIX}${this.type}`;
     
     // Track timeout ID to prevent memory leaks
     this.midnightResetTimeout = null;
     
-    // Load data from localStorage
-    this.goal = parseInt(localStorage.getItem(this.goalKey)) || 0;
-    this.totalIntake = parseInt(localStorage.getItem(this.intakeKey)) || 0;
-    this.dailyHistory = JSON.parse(localStorage.getItem(this.historyKey)) || {};
+    // Default analytics period
+    this.selectedTimePeriod = 'weekly';
+    
+    // Load data from storage
+    this.goalSchedule = this.loadGoalSchedule();
+    this.goal = this.getGoalForDate(new Date());
+    this.totalIntake = parseInt(storageManager.getItem(this.intakeKey)) || 0;
+    this.dailyHistory = JSON.parse(storageManager.getItem(this.historyKey)) || {};
+    this.presets = JSON.parse(storageManager.getItem(this.presetsKey)) || config.presets || [];
     
     // DOM elements
     this.elements = {
@@ -39,11 +53,24 @@ class Tracker {
       goalDisplay: document.getElementById(`${this.type}-goal-display`),
       progressCircle: document.getElementById(`${this.type}-progress-circle`),
       goalInput: document.getElementById(`${this.type}-goal`),
+      weekdayGoals: document.getElementById(`${this.type}-weekday-goals`),
+      goalVersions: document.getElementById(`${this.type}-goal-versions`),
       manualInput: document.getElementById(`${this.type}-manual`),
       settingsPanel: document.getElementById(`${this.type}-settings-section`),
       historyPanel: document.getElementById(`${this.type}-history-popup`),
       dailyHistoryTab: document.getElementById(`${this.type}-daily-history`),
-      currentIntakeTab: document.getElementById(`${this.type}-current-intake`)
+      currentIntakeTab: document.getElementById(`${this.type}-current-intake`),
+      analyticsTab: document.getElementById(`${this.type}-analytics`),
+      chart: document.getElementById(`${this.type}-chart`),
+      chartLabels: document.getElementById(`${this.type}-chart-labels`),
+      stats: document.getElementById(`${this.type}-stats`),
+      quickAdd: document.getElementById(`${this.type}-quick-add`),
+      presetList: document.getElementById(`${this.type}-preset-list`),
+      presetLabelInput: document.getElementById(`${this.type}-preset-label`),
+      presetAmountInput: document.getElementById(`${this.type}-preset-amount`),
+      backfillDate: document.getElementById(`${this.type}-backfill-date`),
+      backfillTime: document.getElementById(`${this.type}-backfill-time`),
+      backfillAmount: document.getElementById(`${this.type}-backfill-amount`)
     };
     
     // Initialize tracker
@@ -64,6 +91,15 @@ class Tracker {
     // Update display
     this.updateDisplay();
     
+    // Quick-add buttons and their editor
+    this.renderPresets();
+    
+    // Goal inputs in settings
+    this.renderGoalEditor();
+    
+    // Past entries default to yesterday and can't be in the future
+    this.resetBackfillForm();
+    
     // Check for daily reset
     this.checkAndResetDailyIntake();
     
@@ -94,8 +130,8 @@ class Tracker {
     // Update progress visualization
     this.updateProgressVisualization();
     
-    // Save to localStorage
-    localStorage.setItem(this.intakeKey, this.totalIntake);
+    // Save to storage
+    storageManager.setItem(this.intakeKey, this.totalIntake);
   }
 
   /**
@@ -117,7 +153,89 @@ class Tracker {
   }
   
   /**
-   * Set the daily goal
+   * Load the goal schedule, falling back to the plain goal key
+   * @returns {Array<Object>} Goal versions ({effectiveFrom, default, weekdays}) sorted by date
+   */
+  loadGoalSchedule() {
+    const schedule = JSON.parse(storageManager.getItem(this.goalScheduleKey));
+    if (Array.isArray(schedule) && schedule.length > 0) {
+      return schedule;
+    }
+    
+    // A plain goal that has no schedule yet applies to every day
+    const goal = parseInt(storageManager.getItem(this.goalKey)) || 0;
+    return goal > 0 ? [{ effectiveFrom: '1970-01-01', default: goal, weekdays: {} }] : [];
+  }
+  
+  /**
+   * Get the goal that was in effect on a given day
+   * @param {Date|string} date - Date or date key (YYYY-MM-DD)
+   * @returns {number} Goal for that day (0 if no goal is set)
+   */
+  getGoalForDate(date) {
+    if (this.goalSchedule.length === 0) return 0;
+    
+    const dateKey = typeof date === 'string' ? date : utils.formatDate(date);
+    
+    // Latest version that had started by then; days before the first version use the first
+    const version = [...this.goalSchedule].reverse().find(v => v.effectiveFrom <= dateKey) || this.goalSchedule[0];
+    const weekday = utils.parseDateKey(dateKey).getDay();
+    
+    return (version.weekdays && version.weekdays[weekday]) || version.default;
+  }
+  
+  /**
+   * Render weekday goal inputs and the list of goal versions in settings
+   */
+  renderGoalEditor() {
+    const current = this.goalSchedule[this.goalSchedule.length - 1];
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    
+    if (this.elements.goalInput && current) {
+      this.elements.goalInput.value = current.default;
+    }
+    
+    if (this.elements.weekdayGoals) {
+      this.elements.weekdayGoals.innerHTML = '';
+      
+      dayNames.forEach((dayName, day) => {
+        const field = document.createElement('label');
+        field.className = 'weekday-goal';
+        field.textContent = dayName;
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.placeholder = '-';
+        input.dataset.weekday = day;
+        if (current && current.weekdays && current.weekdays[day]) {
+          input.value = current.weekdays[day];
+        }
+        
+        field.appendChild(input);
+        this.elements.weekdayGoals.appendChild(field);
+      });
+    }
+    
+    if (this.elements.goalVersions) {
+      this.elements.goalVersions.innerHTML = '';
+      
+      // Most recent first
+      [...this.goalSchedule].reverse().forEach(version => {
+        const item = document.createElement('li');
+        const since = version.effectiveFrom === '1970-01-01' ? 'Originally' : `From ${version.effectiveFrom}`;
+        const overrides = Object.keys(version.weekdays || {})
+          .map(day => `${dayNames[day]} ${version.weekdays[day]}`);
+        
+        item.textContent = `${since}: ${version.default} ${this.unit}${overrides.length > 0 ? ` (${overrides.join(', ')})` : ''}`;
+        this.elements.goalVersions.appendChild(item);
+      });
+    }
+  }
+  
+  /**
+   * Set the daily goal, with optional per-weekday goals, from today onwards.
+   * Earlier days keep the goal that was in effect for them.
    */
   setGoal() {
     const inputGoal = parseInt(this.elements.goalInput.value);
@@ -127,29 +245,243 @@ class Tracker {
       return;
     }
     
-    this.goal = inputGoal;
-    localStorage.setItem(this.goalKey, this.goal);
+    const weekdays = {};
+    let invalidWeekday = false;
+    
+    if (this.elements.weekdayGoals) {
+      this.elements.weekdayGoals.querySelectorAll('input[data-weekday]').forEach(input => {
+        if (input.value === '') return;
+        
+        const value = parseInt(input.value);
+        if (isNaN(value) || value <= 0) {
+          invalidWeekday = true;
+        } else if (value !== inputGoal) {
+          weekdays[input.dataset.weekday] = value;
+        }
+      });
+    }
+    
+    if (invalidWeekday) {
+      utils.showToast('Weekday goals must be positive numbers (or left empty).', 'error');
+      return;
+    }
+    
+    // A new version starts today; changing it again today replaces it
+    const today = utils.formatDate(new Date());
+    this.goalSchedule = this.goalSchedule
+      .filter(version => version.effectiveFrom !== today)
+      .concat({ effectiveFrom: today, default: inputGoal, weekdays });
+    
+    this.saveGoalSchedule();
     this.updateDisplay();
+    this.refreshHistory();
+    this.renderGoalEditor();
     
-    utils.showToast(`${this.type.charAt(0).toUpperCase() + this.type.slice(1)} goal set to ${this.goal} ${this.unit}`, 'success');
+    const byWeekday = Object.keys(weekdays).length > 0 ? ' (with weekday goals)' : '';
+    utils.showToast(`${this.name} goal set to ${inputGoal} ${this.unit}${byWeekday}`, 'success');
     
     // Close the settings panel
     this.elements.settingsPanel.classList.remove('active');
   }
   
+  /**
+   * Persist the goal schedule and refresh today's goal
+   */
+  saveGoalSchedule() {
+    const current = this.goalSchedule[this.goalSchedule.length - 1];
+    
+    storageManager.setItem(this.goalScheduleKey, JSON.stringify(this.goalSchedule));
+    // Plain goal key keeps the current default for CSV export
+    storageManager.setItem(this.goalKey, current ? current.default : 0);
+    
+    this.goal = this.getGoalForDate(new Date());
+  }
+  
   /**
    * Add intake amount
    * @param {number} amount - Amount to add
+   * @param {Object} [options] - Entry options
+   * @param {Date} [options.time] - When the intake happened (defaults to now)
+   * @param {string} [options.label] - Preset label stored on the entry (e.g. "Glass")
    */
-  addIntake(amount) {
+  addIntake(amount, { time = new Date(), label = null } = {}) {
     if (amount <= 0) return;
     
-    this.totalIntake += amount;
-    this.saveDailyHistory(amount);
+    this.recordIntake(amount, time, label);
+    
+    const what = label ? `${label} (${amount} ${this.unit})` : `${amount} ${this.unit}`;
+    utils.showToast(`Added ${what} of ${this.name.toLowerCase()}`, 'success');
+  }
+  
+  /**
+   * Record an intake entry and update totals and history views
+   * @param {number} amount - Amount to add
+   * @param {Date} time - When the intake happened
+   * @param {string} [label] - Preset label stored on the entry
+   */
+  recordIntake(amount, time, label = null) {
+    // Only today's entries count towards the running total
+    if (utils.formatDate(time) === utils.formatDate(new Date())) {
+      this.totalIntake += amount;
+    }
+    
+    this.saveDailyHistory(amount, time, label);
     this.updateDisplay();
     this.refreshHistory();
+  }
+  
+  /**
+   * Add an entry for a past date and time from the history panel
+   */
+  addPastIntake() {
+    const { backfillDate, backfillTime, backfillAmount } = this.elements;
+    const amount = parseInt(backfillAmount.value);
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(backfillDate.value) || !/^\d{2}:\d{2}$/.test(backfillTime.value)) {
+      utils.showToast('Please choose a date and time.', 'error');
+      return;
+    }
+    
+    if (isNaN(amount) || amount <= 0) {
+      utils.showToast('Please enter a positive number.', 'error');
+      return;
+    }
+    
+    const [year, month, day] = backfillDate.value.split('-').map(Number);
+    const [hours, minutes] = backfillTime.value.split(':').map(Number);
+    const time = new Date(year, month - 1, day, hours, minutes);
+    
+    if (time > new Date()) {
+      utils.showToast('Entries cannot be added for a future date or time.', 'error');
+      return;
+    }
+    
+    const date = utils.formatDate(time);
+    
+    this.recordIntake(amount, time);
+    backfillAmount.value = '';
+    
+    utils.showToast(`Added ${amount} ${this.unit} of ${this.name.toLowerCase()} on ${date}`, 'success', 5000, {
+      label: 'Undo',
+      onClick: () => this.restoreEntry(date, null, { amount, timestamp: time.toISOString() })
+    });
+  }
+  
+  /**
+   * Reset the past entry form to yesterday and cap it at today
+   */
+  resetBackfillForm() {
+    const { backfillDate } = this.elements;
+    if (!backfillDate) return;
+    
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    
+    backfillDate.max = utils.formatDate(new Date());
+    backfillDate.value = utils.formatDate(yesterday);
+  }
+  
+  /**
+   * Get the text shown on a preset's quick-add button
+   * @param {Object} preset - Preset ({amount, label})
+   * @returns {string} Button text
+   */
+  getPresetText(preset) {
+    return preset.label ? `${preset.label} ${preset.amount}${this.unit}` : `+${preset.amount}${this.unit}`;
+  }
+  
+  /**
+   * Render quick-add buttons and the preset list in settings
+   */
+  renderPresets() {
+    if (this.elements.quickAdd) {
+      this.elements.quickAdd.innerHTML = '';
+      
+      this.presets.forEach(preset => {
+        const button = document.createElement('button');
+        button.className = `action-btn ${this.buttonClass}`;
+        button.dataset.action = `${this.type}-add`;
+        button.dataset.amount = preset.amount;
+        if (preset.label) {
+          button.dataset.label = preset.label;
+        }
+        button.textContent = this.getPresetText(preset);
+        this.elements.quickAdd.appendChild(button);
+      });
+    }
+    
+    if (this.elements.presetList) {
+      this.elements.presetList.innerHTML = '';
+      
+      if (this.presets.length === 0) {
+        const noPresets = document.createElement('li');
+        noPresets.textContent = 'No presets yet.';
+        this.elements.presetList.appendChild(noPresets);
+      }
+      
+      this.presets.forEach((preset, index) => {
+        const item = document.createElement('li');
+        item.className = 'preset-item';
+        
+        const text = document.createElement('span');
+        text.textContent = this.getPresetText(preset);
+        item.appendChild(text);
+        
+        item.appendChild(this.createEntryButton('delete', 'Delete preset', () => this.removePreset(index)));
+        this.elements.presetList.appendChild(item);
+      });
+    }
+  }
+  
+  /**
+   * Add a quick-add preset from the settings inputs
+   */
+  addPreset() {
+    const label = this.elements.presetLabelInput.value.trim();
+    const amount = parseInt(this.elements.presetAmountInput.value);
     
-    utils.showToast(`Added ${amount} ${this.unit} of ${this.type}`, 'success');
+    if (isNaN(amount) || amount <= 0) {
+      utils.showToast('Please enter a positive number.', 'error');
+      return;
+    }
+    
+    const preset = { amount };
+    if (label) {
+      preset.label = label;
+    }
+    
+    this.presets.push(preset);
+    this.savePresets();
+    
+    this.elements.presetLabelInput.value = '';
+    this.elements.presetAmountInput.value = '';
+    utils.showToast(`Preset ${this.getPresetText(preset)} added`, 'success');
+  }
+  
+  /**
+   * Remove a quick-add preset
+   * @param {number} index - Index of the preset
+   */
+  removePreset(index) {
+    const [removed] = this.presets.splice(index, 1);
+    if (!removed) return;
+    
+    this.savePresets();
+    utils.showToast(`Preset ${this.getPresetText(removed)} removed`, 'warning', 5000, {
+      label: 'Undo',
+      onClick: () => {
+        this.presets.splice(index, 0, removed);
+        this.savePresets();
+      }
+    });
+  }
+  
+  /**
+   * Persist presets and refresh the buttons
+   */
+  savePresets() {
+    storageManager.setItem(this.presetsKey, JSON.stringify(this.presets));
+    this.renderPresets();
   }
   
   /**
@@ -169,28 +501,320 @@ class Tracker {
   /**
    * Save intake to daily history
    * @param {number} amount - Amount to save
+   * @param {Date} [time] - When the intake happened (defaults to now)
+   * @param {string} [label] - Preset label stored on the entry
    */
-  saveDailyHistory(amount) {
-    const currentDate = utils.formatDate(new Date());
+  saveDailyHistory(amount, time = new Date(), label = null) {
+    const entryDate = utils.formatDate(time);
     
-    if (!this.dailyHistory[currentDate]) {
-      this.dailyHistory[currentDate] = [];
+    if (!this.dailyHistory[entryDate]) {
+      this.dailyHistory[entryDate] = [];
     }
     
-    this.dailyHistory[currentDate].push({
+    const entry = {
       amount,
-      timestamp: new Date().toISOString()
-    });
+      timestamp: time.toISOString()
+    };
+    if (label) {
+      entry.label = label;
+    }
+    this.dailyHistory[entryDate].push(entry);
+    
+    // Backfilled entries can land between existing ones
+    this.dailyHistory[entryDate].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     
-    localStorage.setItem(this.historyKey, JSON.stringify(this.dailyHistory));
+    storageManager.setItem(this.historyKey, JSON.stringify(this.dailyHistory));
   }
   
   /**
    * Refresh history displays
    */
   refreshHistory() {
+    // Keep whichever history tab the user is looking at
+    const activeTab = this.elements.historyPanel && this.elements.historyPanel.querySelector('.tab-content.active');
+    
     this.showDailyHistory();
     this.showCurrentIntake();
+    this.renderAnalytics();
+    
+    if (activeTab && activeTab !== this.elements.dailyHistoryTab) {
+      this.elements.dailyHistoryTab.classList.remove('active');
+      activeTab.classList.add('active');
+    }
+  }
+  
+  /**
+   * Change the analytics period and redraw
+   * @param {string} period - weekly, monthly, quarterly or yearly
+   */
+  setAnalyticsPeriod(period) {
+    this.selectedTimePeriod = period;
+    this.renderAnalytics();
+  }
+  
+  /**
+   * Render analytics (chart and stats)
+   */
+  renderAnalytics() {
+    if (!this.elements.analyticsTab) return;
+    
+    const days = this.getDailyTotals(this.getPeriodLength());
+    
+    this.renderChart(days);
+    this.renderStats(days);
+  }
+  
+  /**
+   * Number of days covered by the selected analytics period
+   * @returns {number} Days in period
+   */
+  getPeriodLength() {
+    const periodDays = { weekly: 7, monthly: 30, quarterly: 90, yearly: 365 };
+    return periodDays[this.selectedTimePeriod] || 7;
+  }
+  
+  /**
+   * Get daily totals and goals for the last N days
+   * @param {number} dayCount - Number of days up to and including today
+   * @returns {Array<Object>} Days ({date, value, goal}), oldest first
+   */
+  getDailyTotals(dayCount) {
+    const today = new Date();
+    const days = [];
+    
+    for (let i = dayCount - 1; i >= 0; i--) {
+      const date = new Date(today);
+      date.setDate(today.getDate() - i);
+      const dateKey = utils.formatDate(date);
+      const entries = this.dailyHistory[dateKey] || [];
+      
+      days.push({
+        date: dateKey,
+        value: entries.reduce((sum, entry) => sum + entry.amount, 0),
+        goal: this.getGoalForDate(dateKey)
+      });
+    }
+    
+    return days;
+  }
+  
+  /**
+   * Average daily totals by month (used for the yearly chart)
+   * @param {Array<Object>} days - Days from getDailyTotals
+   * @returns {Array<Object>} One point per month ({date, value, goal})
+   */
+  aggregateByMonth(days) {
+    const months = {};
+    
+    days.forEach(day => {
+      const monthKey = day.date.slice(0, 7);
+      if (!months[monthKey]) {
+        months[monthKey] = { date: `${monthKey}-01`, value: 0, goal: 0, count: 0 };
+      }
+      
+      months[monthKey].value += day.value;
+      months[monthKey].goal += day.goal;
+      months[monthKey].count++;
+    });
+    
+    return Object.values(months).map(month => ({
+      date: month.date,
+      value: Math.round(month.value / month.count),
+      goal: Math.round(month.goal / month.count)
+    }));
+  }
+  
+  /**
+   * Render the daily totals chart with the goal line
+   * @param {Array<Object>} days - Days from getDailyTotals
+   */
+  renderChart(days) {
+    const chart = this.elements.chart;
+    if (!chart) return;
+    
+    const points = this.selectedTimePeriod === 'yearly' ? this.aggregateByMonth(days) : days;
+    
+    chart.innerHTML = '';
+    
+    // Scale to whichever is higher, intake or goal, with 20% headroom
+    let maxValue = Math.max(...points.map(point => Math.max(point.value, point.goal)));
+    maxValue = maxValue <= 0 ? 10 : Math.ceil(maxValue * 1.2);
+    
+    const yLabels = document.createElement('div');
+    yLabels.className = 'tracker-chart-y-labels';
+    const steps = 4;
+    for (let i = steps - 1; i >= 0; i--) {
+      const label = document.createElement('span');
+      label.textContent = Math.round(maxValue * i / (steps - 1));
+      yLabels.appendChild(label);
+    }
+    chart.appendChild(yLabels);
+    
+    // Plot in a 100x100 box stretched over the chart, so it doesn't need a laid-out size
+    const toX = index => points.length > 1 ? (index / (points.length - 1)) * 100 : 50;
+    const toY = value => 100 - (value / maxValue) * 100;
+    
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('viewBox', '0 0 100 100');
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('class', 'tracker-chart-plot');
+    
+    // Goal line steps with weekday goals and goal changes
+    if (points.some(point => point.goal > 0)) {
+      const goalLine = document.createElementNS(svgNS, 'path');
+      const goalPath = points.map((point, index) => {
+        const left = toX(Math.max(index - 0.5, 0));
+        const right = toX(Math.min(index + 0.5, points.length - 1));
+        const y = toY(point.goal);
+        return `${index === 0 ? 'M' : 'L'} ${left},${y} L ${right},${y}`;
+      }).join(' ');
+      goalLine.setAttribute('d', goalPath);
+      goalLine.setAttribute('class', 'tracker-chart-goal');
+      svg.appendChild(goalLine);
+    }
+    
+    const line = document.createElementNS(svgNS, 'path');
+    line.setAttribute('d', utils.buildSmoothCurvePath(points.map((point, index) => [toX(index), toY(point.value)])));
+    line.setAttribute('class', 'tracker-chart-line');
+    svg.appendChild(line);
+    
+    const plot = document.createElement('div');
+    plot.className = 'tracker-chart-area';
+    plot.appendChild(svg);
+    
+    // Dots for days with intake; days that met their goal are filled
+    points.forEach((point, index) => {
+      if (point.value <= 0) return;
+      
+      const dot = document.createElement('div');
+      dot.className = `tracker-chart-point${point.goal > 0 && point.value >= point.goal ? ' goal-met' : ''}`;
+      dot.style.left = `${toX(index)}%`;
+      dot.style.top = `${toY(point.value)}%`;
+      dot.title = `${point.date}: ${point.value} ${this.unit}`;
+      plot.appendChild(dot);
+    });
+    
+    chart.appendChild(plot);
+    
+    this.renderChartLabels(points);
+  }
+  
+  /**
+   * Render date labels under the chart
+   * @param {Array<Object>} points - Plotted points
+   */
+  renderChartLabels(points) {
+    if (!this.elements.chartLabels) return;
+    
+    this.elements.chartLabels.innerHTML = '';
+    
+    const maxLabels = window.innerWidth < 400 ? 3 : 5;
+    const labelCount = Math.min(maxLabels, points.length);
+    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    
+    for (let i = 0; i < labelCount; i++) {
+      const index = labelCount > 1 ? Math.round(i * (points.length - 1) / (labelCount - 1)) : 0;
+      const date = utils.parseDateKey(points[index].date);
+      
+      const label = document.createElement('span');
+      label.textContent = this.selectedTimePeriod === 'yearly'
+        ? `${monthNames[date.getMonth()]} ${String(date.getFullYear()).slice(2)}`
+        : `${monthNames[date.getMonth()]} ${date.getDate()}`;
+      this.elements.chartLabels.appendChild(label);
+    }
+  }
+  
+  /**
+   * Render average, best day and goal streaks
+   * @param {Array<Object>} days - Days from getDailyTotals
+   */
+  renderStats(days) {
+    if (!this.elements.stats) return;
+    
+    // Only average over days since tracking started
+    const firstTracked = Object.keys(this.dailyHistory).sort()[0];
+    const trackedDays = firstTracked ? days.filter(day => day.date >= firstTracked) : [];
+    
+    const total = trackedDays.reduce((sum, day) => sum + day.value, 0);
+    const average = trackedDays.length > 0 ? Math.round(total / trackedDays.length) : 0;
+    const bestDay = trackedDays.reduce((best, day) => (!best || day.value > best.value ? day : best), null);
+    const hitDays = trackedDays.filter(day => this.isGoalMet(day)).length;
+    const streaks = this.calculateGoalStreaks();
+    
+    const stats = [
+      { label: 'Daily average', value: `${average} ${this.unit}` },
+      { label: 'Best day', value: bestDay && bestDay.value > 0 ? `${bestDay.value} ${this.unit}` : '-', detail: bestDay && bestDay.value > 0 ? bestDay.date : '' },
+      { label: 'Goal met', value: `${hitDays}/${trackedDays.length} days` },
+      { label: 'Current streak', value: `${streaks.current} days` },
+      { label: 'Best streak', value: `${streaks.best} days` }
+    ];
+    
+    this.elements.stats.innerHTML = '';
+    
+    stats.forEach(stat => {
+      const item = document.createElement('div');
+      item.className = 'tracker-stat';
+      
+      const value = document.createElement('span');
+      value.className = 'tracker-stat-value';
+      value.textContent = stat.value;
+      
+      const label = document.createElement('span');
+      label.className = 'tracker-stat-label';
+      label.textContent = stat.detail ? `${stat.label} (${stat.detail})` : stat.label;
+      
+      item.appendChild(value);
+      item.appendChild(label);
+      this.elements.stats.appendChild(item);
+    });
+  }
+  
+  /**
+   * Whether a day's total reached the goal in effect that day
+   * @param {Object} day - Day ({date, value, goal})
+   * @returns {boolean} True if the goal was met
+   */
+  isGoalMet(day) {
+    return day.goal > 0 && day.value >= day.goal;
+  }
+  
+  /**
+   * Calculate goal-hit streaks over the whole history
+   * @returns {Object} Current and best streak lengths in days
+   */
+  calculateGoalStreaks() {
+    const firstTracked = Object.keys(this.dailyHistory).sort()[0];
+    if (!firstTracked) return { current: 0, best: 0 };
+    
+    const dayCount = Math.round((utils.parseDateKey(utils.formatDate(new Date())) - utils.parseDateKey(firstTracked)) / 86400000) + 1;
+    const days = this.getDailyTotals(dayCount);
+    let best = 0;
+    let run = 0;
+    
+    days.forEach(day => {
+      run = this.isGoalMet(day) ? run + 1 : 0;
+      best = Math.max(best, run);
+    });
+    
+    // Today still counts as in progress, so an unmet today doesn't break the streak
+    const today = days[days.length - 1];
+    const current = this.isGoalMet(today) ? run : this.countStreakBefore(days);
+    
+    return { current, best };
+  }
+  
+  /**
+   * Length of the goal streak ending yesterday
+   * @param {Array<Object>} days - Days up to and including today
+   * @returns {number} Streak length in days
+   */
+  countStreakBefore(days) {
+    let streak = 0;
+    for (let i = days.length - 2; i >= 0 && this.isGoalMet(days[i]); i--) {
+      streak++;
+    }
+    return streak;
   }
   
   /**
@@ -198,11 +822,13 @@ class Tracker {
    */
   checkAndResetDailyIntake() {
     const currentDate = utils.formatDate(new Date());
-    const lastResetDate = localStorage.getItem(this.lastResetKey);
+    const lastResetDate = storageManager.getItem(this.lastResetKey);
     
     if (lastResetDate !== currentDate) {
+      // Weekday goals change with the day
+      this.goal = this.getGoalForDate(new Date());
       this.resetDailyIntake();
-      localStorage.setItem(this.lastResetKey, currentDate);
+      storageManager.setItem(this.lastResetKey, currentDate);
     }
   }
   
@@ -224,6 +850,7 @@ class Tracker {
     // Set timeout for midnight reset
     this.midnightResetTimeout = setTimeout(() => {
       this.checkAndResetDailyIntake();
+      this.resetBackfillForm();
       this.setupMidnightReset(); // Set up next day's reset
     }, msUntilMidnight);
   }
@@ -233,7 +860,7 @@ class Tracker {
    */
   resetDailyIntake() {
     this.totalIntake = 0;
-    localStorage.setItem(this.intakeKey, this.totalIntake);
+    storageManager.setItem(this.intakeKey, this.totalIntake);
     this.updateDisplay();
     this.refreshHistory();
   }
@@ -274,10 +901,19 @@ class Tracker {
         dayEntry.appendChild(totalText);
         
         const goalPercent = document.createElement('p');
-        const percentage = this.goal > 0 ? Math.round((totalAmount / this.goal) * 100) : 0;
+        // Past days are measured against the goal in effect on that day
+        const dayGoal = this.getGoalForDate(date);
+        const percentage = dayGoal > 0 ? Math.round((totalAmount / dayGoal) * 100) : 0;
         goalPercent.textContent = `${percentage}% of daily goal`;
         dayEntry.appendChild(goalPercent);
         
+        // Backfilled and past entries can be corrected here, not just today's
+        const entriesList = document.createElement('ul');
+        entries.forEach((entry, index) => {
+          entriesList.appendChild(this.createEntryItem(date, index));
+        });
+        dayEntry.appendChild(entriesList);
+        
         fragment.appendChild(dayEntry);
       });
     }
@@ -303,19 +939,21 @@ class Tracker {
     const container = document.createElement('div');
     
     const header = document.createElement('h3');
-    header.textContent = `Today's ${this.type.charAt(0).toUpperCase() + this.type.slice(1)} Intake`;
+    header.textContent = `Today's ${this.name} Intake`;
     container.appendChild(header);
     
     if (entries.length === 0) {
       const noEntries = document.createElement('p');
-      noEntries.textContent = `No ${this.type} intake recorded today.`;
+      noEntries.textContent = `No ${this.name.toLowerCase()} intake recorded today.`;
       container.appendChild(noEntries);
     } else {
       const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
       
       const remaining = this.goal > total ? this.goal - total : 0;
       const remainingInfo = document.createElement('p');
-      remainingInfo.innerHTML = `Remaining: <b>${remaining} ${this.unit}</b>`;
+      const remainingAmount = document.createElement('b');
+      remainingAmount.textContent = `${remaining} ${this.unit}`;
+      remainingInfo.append('Remaining: ', remainingAmount);
       container.appendChild(remainingInfo);
       
       const entriesHeader = document.createElement('h4');
@@ -325,10 +963,7 @@ class Tracker {
       const entriesList = document.createElement('ul');
       
       entries.forEach((entry, index) => {
-        const entryItem = document.createElement('li');
-        const time = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        entryItem.textContent = `${time}: ${entry.amount} ${this.unit}`;
-        entriesList.appendChild(entryItem);
+        entriesList.appendChild(this.createEntryItem(currentDate, index));
       });
       
       container.appendChild(entriesList);
@@ -337,18 +972,607 @@ class Tracker {
     this.elements.currentIntakeTab.appendChild(container);
   }
   
+  /**
+   * Create a list item for a logged entry with edit and delete buttons
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {number} index - Index of the entry in that day's history
+   * @returns {HTMLElement} List item
+   */
+  createEntryItem(date, index) {
+    const entry = this.dailyHistory[date][index];
+    const entryItem = document.createElement('li');
+    entryItem.className = 'intake-entry';
+    
+    const text = document.createElement('span');
+    const time = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    text.textContent = entry.label
+      ? `${time}: ${entry.label} (${entry.amount} ${this.unit})`
+      : `${time}: ${entry.amount} ${this.unit}`;
+    entryItem.appendChild(text);
+    
+    const actions = document.createElement('div');
+    actions.className = 'intake-entry-actions';
+    actions.appendChild(this.createEntryButton('edit', 'Edit entry', () => this.showEntryEditor(entryItem, date, index)));
+    actions.appendChild(this.createEntryButton('delete', 'Delete entry', () => this.deleteEntry(date, index)));
+    entryItem.appendChild(actions);
+    
+    return entryItem;
+  }
+  
+  /**
+   * Create a small icon button for an entry row
+   * @param {string} icon - Material icon name
+   * @param {string} label - Accessible label
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLElement} Button
+   */
+  createEntryButton(icon, label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'icon-btn intake-entry-btn';
+    button.setAttribute('aria-label', label);
+    button.innerHTML = `<i class="material-icons-round">${icon}</i>`;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+  
+  /**
+   * Replace an entry row with inline amount and time inputs
+   * @param {HTMLElement} entryItem - List item to edit in place
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {number} index - Index of the entry in that day's history
+   */
+  showEntryEditor(entryItem, date, index) {
+    const entry = this.dailyHistory[date][index];
+    const entryTime = new Date(entry.timestamp);
+    
+    entryItem.innerHTML = '';
+    entryItem.classList.add('editing');
+    
+    const amountInput = document.createElement('input');
+    amountInput.type = 'number';
+    amountInput.min = '1';
+    amountInput.value = entry.amount;
+    amountInput.setAttribute('aria-label', `Amount (${this.unit})`);
+    
+    const timeInput = document.createElement('input');
+    timeInput.type = 'time';
+    timeInput.value = `${String(entryTime.getHours()).padStart(2, '0')}:${String(entryTime.getMinutes()).padStart(2, '0')}`;
+    timeInput.setAttribute('aria-label', 'Time');
+    
+    const actions = document.createElement('div');
+    actions.className = 'intake-entry-actions';
+    actions.appendChild(this.createEntryButton('check', 'Save entry', () => {
+      this.updateEntry(date, index, parseInt(amountInput.value), timeInput.value);
+    }));
+    actions.appendChild(this.createEntryButton('close', 'Cancel editing', () => this.refreshHistory()));
+    
+    entryItem.appendChild(amountInput);
+    entryItem.appendChild(timeInput);
+    entryItem.appendChild(actions);
+    
+    amountInput.focus();
+  }
+  
+  /**
+   * Change the amount and time of a logged entry
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {number} index - Index of the entry in that day's history
+   * @param {number} amount - New amount
+   * @param {string} time - New time of day (HH:MM)
+   */
+  updateEntry(date, index, amount, time) {
+    const entries = this.dailyHistory[date];
+    if (!entries || !entries[index]) return;
+    
+    if (isNaN(amount) || amount <= 0) {
+      utils.showToast('Please enter a positive number.', 'error');
+      return;
+    }
+    
+    if (!/^\d{2}:\d{2}$/.test(time)) {
+      utils.showToast('Please enter a valid time.', 'error');
+      return;
+    }
+    
+    const entry = entries[index];
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const updated = {
+      ...entry,
+      amount,
+      timestamp: new Date(year, month - 1, day, hours, minutes).toISOString()
+    };
+    
+    entries[index] = updated;
+    entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    
+    this.applyHistoryChange(date);
+    utils.showToast('Entry updated', 'success', 5000, {
+      label: 'Undo',
+      onClick: () => this.restoreEntry(date, entry, updated)
+    });
+  }
+  
+  /**
+   * Delete a logged entry
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {number} index - Index of the entry in that day's history
+   */
+  deleteEntry(date, index) {
+    const entries = this.dailyHistory[date];
+    if (!entries || !entries[index]) return;
+    
+    const [entry] = entries.splice(index, 1);
+    
+    if (entries.length === 0) {
+      delete this.dailyHistory[date];
+    }
+    
+    this.applyHistoryChange(date);
+    utils.showToast(`Deleted ${entry.amount} ${this.unit} entry`, 'warning', 5000, {
+      label: 'Undo',
+      onClick: () => this.restoreEntry(date, entry)
+    });
+  }
+  
+  /**
+   * Save a changed day and recompute today's total from its entries
+   * @param {string} date - Date key (YYYY-MM-DD) that changed
+   */
+  applyHistoryChange(date) {
+    storageManager.setItem(this.historyKey, JSON.stringify(this.dailyHistory));
+    
+    if (date === utils.formatDate(new Date())) {
+      const entries = this.dailyHistory[date] || [];
+      this.totalIntake = entries.reduce((sum, entry) => sum + entry.amount, 0);
+      storageManager.setItem(this.intakeKey, this.totalIntake);
+    }
+    
+    this.updateDisplay();
+    this.refreshHistory();
+  }
+  
+  /**
+   * Undo a single entry change, leaving anything logged since untouched
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {Object|null} original - Entry as it was before the change; null for an addition
+   * @param {Object} [replacement] - Entry the change produced; omitted for a deletion
+   */
+  restoreEntry(date, original, replacement) {
+    const entries = this.dailyHistory[date] || [];
+    
+    if (replacement) {
+      const index = entries.findIndex(entry =>
+        entry.timestamp === replacement.timestamp && entry.amount === replacement.amount
+      );
+      if (index === -1) {
+        utils.showToast('This entry has changed since and could not be restored.', 'error');
+        return;
+      }
+      if (original) {
+        entries[index] = original;
+      } else {
+        entries.splice(index, 1);
+      }
+    } else {
+      entries.push(original);
+    }
+    
+    entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    if (entries.length > 0) {
+      this.dailyHistory[date] = entries;
+    } else {
+      delete this.dailyHistory[date];
+    }
+    
+    this.applyHistoryChange(date);
+    utils.showToast('Change undone', 'success');
+  }
+  
   /**
    * Reset all data for this tracker
    */
   resetAllData() {
-    localStorage.removeItem(this.goalKey);
-    localStorage.removeItem(this.intakeKey);
-    localStorage.removeItem(this.historyKey);
-    localStorage.removeItem(this.lastResetKey);
+    storageManager.removeItem(this.goalKey);
+    storageManager.removeItem(this.goalScheduleKey);
+    storageManager.removeItem(this.intakeKey);
+    storageManager.removeItem(this.historyKey);
+    storageManager.removeItem(this.lastResetKey);
+    storageManager.removeItem(this.presetsKey);
     
-    utils.showToast(`All ${this.type} tracking data has been reset.`, 'warning');
+    utils.showToast(`All ${this.name.toLowerCase()} tracking data has been reset.`, 'warning');
     
     // Reload the page to reset all instances
-    setTimeout(() => location.reload(), 1500);
+    setTimeout(() => storageManager.flush().then(() => location.reload()), 1500);
+  }
+}
+/**
+ * Registry of quantity trackers: the built-in water and protein trackers plus
+ * user-defined ones. Builds tab buttons for all of them and the app sections
+ * for user-defined trackers, which share the markup of the built-in ones.
+ */
+const trackerRegistry = {
+  DEFINITIONS_KEY: 'tracker_definitions',
+  
+  // Built-in trackers have static markup in index.html
+  BUILT_IN: [
+    {
+      type: 'water', name: 'Water', unit: 'ml', color: '#2196F3', icon: 'water_drop', builtIn: true,
+      alertHint: 'Time to hydrate!', reminderMessage: 'Time to drink some water!',
+      presets: [{ amount: 50 }, { amount: 100 }, { amount: 250 }, { amount: 500 }]
+    },
+    {
+      type: 'protein', name: 'Protein', unit: 'g', color: '#F44336', iconTemplate: 'protein-icon-template', builtIn: true,
+      alertHint: 'Time to fuel up!',
+      presets: [{ amount: 1 }, { amount: 5 }, { amount: 10 }, { amount: 20 }]
+    }
+  ],
+  
+  // Prefixes of per-tracker storage keys (prefix + type)
+  DATA_PREFIXES: [
+    STORAGE_KEYS.GOAL_PREFIX,
+    STORAGE_KEYS.INTAKE_PREFIX,
+    STORAGE_KEYS.HISTORY_PREFIX,
+    STORAGE_KEYS.LAST_RESET_PREFIX,
+    STORAGE_KEYS.PRESETS_PREFIX,
+    STORAGE_KEYS.GOAL_SCHEDULE_PREFIX
+  ],
+  
+  // Types used by other tabs or storage keys that a custom tracker must not take
+  RESERVED_TYPES: ['water', 'protein', 'workout', 'habits', 'supplements', 'notification', 'more-options'],
+  
+  /**
+   * Get user-defined tracker definitions
+   * @returns {Array<Object>} Definitions ({type, name, unit, color})
+   */
+  getCustomDefinitions() {
+    try {
+      const definitions = JSON.parse(storageManager.getItem(this.DEFINITIONS_KEY));
+      return Array.isArray(definitions) ? definitions : [];
+    } catch (e) {
+      return [];
+    }
+  },
+  
+  /**
+   * Get all tracker definitions, built-in first
+   * @returns {Array<Object>} Definitions
+   */
+  getDefinitions() {
+    return [...this.BUILT_IN, ...this.getCustomDefinitions()];
+  },
+  
+  /**
+   * Find a tracker definition by type
+   * @param {string} type - Tracker type
+   * @returns {Object|undefined} Definition
+   */
+  getDefinition(type) {
+    return this.getDefinitions().find(definition => definition.type === type);
+  },
+  
+  /**
+   * Build a unique, DOM-safe type id from a tracker name
+   * @param {string} name - Tracker name
+   * @returns {string} Type id
+   */
+  createType(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'tracker';
+    const taken = [...this.RESERVED_TYPES, ...this.getDefinitions().map(definition => definition.type)];
+    
+    let type = base;
+    for (let i = 2; taken.includes(type); i++) {
+      type = `${base}-${i}`;
+    }
+    
+    return type;
+  },
+  
+  /**
+   * Add a user-defined tracker
+   * @param {Object} config - Tracker settings
+   * @param {string} config.name - Display name (e.g. "Caffeine")
+   * @param {string} config.unit - Unit of measurement (e.g. "mg")
+   * @param {string} config.color - Hex colour
+   * @param {number} config.goal - Daily goal
+   * @returns {Promise<Object>} The stored definition
+   */
+  addDefinition({ name, unit, color, goal }) {
+    const definition = { type: this.createType(name), name, unit, color };
+    const definitions = [...this.getCustomDefinitions(), definition];
+    
+    const goalSchedule = [{ effectiveFrom: utils.formatDate(new Date()), default: goal, weekdays: {} }];
+    
+    return Promise.all([
+      storageManager.setItem(this.DEFINITIONS_KEY, JSON.stringify(definitions)),
+      storageManager.setItem(`${STORAGE_KEYS.GOAL_PREFIX}${definition.type}`, goal),
+      storageManager.setItem(`${STORAGE_KEYS.GOAL_SCHEDULE_PREFIX}${definition.type}`, JSON.stringify(goalSchedule))
+    ]).then(() => definition);
+  },
+  
+  /**
+   * Remove a user-defined tracker and all of its data
+   * @param {string} type - Tracker type
+   * @returns {Promise}
+   */
+  removeDefinition(type) {
+    const definitions = this.getCustomDefinitions().filter(definition => definition.type !== type);
+    const dataKeys = this.DATA_PREFIXES.map(prefix => `${prefix}${type}`);
+    
+    return Promise.all([
+      storageManager.setItem(this.DEFINITIONS_KEY, JSON.stringify(definitions)),
+      ...storageManager.keys()
+        .filter(key => dataKeys.includes(key) || key.startsWith(`notification_${type}_`))
+        .map(key => storageManager.removeItem(key))
+    ]);
+  },
+  
+  /**
+   * Create tab buttons for all trackers and sections for user-defined ones.
+   * Must run before trackers and tab navigation are initialized.
+   */
+  render() {
+    const nav = document.querySelector('.tabs');
+    const firstStaticTab = nav.querySelector('.tab-btn');
+    const workoutSection = document.getElementById('workout-app');
+    
+    this.getDefinitions().forEach(definition => {
+      // Let tab switching pick up the tracker's theme colour
+      THEME_COLORS[definition.type] = definition.color;
+      
+      nav.insertBefore(this.createTabButton(definition), firstStaticTab);
+      
+      if (!definition.builtIn) {
+        workoutSection.parentNode.insertBefore(this.createSection(definition), workoutSection);
+        this.createNotificationSetting(definition);
+      }
+    });
+  },
+  
+  /**
+   * Create the main tab button for a tracker
+   * @param {Object} definition - Tracker definition
+   * @returns {HTMLElement} Tab button
+   */
+  createTabButton(definition) {
+    const button = document.createElement('button');
+    button.id = `${definition.type}-tab-btn`;
+    button.className = 'tab-btn';
+    button.dataset.app = definition.type;
+    
+    const section = document.getElementById(`${definition.type}-app`);
+    if (section && section.classList.contains('active')) {
+      button.classList.add('active');
+    }
+    
+    if (definition.iconTemplate) {
+      button.appendChild(document.getElementById(definition.iconTemplate).content.cloneNode(true));
+    } else {
+      const icon = document.createElement('i');
+      icon.className = 'material-icons-round';
+      icon.textContent = definition.icon || 'local_drink';
+      button.appendChild(icon);
+    }
+    
+    const label = document.createElement('span');
+    label.textContent = definition.name;
+    button.appendChild(label);
+    
+    if (!definition.builtIn) {
+      button.classList.add('custom-tracker-tab');
+      button.style.setProperty('--tracker-primary', definition.color);
+    }
+    
+    return button;
+  },
+  
+  /**
+   * Create the app section for a user-defined tracker, mirroring the
+   * built-in tracker markup so Tracker and initializeTrackerActions work as-is
+   * @param {Object} definition - Tracker definition
+   * @returns {HTMLElement} Section element
+   */
+  createSection(definition) {
+    const { type } = definition;
+    const name = utils.escapeHTML(definition.name);
+    const unit = utils.escapeHTML(definition.unit);
+    
+    const section = document.createElement('section');
+    section.id = `${type}-app`;
+    section.className = 'app-container tracker-app';
+    section.style.setProperty('--tracker-primary', definition.color);
+    
+    section.innerHTML = `
+      <div class="card main-card">
+        <div class="card-header">
+          <button class="icon-btn" id="${type}-history-toggle" aria-label="History">
+            <i class="material-icons-round">history</i>
+          </button>
+          <h2>${name}</h2>
+          <button class="icon-btn" id="${type}-settings-toggle" aria-label="Settings">
+            <i class="material-icons-round">settings</i>
+          </button>
+        </div>
+        
+        <div class="goal-visual">
+          <div class="circular-progress" id="${type}-circular-progress">
+            <svg viewBox="0 0 100 100">
+              <circle class="progress-bg" cx="50" cy="50" r="45"></circle>
+              <circle class="progress-bar" id="${type}-progress-circle" cx="50" cy="50" r="45"></circle>
+            </svg>
+            <div class="progress-content">
+              <span id="${type}-total">0</span>
+              <span class="unit">${unit}</span>
+            </div>
+          </div>
+        </div>
+        
+        <div class="progress-text">
+          <p>Daily Goal: <span id="${type}-goal-display">0</span> ${unit}</p>
+          <p>Remaining: <span id="${type}-remaining">0</span> ${unit}</p>
+        </div>
+        
+        <div class="quick-add" id="${type}-quick-add"></div>
+        
+        <div class="custom-add">
+          <input type="number" id="${type}-manual" placeholder="Custom amount" min="0" />
+          <button id="${type}-add-manual" class="action-btn tracker">Add</button>
+        </div>
+        
+        <button id="${type}-reset-daily" class="reset-btn">
+          <i class="material-icons-round">refresh</i> Reset Today
+        </button>
+      </div>
+      
+      <div class="panel settings-panel" id="${type}-settings-section">
+        <div class="panel-header">
+          <h3>${name} Settings</h3>
+          <button class="close-panel icon-btn" aria-label="Close">
+            <i class="material-icons-round">close</i>
+          </button>
+        </div>
+        
+        <div class="form-group">
+          <label for="${type}-goal">Daily Goal (${unit})</label>
+          <input type="number" id="${type}-goal" placeholder="Enter goal in ${unit}" min="0" />
+        </div>
+        
+        <div class="form-group">
+          <label>Weekday Goals (optional)</label>
+          <div class="weekday-goals" id="${type}-weekday-goals"></div>
+        </div>
+        
+        <div class="btn-group">
+          <button id="${type}-set-goal" class="action-btn tracker">Save Goal</button>
+        </div>
+        
+        <ul class="goal-versions" id="${type}-goal-versions"></ul>
+        
+        <hr style="border: none; border-top: 1px solid var(--border-color); margin: var(--spacing-lg) 0;">
+        
+        <div class="form-group">
+          <label>Quick Add Presets</label>
+          <ul class="preset-list" id="${type}-preset-list"></ul>
+        </div>
+        
+        <div class="form-group preset-form">
+          <input type="text" id="${type}-preset-label" placeholder="Label (e.g. Cup)" maxlength="20" />
+          <input type="number" id="${type}-preset-amount" placeholder="${unit}" min="0" />
+          <button id="${type}-add-preset" class="action-btn tracker">Add</button>
+        </div>
+        
+        <hr style="border: none; border-top: 1px solid var(--border-color); margin: var(--spacing-lg) 0;">
+        
+        <div class="form-group">
+          <label for="${type}-reminder-time">Custom Reminder Interval (minutes)</label>
+          <input type="number" id="${type}-reminder-time" placeholder="Minutes between reminders" min="0" />
+        </div>
+        
+        <div class="btn-group">
+          <button id="${type}-set-reminder" class="action-btn tracker">
+            <i class="material-icons-round">alarm</i> Set Reminder
+          </button>
+        </div>
+        
+        <hr style="border: none; border-top: 1px solid var(--border-color); margin: var(--spacing-lg) 0;">
+        
+        <div class="btn-group">
+          <button id="${type}-reset-data" class="danger-btn">
+            <i class="material-icons-round">delete</i> Reset All Data
+          </button>
+          <button id="${type}-remove-tracker" class="danger-btn">
+            <i class="material-icons-round">delete_forever</i> Remove Tracker
+          </button>
+        </div>
+      </div>
+      
+      <div class="panel history-panel" id="${type}-history-popup">
+        <div class="panel-header">
+          <h3>${name} History</h3>
+          <button class="close-panel icon-btn" aria-label="Close">
+            <i class="material-icons-round">close</i>
+          </button>
+        </div>
+        
+        <div class="tabs-inner">
+          <button class="tab-button active" data-tab="${type}-daily-history">
+            Weekly Summary
+          </button>
+          <button class="tab-button" data-tab="${type}-current-intake">
+            Today's Logs
+          </button>
+          <button class="tab-button" data-tab="${type}-backfill">
+            Add Past
+          </button>
+          <button class="tab-button" data-tab="${type}-analytics">
+            Analytics
+          </button>
+        </div>
+        
+        <div class="tab-content" id="${type}-daily-history"></div>
+        <div class="tab-content" id="${type}-current-intake"></div>
+        <div class="tab-content" id="${type}-analytics">
+          <div class="tracker-analytics-header">
+            <span>Daily Totals</span>
+            <div class="time-period-selector">
+              <select id="${type}-time-period" class="time-period-dropdown">
+                <option value="weekly" selected>Weekly</option>
+                <option value="monthly">Monthly</option>
+                <option value="quarterly">Quarterly</option>
+                <option value="yearly">Yearly</option>
+              </select>
+            </div>
+          </div>
+          <div class="tracker-chart-container">
+            <div class="tracker-chart" id="${type}-chart"></div>
+            <div class="tracker-chart-labels" id="${type}-chart-labels"></div>
+          </div>
+          <div class="tracker-stats" id="${type}-stats"></div>
+        </div>
+        <div class="tab-content" id="${type}-backfill">
+          <div class="form-group">
+            <label for="${type}-backfill-date">Date</label>
+            <input type="date" id="${type}-backfill-date" />
+          </div>
+          <div class="form-group">
+            <label for="${type}-backfill-time">Time</label>
+            <input type="time" id="${type}-backfill-time" value="12:00" />
+          </div>
+          <div class="form-group">
+            <label for="${type}-backfill-amount">Amount (${unit})</label>
+            <input type="number" id="${type}-backfill-amount" placeholder="Enter amount in ${unit}" min="0" />
+          </div>
+          <div class="btn-group">
+            <button id="${type}-backfill-add" class="action-btn tracker">Add Entry</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    return section;
+  },
+  
+  /**
+   * Add a goal alert toggle for a user-defined tracker to the notifications panel
+   * @param {Object} definition - Tracker definition
+   */
+  createNotificationSetting(definition) {
+    const buttonGroup = document.querySelector('#notifications-panel .btn-group');
+    if (!buttonGroup) return;
+    
+    const setting = document.createElement('div');
+    setting.className = 'notification-setting';
+    setting.innerHTML = `
+      <div class="notification-header">
+        <h4>${utils.escapeHTML(definition.name)} Alert</h4>
+        <label class="toggle-switch">
+          <input type="checkbox" id="${definition.type}-reminder-toggle">
+          <span class="toggle-slider"></span>
+        </label>
+      </div>
+      <p class="notification-description">Reminder at 8pm if daily goal is not met</p>
+    `;
+    
+    buttonGroup.parentNode.insertBefore(setting, buttonGroup);
   }
-}
\ No newline at end of file
+};
@@ -16,28 +16,82 @@ class WorkoutTracker {
         this.historyKey = 'workout_history';
         this.countKey = 'workout_count';
         this.lastResetKey = `${STORAGE_KEYS.LAST_RESET_PREFIX}workout`;
-        
-        // Define workout types - Added "Shoulders" to the list
-        this.workoutTypes = ['Chest', 'Back', 'Shoulders', 'Biceps', 'Triceps', 'Abs', 'Legs'];
-        
-        // Load data from localStorage
-        this.workoutState = JSON.parse(localStorage.getItem(this.stateKey)) || 
+        this.typesKey = 'workout_types';
+        this.splitTemplatesKey = 'workout_split_templates';
+        this.activeSplitKey = 'workout_split';
+        this.activeSessionKey = 'workout_active_session';
+        this.restSecondsKey = 'workout_rest_seconds';
+        this.resetRuleKey = 'workout_reset_rule';
+        this.rotationResetKey = 'workout_rotation_reset';
+        
+        // Workout types ({name, color, retired, id}); retired types keep their history but get no tab.
+        // The original types carry a stable id so built-in split templates follow renames.
+        this.workoutTypeDefinitions = JSON.parse(storageManager.getItem(this.typesKey)) || this.getDefaultWorkoutTypes();
+        this.workoutTypes = this.getActiveWorkoutTypes();
+        
+        // Split templates saved by the user and the split currently followed ({templateId, startDate})
+        this.customSplitTemplates = JSON.parse(storageManager.getItem(this.splitTemplatesKey)) || [];
+        this.activeSplit = JSON.parse(storageManager.getItem(this.activeSplitKey));
+        
+        // Load data from storage
+        this.workoutState = JSON.parse(storageManager.getItem(this.stateKey)) || 
           this.workoutTypes.reduce((acc, type) => {
             acc[type] = { completed: false, order: this.workoutTypes.indexOf(type) };
             return acc;
           }, {});
         
-        this.workoutCounts = JSON.parse(localStorage.getItem(this.countKey)) || 
+        this.workoutCounts = JSON.parse(storageManager.getItem(this.countKey)) || 
           this.workoutTypes.reduce((acc, type) => {
             acc[type] = 0;
             return acc;
           }, {});
       
-        this.workoutHistory = JSON.parse(localStorage.getItem(this.historyKey)) || {};
+        this.workoutHistory = JSON.parse(storageManager.getItem(this.historyKey)) || {};
+        
+        // Types added since the state was saved start out not completed
+        this.workoutTypes.forEach((type, index) => {
+            if (!this.workoutState[type]) this.workoutState[type] = { completed: false, order: index };
+            if (typeof this.workoutCounts[type] !== 'number') this.workoutCounts[type] = 0;
+        });
+        
+        // Unit shown for set weights and volume
+        this.weightUnit = 'kg';
+        
+        // History entry ({date, index}) open in the session editor
+        this.editingEntry = null;
+        
+        // Exercise records, rebuilt from history whenever it changes
+        this.exerciseRecords = this.calculateExerciseRecords();
+        this.selectedExercise = null;
+        
+        // Session in progress ({start, restEndsAt}) and the rest period between sets
+        this.activeSession = JSON.parse(storageManager.getItem(this.activeSessionKey));
+        this.restSeconds = parseInt(storageManager.getItem(this.restSecondsKey)) || 90;
+        this.sessionTimer = null;
+        
+        // When completed tabs start over: 'all-done', 'weekly' or 'manual'
+        this.resetRule = storageManager.getItem(this.resetRuleKey) || 'all-done';
+        
+        // Workout taps that can be undone, newest last
+        this.undoStack = [];
+        this.maxUndo = 20;
         
         // Set DOM elements
         this.elements = {
             tabsContainer: document.getElementById('workout-tabs-container'),
+            splitStatus: document.getElementById('workout-split-status'),
+            sessionBar: document.getElementById('workout-session-bar'),
+            sessionElapsed: document.getElementById('workout-session-elapsed'),
+            restClock: document.getElementById('workout-rest-clock'),
+            restRemaining: document.getElementById('workout-rest-remaining'),
+            restToggle: document.getElementById('workout-rest-toggle'),
+            restSecondsInput: document.getElementById('workout-rest-seconds'),
+            undoButton: document.getElementById('workout-undo'),
+            resetHint: document.getElementById('workout-reset-hint'),
+            resetRuleSelect: document.getElementById('workout-reset-rule'),
+            typeList: document.getElementById('workout-type-list'),
+            splitSelect: document.getElementById('workout-split-select'),
+            splitTemplateList: document.getElementById('workout-split-template-list'),
             historyPanel: document.getElementById('workout-history-popup'),
             dailyHistoryTab: document.getElementById('workout-daily-history'),
             currentWorkoutsTab: document.getElementById('workout-current-exercises'),
@@ -47,7 +101,17 @@ class WorkoutTracker {
             chartLabels: document.getElementById('workout-chart-labels'),
             workoutStreaks: document.getElementById('workout-streaks'),
             viewTypeSelect: document.getElementById('workout-view-type'),
-            timePeriodSelect: document.getElementById('workout-time-period')
+            timePeriodSelect: document.getElementById('workout-time-period'),
+            // Session editor elements
+            sessionModal: document.getElementById('workout-session-modal'),
+            sessionTitle: document.getElementById('workout-session-title'),
+            sessionExercises: document.getElementById('workout-session-exercises'),
+            exerciseLibrary: document.getElementById('workout-exercise-library'),
+            // Personal record elements
+            exerciseSelect: document.getElementById('workout-exercise-select'),
+            prChart: document.getElementById('workout-pr-chart'),
+            prChartLabels: document.getElementById('workout-pr-chart-labels'),
+            prSummary: document.getElementById('workout-pr-summary')
         };
         
         // Default analytics settings
@@ -76,144 +140,1383 @@ class WorkoutTracker {
         
         // Initialize workout analytics
         this.initializeWorkoutAnalytics();
+        
+        // Initialize exercise logging
+        this.initializeSessionEditor();
+        
+        // Pick up a session left running before a reload
+        this.initializeSessionMode();
+        
+        // Workout type and split settings
+        this.renderTypeEditor();
+        this.renderSplitEditor();
+    }
+    
+    /**
+     * Workout types for a fresh install
+     * @returns {Array<Object>} Workout type definitions
+     */
+    getDefaultWorkoutTypes() {
+        return ['Chest', 'Back', 'Shoulders', 'Biceps', 'Triceps', 'Abs', 'Legs'].map((name, index) => ({
+            id: name.toLowerCase(),
+            name,
+            color: this.getWorkoutColor(null, index),
+            retired: false
+        }));
+    }
+    
+    /**
+     * Names of workout types that aren't retired, in order
+     * @returns {Array<string>} Workout type names
+     */
+    getActiveWorkoutTypes() {
+        return this.workoutTypeDefinitions.filter(type => !type.retired).map(type => type.name);
+    }
+    
+    /**
+     * Find a workout type definition by name (case-insensitive)
+     * @param {string} name - Workout type name
+     * @returns {Object|undefined} Workout type definition
+     */
+    findWorkoutType(name) {
+        const key = name.trim().toLowerCase();
+        return this.workoutTypeDefinitions.find(type => type.name.toLowerCase() === key);
+    }
+    
+    /**
+     * Current names of built-in workout types
+     * @param {Array<string>} ids - Built-in type ids, e.g. 'chest'
+     * @returns {Array<string>} Workout type names, in the order of the ids
+     */
+    getBuiltInTypeNames(ids) {
+        return ids.map(id => {
+            const type = this.workoutTypeDefinitions.find(definition => definition.id === id);
+            return type ? type.name : id.charAt(0).toUpperCase() + id.slice(1);
+        });
+    }
+    
+    /**
+     * Check a new workout type name
+     * @param {string} name - Proposed name
+     * @param {string} [currentName] - Name being replaced, when renaming
+     * @returns {string|null} Error message, or null if the name can be used
+     */
+    validateWorkoutTypeName(name, currentName) {
+        if (!name) return 'Please enter a workout name.';
+        if (name.length > 20) return 'Workout names can be at most 20 characters.';
+        
+        // These are the analytics views for all workouts
+        if (['all', 'comparison'].includes(name.toLowerCase())) return `"${name}" is a reserved name.`;
+        
+        const existing = this.findWorkoutType(name);
+        if (existing && existing.name !== currentName) return `There is already a workout called ${existing.name}.`;
+        
+        return null;
+    }
+    
+    /**
+     * Add a workout type
+     * @param {string} name - Workout name
+     * @param {string} color - Hex colour
+     * @returns {boolean} True if the type was added
+     */
+    addWorkoutType(name, color) {
+        name = name.trim();
+        const error = this.validateWorkoutTypeName(name);
+        if (error) {
+            utils.showToast(error, 'error');
+            return false;
+        }
+        
+        this.workoutTypeDefinitions.push({ name, color, retired: false });
+        this.workoutState[name] = { completed: false, order: this.workoutTypeDefinitions.length - 1 };
+        this.workoutCounts[name] = 0;
+        
+        this.saveWorkoutTypes();
+        utils.showToast(`${name} workout added`, 'success');
+        return true;
+    }
+    
+    /**
+     * Rename a workout type, including its history and split templates.
+     * Built-in templates find the type by its id.
+     * @param {string} oldName - Current name
+     * @param {string} newName - New name
+     * @returns {boolean} True if the type was renamed
+     */
+    renameWorkoutType(oldName, newName) {
+        newName = newName.trim();
+        if (newName === oldName) return false;
+        
+        const error = this.validateWorkoutTypeName(newName, oldName);
+        if (error) {
+            utils.showToast(error, 'error');
+            return false;
+        }
+        
+        this.findWorkoutType(oldName).name = newName;
+        
+        [this.workoutState, this.workoutCounts].forEach(map => {
+            if (oldName in map) {
+                map[newName] = map[oldName];
+                delete map[oldName];
+            }
+        });
+        
+        Object.values(this.workoutHistory).forEach(entries => {
+            entries.forEach(entry => {
+                if (entry.type === oldName) entry.type = newName;
+            });
+        });
+        
+        this.customSplitTemplates.forEach(template => {
+            template.days.forEach(day => {
+                day.types = day.types.map(type => type === oldName ? newName : type);
+            });
+        });
+        
+        storageManager.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+        storageManager.setItem(this.splitTemplatesKey, JSON.stringify(this.customSplitTemplates));
+        this.saveWorkoutTypes();
+        
+        utils.showToast(`${oldName} renamed to ${newName}`, 'success');
+        return true;
+    }
+    
+    /**
+     * Change a workout type's colour
+     * @param {string} name - Workout name
+     * @param {string} color - Hex colour
+     */
+    recolorWorkoutType(name, color) {
+        this.findWorkoutType(name).color = color;
+        this.saveWorkoutTypes();
+    }
+    
+    /**
+     * Retire or restore a workout type. Retired types keep their history.
+     * @param {string} name - Workout name
+     * @param {boolean} retired - Whether the type should be retired
+     */
+    setWorkoutTypeRetired(name, retired) {
+        if (retired && this.workoutTypes.length === 1) {
+            utils.showToast('You need at least one active workout.', 'error');
+            return;
+        }
+        
+        this.findWorkoutType(name).retired = retired;
+        
+        if (!this.workoutState[name]) {
+            this.workoutState[name] = { completed: false, order: this.workoutTypeDefinitions.findIndex(type => type.name === name) };
+            this.workoutCounts[name] = 0;
+        }
+        
+        this.saveWorkoutTypes();
+        utils.showToast(`${name} ${retired ? 'retired' : 'restored'}`, retired ? 'warning' : 'success');
+    }
+    
+    /**
+     * Persist workout types and refresh everything that lists them
+     */
+    saveWorkoutTypes() {
+        this.workoutTypes = this.getActiveWorkoutTypes();
+        this.clearUndoStack();
+        
+        // Tab order follows the type list
+        this.workoutTypeDefinitions.forEach((type, index) => {
+            if (this.workoutState[type.name]) this.workoutState[type.name].order = index;
+        });
+        
+        storageManager.setItem(this.typesKey, JSON.stringify(this.workoutTypeDefinitions));
+        this.saveState();
+        
+        this.renderTypeEditor();
+        this.renderSplitEditor();
+        this.renderWorkoutViewOptions();
+        this.renderWorkoutTabs();
+        this.refreshHistory();
+    }
+    
+    /**
+     * Render the workout type list in settings
+     */
+    renderTypeEditor() {
+        const list = this.elements.typeList;
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        this.workoutTypeDefinitions.forEach(type => {
+            const item = document.createElement('li');
+            item.className = `workout-type-item${type.retired ? ' retired' : ''}`;
+            
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.value = type.color;
+            colorInput.setAttribute('aria-label', `${type.name} colour`);
+            colorInput.addEventListener('change', () => this.recolorWorkoutType(type.name, colorInput.value));
+            
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = type.name;
+            nameInput.maxLength = 20;
+            nameInput.setAttribute('aria-label', 'Workout name');
+            nameInput.addEventListener('change', () => {
+                if (!this.renameWorkoutType(type.name, nameInput.value)) {
+                    nameInput.value = type.name;
+                }
+            });
+            
+            const retireBtn = document.createElement('button');
+            retireBtn.className = 'icon-btn workout-type-btn';
+            retireBtn.setAttribute('aria-label', type.retired ? `Restore ${type.name}` : `Retire ${type.name}`);
+            retireBtn.innerHTML = `<i class="material-icons-round">${type.retired ? 'unarchive' : 'archive'}</i>`;
+            retireBtn.addEventListener('click', () => this.setWorkoutTypeRetired(type.name, !type.retired));
+            
+            item.appendChild(colorInput);
+            item.appendChild(nameInput);
+            item.appendChild(retireBtn);
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Built-in split templates
+     * @returns {Array<Object>} Templates ({id, name, days: [{name, types}]})
+     */
+    getBuiltInSplitTemplates() {
+        return [
+            {
+                id: 'push-pull-legs',
+                name: 'Push/Pull/Legs',
+                days: [
+                    { name: 'Push', types: this.getBuiltInTypeNames(['chest', 'shoulders', 'triceps']) },
+                    { name: 'Pull', types: this.getBuiltInTypeNames(['back', 'biceps']) },
+                    { name: 'Legs', types: this.getBuiltInTypeNames(['legs', 'abs']) }
+                ]
+            },
+            {
+                id: 'upper-lower',
+                name: 'Upper/Lower',
+                days: [
+                    { name: 'Upper', types: this.getBuiltInTypeNames(['chest', 'back', 'shoulders', 'biceps', 'triceps']) },
+                    { name: 'Lower', types: this.getBuiltInTypeNames(['legs', 'abs']) }
+                ]
+            }
+        ];
+    }
+    
+    /**
+     * All split templates, built-in first
+     * @returns {Array<Object>} Templates
+     */
+    getSplitTemplates() {
+        return this.getBuiltInSplitTemplates().concat(this.customSplitTemplates);
+    }
+    
+    /**
+     * Today's day of the active split. Splits rotate one day per calendar day from their start date.
+     * @param {Date} [date] - Day to look up (defaults to today)
+     * @returns {Object|null} Split day ({name, types, number, total, template}) or null with no split
+     */
+    getSplitDay(date = new Date()) {
+        if (!this.activeSplit) return null;
+        
+        const template = this.getSplitTemplates().find(t => t.id === this.activeSplit.templateId);
+        if (!template || template.days.length === 0) return null;
+        
+        const daysSinceStart = Math.round((utils.parseDateKey(utils.formatDate(date)) - utils.parseDateKey(this.activeSplit.startDate)) / 86400000);
+        const index = ((daysSinceStart % template.days.length) + template.days.length) % template.days.length;
+        
+        return { ...template.days[index], number: index + 1, total: template.days.length, template };
+    }
+    
+    /**
+     * Workout types to show as tabs today
+     * @returns {Array<string>} Workout type names
+     */
+    getTodaysWorkoutTypes() {
+        const splitDay = this.getSplitDay();
+        if (!splitDay) return this.workoutTypes;
+        
+        // Template types that were retired or never existed are left out
+        return this.workoutTypes.filter(type => splitDay.types.some(name => name.toLowerCase() === type.toLowerCase()));
+    }
+    
+    /**
+     * Follow a split template from today, or stop following one
+     * @param {string} templateId - Template id, or '' for no split
+     */
+    setActiveSplit(templateId) {
+        this.activeSplit = templateId ? { templateId, startDate: utils.formatDate(new Date()) } : null;
+        
+        if (this.activeSplit) {
+            storageManager.setItem(this.activeSplitKey, JSON.stringify(this.activeSplit));
+        } else {
+            storageManager.removeItem(this.activeSplitKey);
+        }
+        
+        this.renderSplitEditor();
+        this.renderWorkoutTabs();
+    }
+    
+    /**
+     * Move the active split forward by one day (e.g. after a missed session)
+     */
+    advanceSplitDay() {
+        if (!this.activeSplit) return;
+        
+        const start = utils.parseDateKey(this.activeSplit.startDate);
+        start.setDate(start.getDate() - 1);
+        this.activeSplit.startDate = utils.formatDate(start);
+        
+        storageManager.setItem(this.activeSplitKey, JSON.stringify(this.activeSplit));
+        this.renderWorkoutTabs();
+    }
+    
+    /**
+     * Add a split template from text with one day per line, e.g. "Push: Chest, Shoulders, Triceps".
+     * A line without workouts (e.g. "Rest") is a rest day.
+     * @param {string} name - Template name
+     * @param {string} text - Day definitions
+     * @returns {boolean} True if the template was added
+     */
+    addSplitTemplate(name, text) {
+        name = name.trim();
+        if (!name) {
+            utils.showToast('Please enter a name for the split.', 'error');
+            return false;
+        }
+        
+        const unknown = [];
+        const days = text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+            const [dayName, typeList = ''] = line.split(':');
+            const types = typeList.split(',').map(type => type.trim()).filter(Boolean).map(typeName => {
+                const type = this.findWorkoutType(typeName);
+                if (!type) unknown.push(typeName);
+                return type ? type.name : typeName;
+            });
+            
+            return { name: dayName.trim(), types };
+        });
+        
+        if (days.length === 0) {
+            utils.showToast('Add at least one day, e.g. "Push: Chest, Shoulders".', 'error');
+            return false;
+        }
+        
+        if (unknown.length > 0) {
+            utils.showToast(`Unknown workouts: ${unknown.join(', ')}`, 'error');
+            return false;
+        }
+        
+        this.customSplitTemplates.push({ id: `custom-${Date.now()}`, name, days });
+        storageManager.setItem(this.splitTemplatesKey, JSON.stringify(this.customSplitTemplates));
+        this.renderSplitEditor();
+        
+        utils.showToast(`${name} split saved`, 'success');
+        return true;
+    }
+    
+    /**
+     * Delete a custom split template
+     * @param {string} templateId - Template id
+     */
+    removeSplitTemplate(templateId) {
+        this.customSplitTemplates = this.customSplitTemplates.filter(template => template.id !== templateId);
+        storageManager.setItem(this.splitTemplatesKey, JSON.stringify(this.customSplitTemplates));
+        
+        if (this.activeSplit && this.activeSplit.templateId === templateId) {
+            this.setActiveSplit('');
+        } else {
+            this.renderSplitEditor();
+        }
+    }
+    
+    /**
+     * Render the split selector and custom template list in settings
+     */
+    renderSplitEditor() {
+        const select = this.elements.splitSelect;
+        if (select) {
+            select.innerHTML = '';
+            
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = 'No split (all workouts)';
+            select.appendChild(none);
+            
+            this.getSplitTemplates().forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.name;
+                select.appendChild(option);
+            });
+            
+            select.value = this.activeSplit ? this.activeSplit.templateId : '';
+        }
+        
+        const list = this.elements.splitTemplateList;
+        if (list) {
+            list.innerHTML = '';
+            
+            this.customSplitTemplates.forEach(template => {
+                const item = document.createElement('li');
+                item.className = 'workout-type-item';
+                
+                const text = document.createElement('span');
+                text.textContent = `${template.name}: ${template.days.map(day => day.name).join(' / ')}`;
+                
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'icon-btn workout-type-btn';
+                removeBtn.setAttribute('aria-label', `Delete ${template.name}`);
+                removeBtn.innerHTML = '<i class="material-icons-round">delete</i>';
+                removeBtn.addEventListener('click', () => {
+                    if (confirm(`Delete the ${template.name} split?`)) {
+                        this.removeSplitTemplate(template.id);
+                    }
+                });
+                
+                item.appendChild(text);
+                item.appendChild(removeBtn);
+                list.appendChild(item);
+            });
+        }
+    }
+    
+    /**
+     * Render workout tabs in the container
+     */
+    renderWorkoutTabs() {
+        if (!this.elements.tabsContainer) return;
+        
+        this.elements.tabsContainer.innerHTML = '';
+        
+        const splitDay = this.getSplitDay();
+        if (this.elements.splitStatus) {
+            this.elements.splitStatus.textContent = splitDay
+                ? `${splitDay.template.name}: ${splitDay.name} (day ${splitDay.number} of ${splitDay.total})`
+                : '';
+        }
+        
+        // Sort today's workout types by completed status and then by order
+        const sortedWorkouts = this.getTodaysWorkoutTypes()
+        .map(type => [type, this.workoutState[type]])
+        .sort(([, a], [, b]) => {
+            // Completed workouts go to the bottom
+            if (a.completed !== b.completed) {
+                return a.completed ? 1 : -1;
+            }
+            // Otherwise, maintain original order
+            return a.order - b.order;
+        })
+        .map(([type]) => type);
+        
+        if (this.elements.resetHint) {
+            this.elements.resetHint.textContent = this.getResetRuleHint();
+        }
+        if (this.elements.resetRuleSelect) {
+            this.elements.resetRuleSelect.value = this.resetRule;
+        }
+        this.renderUndoButton();
+        
+        if (sortedWorkouts.length === 0) {
+            const restDay = document.createElement('p');
+            restDay.className = 'workout-rest-day';
+            restDay.textContent = 'Rest day - no workouts scheduled.';
+            this.elements.tabsContainer.appendChild(restDay);
+            return;
+        }
+        
+        // Create tabs for each workout type
+        sortedWorkouts.forEach(type => {
+            const tab = document.createElement('button');
+            tab.className = `workout-tab ${this.workoutState[type].completed ? 'completed' : ''}`;
+            tab.dataset.type = type;
+            
+            const icon = document.createElement('i');
+            icon.className = 'material-icons-round';
+            icon.textContent = this.workoutState[type].completed ? 'check_circle' : 'radio_button_unchecked';
+            
+            const text = document.createElement('span');
+            text.textContent = type;
+            
+            // Add count badge if clicked more than once
+            if (this.workoutCounts[type] > 1) {
+                const badge = document.createElement('span');
+                badge.className = 'count-badge';
+                badge.textContent = this.workoutCounts[type];
+                tab.appendChild(badge);
+            }
+            
+            tab.appendChild(icon);
+            tab.appendChild(text);
+            
+            // Add click event
+            tab.addEventListener('click', () => this.toggleWorkout(type));
+            
+            this.elements.tabsContainer.appendChild(tab);
+        });
+    }
+    
+    /**
+     * Toggle workout completion status
+     * @param {string} type - Workout type
+     */
+    toggleWorkout(type) {
+        // Remember the tabs as they were so the tap can be undone
+        const snapshot = {
+            type,
+            state: JSON.parse(JSON.stringify(this.workoutState)),
+            counts: { ...this.workoutCounts }
+        };
+        
+        // Increase count
+        this.workoutCounts[type] += 1;
+        
+        // Update completion status
+        this.workoutState[type].completed = true;
+        
+        // Record in history
+        const { date, index } = this.saveWorkoutHistory(type);
+        const logSets = { label: 'Log sets', onClick: () => this.openSessionEditor(date, index) };
+        
+        this.undoStack.push({ ...snapshot, date, timestamp: this.workoutHistory[date][index].timestamp });
+        if (this.undoStack.length > this.maxUndo) this.undoStack.shift();
+        
+        // Check if all workouts are completed
+        const allCompleted = this.getTodaysWorkoutTypes().every(workout => this.workoutState[workout].completed);
+        if (allCompleted && this.resetRule === 'all-done') {
+            this.resetWorkoutTabs();
+            utils.showToast('All workouts completed! Tabs have been reset.', 'success', 5000, logSets);
+        } else if (allCompleted) {
+            this.saveState();
+            this.renderWorkoutTabs();
+            this.refreshHistory();
+            
+            utils.showToast('All workouts completed!', 'success', 5000, logSets);
+        } else {
+            // Save state and update display
+            this.saveState();
+            this.renderWorkoutTabs();
+            this.refreshHistory();
+            
+            utils.showToast(`${type} workout marked as complete!`, 'success', 5000, logSets);
+        }
+    }
+    
+    /**
+     * Undo the most recent workout tap, removing its history entry
+     */
+    undoLastWorkout() {
+        const action = this.undoStack[this.undoStack.length - 1];
+        if (!action) return;
+        
+        const entries = this.workoutHistory[action.date] || [];
+        const index = entries.findIndex(entry => entry.timestamp === action.timestamp && entry.type === action.type);
+        const entry = entries[index];
+        
+        if (entry && entry.exercises && entry.exercises.length > 0 &&
+            !confirm(`Undo ${action.type}? The exercises logged for it will be removed too.`)) {
+            return;
+        }
+        
+        this.undoStack.pop();
+        
+        if (entry) {
+            entries.splice(index, 1);
+            storageManager.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+        }
+        
+        this.workoutState = action.state;
+        this.workoutCounts = action.counts;
+        
+        this.saveState();
+        this.renderWorkoutTabs();
+        this.refreshHistory();
+        
+        utils.showToast(`${action.type} workout undone`, 'info');
+    }
+    
+    /**
+     * Forget undoable taps, e.g. when the history they point at changes
+     */
+    clearUndoStack() {
+        this.undoStack = [];
+        this.renderUndoButton();
+    }
+    
+    /**
+     * Enable the undo button while there is something to undo
+     */
+    renderUndoButton() {
+        if (!this.elements.undoButton) return;
+        
+        const action = this.undoStack[this.undoStack.length - 1];
+        this.elements.undoButton.disabled = !action;
+        this.elements.undoButton.querySelector('span').textContent = action ? `Undo ${action.type}` : 'Undo';
+    }
+    
+    /**
+     * Change when completed workout tabs start over
+     * @param {string} rule - 'all-done', 'weekly' or 'manual'
+     */
+    setResetRule(rule) {
+        if (!['all-done', 'weekly', 'manual'].includes(rule)) return;
+        
+        this.resetRule = rule;
+        storageManager.setItem(this.resetRuleKey, rule);
+        
+        // A weekly rotation counts from the week it was switched on
+        if (rule === 'weekly') {
+            storageManager.setItem(this.rotationResetKey, utils.formatDate(new Date()));
+        }
+        
+        this.renderWorkoutTabs();
+        utils.showToast(this.getResetRuleHint(), 'success');
+    }
+    
+    /**
+     * Explain the reset rule below the workout tabs
+     * @returns {string} Hint text
+     */
+    getResetRuleHint() {
+        const hints = {
+            'all-done': 'Complete all workouts to reset.',
+            weekly: 'Workouts reset every Monday.',
+            manual: 'Reset workouts from settings when you are ready.'
+        };
+        return `Tap a workout to mark it as complete. ${hints[this.resetRule]}`;
+    }
+    
+    /**
+     * Reset the tabs if the weekly rule is on and a new week has started
+     */
+    checkWeeklyReset() {
+        if (this.resetRule !== 'weekly') return;
+        
+        const today = new Date();
+        const monday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (today.getDay() + 6) % 7);
+        const lastReset = storageManager.getItem(this.rotationResetKey);
+        
+        if (!lastReset || lastReset < utils.formatDate(monday)) {
+            this.resetWorkoutTabs();
+        }
+    }
+    
+    /**
+     * Save the current state to storage
+     */
+    saveState() {
+        storageManager.setItem(this.stateKey, JSON.stringify(this.workoutState));
+        storageManager.setItem(this.countKey, JSON.stringify(this.workoutCounts));
+    }
+    
+    /**
+     * Reset workout tabs (but keep history)
+     */
+    resetWorkoutTabs() {
+        // Reset workout state
+        Object.keys(this.workoutState).forEach(type => {
+            this.workoutState[type].completed = false;
+            this.workoutState[type].order = this.workoutTypeDefinitions.findIndex(definition => definition.name === type);
+        });
+        
+        // Reset workout counts
+        Object.keys(this.workoutCounts).forEach(type => {
+            this.workoutCounts[type] = 0;
+        });
+        
+        storageManager.setItem(this.rotationResetKey, utils.formatDate(new Date()));
+        
+        // Save and update display
+        this.saveState();
+        this.renderWorkoutTabs();
+        this.refreshHistory();
+    }
+    
+    /**
+     * Save workout to daily history
+     * @param {string} type - Workout type
+     * @returns {Object} Position of the new entry ({date, index})
+     */
+    saveWorkoutHistory(type) {
+        const currentDate = utils.formatDate(new Date());
+        
+        if (!this.workoutHistory[currentDate]) {
+            this.workoutHistory[currentDate] = [];
+        }
+        
+        this.workoutHistory[currentDate].push({
+            type,
+            count: this.workoutCounts[type],
+            timestamp: new Date().toISOString()
+        });
+        
+        storageManager.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+        
+        return { date: currentDate, index: this.workoutHistory[currentDate].length - 1 };
+    }
+    
+    /**
+     * Refresh history displays
+     */
+    refreshHistory() {
+        // Keep whichever history tab the user is looking at
+        const activeTab = this.elements.historyPanel && this.elements.historyPanel.querySelector('.tab-content.active');
+        
+        this.exerciseRecords = this.calculateExerciseRecords();
+        
+        this.showDailyHistory();
+        this.showCurrentWorkouts();
+        this.renderWorkoutAnalytics(); // Add analytics rendering
+        
+        if (activeTab && activeTab !== this.elements.dailyHistoryTab) {
+            this.elements.dailyHistoryTab.classList.remove('active');
+            activeTab.classList.add('active');
+        }
+    }
+    
+    /**
+     * Check whether a history entry is a timed session rather than a workout tap
+     * @param {Object} entry - History entry
+     * @returns {boolean} True for session entries
+     */
+    isSessionEntry(entry) {
+        return entry.kind === 'session';
+    }
+    
+    /**
+     * Workout taps recorded on a date, without session entries
+     * @param {string} date - Date key (YYYY-MM-DD)
+     * @returns {Array<Object>} Workout entries
+     */
+    getWorkoutEntries(date) {
+        return (this.workoutHistory[date] || []).filter(entry => !this.isSessionEntry(entry));
+    }
+    
+    /**
+     * Set up session mode, resuming a session that was running
+     */
+    initializeSessionMode() {
+        if (this.elements.restSecondsInput) {
+            this.elements.restSecondsInput.value = this.restSeconds;
+        }
+        
+        if (this.activeSession) {
+            this.startSessionTimer();
+            this.scheduleRestReminder();
+        }
+        
+        this.renderSessionMode();
+    }
+    
+    /**
+     * Start a workout session
+     */
+    startSession() {
+        if (this.activeSession) return;
+        
+        this.activeSession = { start: new Date().toISOString(), restEndsAt: null };
+        this.saveActiveSession();
+        this.startSessionTimer();
+        this.renderSessionMode();
+        
+        utils.showToast('Session started', 'success');
+    }
+    
+    /**
+     * End the running session and save it to history
+     */
+    endSession() {
+        if (!this.activeSession) return;
+        
+        const start = new Date(this.activeSession.start);
+        const end = new Date();
+        const date = utils.formatDate(start);
+        
+        // Workouts tapped while the session was running
+        const types = [...new Set([date, utils.formatDate(end)])]
+            .flatMap(dateKey => this.getWorkoutEntries(dateKey))
+            .filter(entry => {
+                const time = new Date(entry.timestamp);
+                return time >= start && time <= end;
+            })
+            .map(entry => entry.type);
+        
+        const session = {
+            kind: 'session',
+            start: start.toISOString(),
+            end: end.toISOString(),
+            duration: Math.round((end - start) / 1000),
+            types: [...new Set(types)],
+            timestamp: end.toISOString()
+        };
+        
+        if (!this.workoutHistory[date]) {
+            this.workoutHistory[date] = [];
+        }
+        this.workoutHistory[date].push(session);
+        storageManager.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+        
+        this.activeSession = null;
+        this.saveActiveSession();
+        this.scheduleRestReminder();
+        this.stopSessionTimer();
+        this.renderSessionMode();
+        this.refreshHistory();
+        
+        utils.showToast(`Session saved: ${this.describeSession(session)}`, 'success');
+    }
+    
+    /**
+     * Start the rest timer, or skip the rest that is running
+     */
+    toggleRestTimer() {
+        if (!this.activeSession) return;
+        
+        this.activeSession.restEndsAt = this.activeSession.restEndsAt
+            ? null
+            : new Date(Date.now() + this.restSeconds * 1000).toISOString();
+        
+        this.saveActiveSession();
+        this.scheduleRestReminder();
+        this.renderSessionMode();
+    }
+    
+    /**
+     * Plan the rest-over notification for the moment the rest ends, so it
+     * is sent on time even when the page's once-a-second clock is throttled
+     */
+    scheduleRestReminder() {
+        const restEndsAt = this.activeSession && this.activeSession.restEndsAt;
+        if (!restEndsAt) {
+            reminderEngine.unregister('workout-rest');
+            return;
+        }
+        
+        reminderEngine.register({
+            id: 'workout-rest',
+            target: 'workout',
+            at: restEndsAt,
+            message: { title: 'Rest Over', body: 'Time for your next set!' }
+        });
+    }
+    
+    /**
+     * Change how long the rest timer runs
+     * @param {string|number} value - Rest time in seconds
+     * @returns {boolean} True if the rest time was saved
+     */
+    setRestSeconds(value) {
+        const seconds = parseInt(value);
+        if (isNaN(seconds) || seconds < 10 || seconds > 600) {
+            utils.showToast('Rest time must be between 10 and 600 seconds.', 'error');
+            return false;
+        }
+        
+        this.restSeconds = seconds;
+        storageManager.setItem(this.restSecondsKey, seconds);
+        this.renderSessionMode();
+        
+        utils.showToast(`Rest timer set to ${this.formatClock(seconds)}`, 'success');
+        return true;
+    }
+    
+    /**
+     * Save the running session so it survives a reload
+     */
+    saveActiveSession() {
+        if (this.activeSession) {
+            storageManager.setItem(this.activeSessionKey, JSON.stringify(this.activeSession));
+        } else {
+            storageManager.removeItem(this.activeSessionKey);
+        }
+    }
+    
+    /**
+     * Tick the session clocks once a second
+     */
+    startSessionTimer() {
+        this.stopSessionTimer();
+        this.sessionTimer = setInterval(() => this.tickSession(), 1000);
+    }
+    
+    /**
+     * Stop the session clocks
+     */
+    stopSessionTimer() {
+        if (this.sessionTimer) {
+            clearInterval(this.sessionTimer);
+            this.sessionTimer = null;
+        }
+    }
+    
+    /**
+     * Finish the rest period when it runs out, then update the clocks.
+     * The rest-over notification comes from scheduleRestReminder.
+     */
+    tickSession() {
+        if (!this.activeSession) return;
+        
+        const restEndsAt = this.activeSession.restEndsAt;
+        if (restEndsAt && new Date(restEndsAt) <= new Date()) {
+            this.activeSession.restEndsAt = null;
+            this.saveActiveSession();
+        }
+        
+        this.renderSessionMode();
+    }
+    
+    /**
+     * Show the session bar and its elapsed and rest clocks
+     */
+    renderSessionMode() {
+        if (!this.elements.sessionBar) return;
+        
+        const session = this.activeSession;
+        this.elements.sessionBar.classList.toggle('active', !!session);
+        if (!session) return;
+        
+        const now = Date.now();
+        this.elements.sessionElapsed.textContent = this.formatClock((now - new Date(session.start)) / 1000);
+        
+        const resting = !!session.restEndsAt;
+        this.elements.restClock.classList.toggle('running', resting);
+        this.elements.restRemaining.textContent = resting
+            ? this.formatClock((new Date(session.restEndsAt) - now) / 1000)
+            : this.formatClock(this.restSeconds);
+        this.elements.restToggle.querySelector('span').textContent = resting ? 'Skip Rest' : 'Start Rest';
+    }
+    
+    /**
+     * Format seconds as a clock (m:ss, or h:mm:ss past an hour)
+     * @param {number} seconds - Seconds to show
+     * @returns {string} Formatted time
+     */
+    formatClock(seconds) {
+        const total = Math.max(0, Math.ceil(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total % 3600 / 60);
+        const secs = String(total % 60).padStart(2, '0');
+        
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+    
+    /**
+     * Describe a saved session, e.g. "18:02-19:07 (65 min)"
+     * @param {Object} session - Session entry
+     * @returns {string} Description
+     */
+    describeSession(session) {
+        const time = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const minutes = Math.round(session.duration / 60);
+        return `${time(session.start)}-${time(session.end)} (${minutes} min)`;
+    }
+    
+    /**
+     * Initialize the session editor for logging exercises and sets
+     */
+    initializeSessionEditor() {
+        if (!this.elements.sessionModal) return;
+        
+        document.getElementById('workout-add-exercise').addEventListener('click', () => this.addExerciseBlock());
+        document.getElementById('workout-session-cancel').addEventListener('click', () => this.closeSessionEditor());
+        document.getElementById('workout-session-save').addEventListener('click', () => this.saveSession());
+    }
+    
+    /**
+     * Open the session editor for a history entry
+     * @param {string} date - Date key (YYYY-MM-DD)
+     * @param {number} index - Index of the entry on that date
+     */
+    openSessionEditor(date, index) {
+        const entry = (this.workoutHistory[date] || [])[index];
+        if (!entry || !this.elements.sessionModal) return;
+        
+        this.editingEntry = { date, index };
+        this.elements.sessionTitle.textContent = `${entry.type} Exercises`;
+        this.elements.sessionExercises.innerHTML = '';
+        
+        // Suggest exercises from the library, this muscle group's first
+        if (this.elements.exerciseLibrary) {
+            this.elements.exerciseLibrary.innerHTML = '';
+            this.getExerciseLibrary()
+                .sort((a, b) => b.types.includes(entry.type) - a.types.includes(entry.type))
+                .forEach(exercise => {
+                    const option = document.createElement('option');
+                    option.value = exercise.name;
+                    this.elements.exerciseLibrary.appendChild(option);
+                });
+        }
+        
+        const exercises = entry.exercises && entry.exercises.length > 0 ? entry.exercises : [undefined];
+        exercises.forEach(exercise => this.addExerciseBlock(exercise));
+        
+        this.elements.sessionModal.style.display = 'flex';
+    }
+    
+    /**
+     * Close the session editor without saving
+     */
+    closeSessionEditor() {
+        this.editingEntry = null;
+        this.elements.sessionModal.style.display = 'none';
+    }
+    
+    /**
+     * Add an exercise with its sets to the session editor
+     * @param {Object} [exercise] - Exercise to edit ({name, sets}); a blank one if omitted
+     */
+    addExerciseBlock(exercise = { name: '', sets: [{}] }) {
+        const block = document.createElement('div');
+        block.className = 'session-exercise';
+        
+        const header = document.createElement('div');
+        header.className = 'session-exercise-header';
+        
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'session-exercise-name';
+        nameInput.placeholder = 'Exercise (e.g. Bench Press)';
+        nameInput.maxLength = 40;
+        nameInput.setAttribute('list', 'workout-exercise-library');
+        nameInput.value = exercise.name;
+        
+        const removeBtn = this.createSessionButton('delete', 'Remove exercise', () => block.remove());
+        
+        header.appendChild(nameInput);
+        header.appendChild(removeBtn);
+        block.appendChild(header);
+        
+        const setsContainer = document.createElement('div');
+        setsContainer.className = 'session-sets';
+        block.appendChild(setsContainer);
+        
+        exercise.sets.forEach(set => this.addSetRow(setsContainer, set));
+        
+        const addSetBtn = document.createElement('button');
+        addSetBtn.className = 'session-add-set';
+        addSetBtn.textContent = '+ Add set';
+        addSetBtn.addEventListener('click', () => {
+            // New sets start as a copy of the previous one
+            const lastRow = setsContainer.lastElementChild;
+            this.addSetRow(setsContainer, lastRow ? this.readSetRow(lastRow) : {});
+        });
+        block.appendChild(addSetBtn);
+        
+        this.elements.sessionExercises.appendChild(block);
+        
+        if (!exercise.name) {
+            nameInput.focus();
+        }
+    }
+    
+    /**
+     * Add a set row (reps, weight, RPE) to an exercise
+     * @param {Element} container - Sets container of the exercise
+     * @param {Object} set - Set values ({reps, weight, rpe}); missing values are left blank
+     */
+    addSetRow(container, set) {
+        const row = document.createElement('div');
+        row.className = 'session-set';
+        
+        const number = document.createElement('span');
+        number.className = 'session-set-number';
+        row.appendChild(number);
+        
+        [
+            { field: 'reps', placeholder: 'Reps', min: '1', step: '1' },
+            { field: 'weight', placeholder: this.weightUnit, min: '0', step: '0.5' },
+            { field: 'rpe', placeholder: 'RPE', min: '1', step: '0.5', max: '10' }
+        ].forEach(({ field, placeholder, min, step, max }) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.dataset.field = field;
+            input.placeholder = placeholder;
+            input.min = min;
+            input.step = step;
+            if (max) input.max = max;
+            if (set[field] !== undefined && set[field] !== null) {
+                input.value = set[field];
+            }
+            row.appendChild(input);
+        });
+        
+        row.appendChild(this.createSessionButton('close', 'Remove set', () => {
+            row.remove();
+            this.numberSetRows(container);
+        }));
+        
+        container.appendChild(row);
+        this.numberSetRows(container);
+    }
+    
+    /**
+     * Number the set rows of an exercise
+     * @param {Element} container - Sets container of the exercise
+     */
+    numberSetRows(container) {
+        Array.from(container.children).forEach((row, index) => {
+            row.querySelector('.session-set-number').textContent = index + 1;
+        });
     }
     
     /**
-     * Render workout tabs in the container
+     * Create an icon button for the session editor
+     * @param {string} icon - Material icon name
+     * @param {string} label - Accessible label
+     * @param {Function} onClick - Click handler
+     * @returns {Element} Button element
      */
-    renderWorkoutTabs() {
-        if (!this.elements.tabsContainer) return;
-        
-        this.elements.tabsContainer.innerHTML = '';
+    createSessionButton(icon, label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'icon-btn session-icon-btn';
+        button.setAttribute('aria-label', label);
+        button.innerHTML = `<i class="material-icons-round">${icon}</i>`;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Read a set row's values
+     * @param {Element} row - Set row
+     * @returns {Object} Set ({reps, weight, rpe}); blank fields are null
+     */
+    readSetRow(row) {
+        const set = {};
+        row.querySelectorAll('input[data-field]').forEach(input => {
+            set[input.dataset.field] = input.value === '' ? null : parseFloat(input.value);
+        });
+        return set;
+    }
+    
+    /**
+     * Validate the session editor and save its exercises to the history entry
+     */
+    saveSession() {
+        if (!this.editingEntry) return;
         
-        // Sort workout types by completed status and then by order
-        const sortedWorkouts = Object.entries(this.workoutState)
-        .sort(([, a], [, b]) => {
-            // Completed workouts go to the bottom
-            if (a.completed !== b.completed) {
-                return a.completed ? 1 : -1;
-            }
-            // Otherwise, maintain original order
-            return a.order - b.order;
-        })
-        .map(([type]) => type);
+        const exercises = [];
+        let error = null;
         
-        // Create tabs for each workout type
-        sortedWorkouts.forEach(type => {
-            const tab = document.createElement('button');
-            tab.className = `workout-tab ${this.workoutState[type].completed ? 'completed' : ''}`;
-            tab.dataset.type = type;
-            
-            const icon = document.createElement('i');
-            icon.className = 'material-icons-round';
-            icon.textContent = this.workoutState[type].completed ? 'check_circle' : 'radio_button_unchecked';
+        this.elements.sessionExercises.querySelectorAll('.session-exercise').forEach(block => {
+            const name = block.querySelector('.session-exercise-name').value.trim();
+            const sets = Array.from(block.querySelectorAll('.session-set'))
+                .map(row => this.readSetRow(row))
+                .filter(set => set.reps !== null || set.weight !== null || set.rpe !== null);
             
-            const text = document.createElement('span');
-            text.textContent = type;
+            // Skip exercises left completely blank
+            if (!name && sets.length === 0) return;
             
-            // Add count badge if clicked more than once
-            if (this.workoutCounts[type] > 1) {
-                const badge = document.createElement('span');
-                badge.className = 'count-badge';
-                badge.textContent = this.workoutCounts[type];
-                tab.appendChild(badge);
+            if (!name) {
+                error = 'Please name every exercise.';
+            } else if (sets.some(set => !Number.isInteger(set.reps) || set.reps <= 0)) {
+                error = `Each set of ${name} needs a whole number of reps.`;
+            } else if (sets.some(set => set.weight !== null && set.weight < 0)) {
+                error = `Weights for ${name} can't be negative.`;
+            } else if (sets.some(set => set.rpe !== null && (set.rpe < 1 || set.rpe > 10))) {
+                error = `RPE for ${name} must be between 1 and 10.`;
             }
             
-            tab.appendChild(icon);
-            tab.appendChild(text);
-            
-            // Add click event
-            tab.addEventListener('click', () => this.toggleWorkout(type));
-            
-            this.elements.tabsContainer.appendChild(tab);
+            exercises.push({
+                name,
+                sets: sets.map(set => ({ reps: set.reps, weight: set.weight || 0, rpe: set.rpe }))
+            });
         });
-    }
-    
-    /**
-     * Toggle workout completion status
-     * @param {string} type - Workout type
-     */
-    toggleWorkout(type) {
-        // Increase count
-        this.workoutCounts[type] += 1;
         
-        // Update completion status
-        this.workoutState[type].completed = true;
+        if (error) {
+            utils.showToast(error, 'error');
+            return;
+        }
         
-        // Record in history
-        this.saveWorkoutHistory(type);
+        const { date, index } = this.editingEntry;
+        const entry = this.workoutHistory[date] && this.workoutHistory[date][index];
+        if (!entry) {
+            this.closeSessionEditor();
+            return;
+        }
         
-        // Check if all workouts are completed
-        const allCompleted = Object.values(this.workoutState).every(state => state.completed);
-        if (allCompleted) {
-            this.resetWorkoutTabs();
-            utils.showToast('All workouts completed! Tabs have been reset.', 'success');
+        if (exercises.length > 0) {
+            entry.exercises = exercises;
         } else {
-            // Save state and update display
-            this.saveState();
-            this.renderWorkoutTabs();
-            this.refreshHistory();
-            
-            utils.showToast(`${type} workout marked as complete!`, 'success');
+            delete entry.exercises;
         }
+        
+        storageManager.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+        this.closeSessionEditor();
+        this.refreshHistory();
+        
+        const volume = this.getEntryVolume(entry);
+        utils.showToast(`${entry.type} exercises saved${volume > 0 ? ` (${this.formatVolume(volume)} volume)` : ''}`, 'success');
     }
     
     /**
-     * Save the current state to localStorage
+     * Calculate the volume (reps x weight) of a history entry
+     * @param {Object} entry - Workout history entry
+     * @returns {number} Volume in weight units
      */
-    saveState() {
-        localStorage.setItem(this.stateKey, JSON.stringify(this.workoutState));
-        localStorage.setItem(this.countKey, JSON.stringify(this.workoutCounts));
+    getEntryVolume(entry) {
+        return (entry.exercises || []).reduce((total, exercise) => {
+            return total + exercise.sets.reduce((sum, set) => sum + set.reps * set.weight, 0);
+        }, 0);
     }
     
     /**
-     * Reset workout tabs (but keep history)
+     * Format a volume for display
+     * @param {number} volume - Volume in weight units
+     * @returns {string} Formatted volume
      */
-    resetWorkoutTabs() {
-        // Reset workout state
-        this.workoutTypes.forEach(type => {
-            this.workoutState[type].completed = false;
-            this.workoutState[type].order = this.workoutTypes.indexOf(type);
+    formatVolume(volume) {
+        return `${Math.round(volume).toLocaleString()} ${this.weightUnit}`;
+    }
+    
+    /**
+     * Describe an exercise's sets, e.g. "Bench Press: 8 × 60 kg @ RPE 8, 6 × 65 kg"
+     * @param {Object} exercise - Exercise ({name, sets})
+     * @returns {string} Summary text
+     */
+    describeExercise(exercise) {
+        const sets = exercise.sets.map(set => {
+            const load = set.weight > 0 ? `${set.reps} × ${set.weight} ${this.weightUnit}` : `${set.reps} reps`;
+            return set.rpe ? `${load} @ RPE ${set.rpe}` : load;
         });
         
-        // Reset workout counts
-        this.workoutTypes.forEach(type => {
-            this.workoutCounts[type] = 0;
+        return `${exercise.name}: ${sets.join(', ')}`;
+    }
+    
+    /**
+     * Estimate a one-rep max with the Epley formula: weight × (1 + reps / 30)
+     * @param {Object} set - Set ({reps, weight})
+     * @returns {number} Estimated one-rep max, rounded to 0.1
+     */
+    estimateOneRepMax(set) {
+        if (!(set.weight > 0)) return 0;
+        return Math.round(set.weight * (1 + set.reps / 30) * 10) / 10;
+    }
+    
+    /**
+     * Walk the history in order and collect each exercise's records and the PRs set along the way.
+     * Exercises are matched by name, ignoring case. An exercise's first session sets its baseline
+     * and doesn't count as a PR.
+     * @returns {Object} Records ({exercises: {key: record}, events: [{date, index, exercise, kind, value, previous, weight}]})
+     */
+    calculateExerciseRecords() {
+        const exercises = {};
+        const events = [];
+        
+        Object.keys(this.workoutHistory).sort().forEach(date => {
+            this.workoutHistory[date].forEach((entry, index) => {
+                (entry.exercises || []).forEach(exercise => {
+                    const key = exercise.name.trim().toLowerCase();
+                    const isFirstSession = !exercises[key];
+                    
+                    if (isFirstSession) {
+                        exercises[key] = { name: exercise.name, types: [], sessions: [], bestOneRepMax: null, bestVolume: null, repRecords: {} };
+                    }
+                    
+                    const record = exercises[key];
+                    record.name = exercise.name; // Latest spelling
+                    if (!record.types.includes(entry.type)) record.types.push(entry.type);
+                    
+                    const addEvent = (kind, value, previous, weight) => {
+                        if (!isFirstSession) {
+                            events.push({ date, index, exercise: exercise.name, kind, value, previous, weight });
+                        }
+                    };
+                    
+                    const oneRepMax = Math.max(0, ...exercise.sets.map(set => this.estimateOneRepMax(set)));
+                    const volume = exercise.sets.reduce((sum, set) => sum + set.reps * set.weight, 0);
+                    const topReps = Math.max(0, ...exercise.sets.map(set => set.reps));
+                    
+                    if (oneRepMax > 0 && (!record.bestOneRepMax || oneRepMax > record.bestOneRepMax.value)) {
+                        addEvent('oneRepMax', oneRepMax, record.bestOneRepMax && record.bestOneRepMax.value);
+                        record.bestOneRepMax = { value: oneRepMax, date };
+                    }
+                    
+                    if (volume > 0 && (!record.bestVolume || volume > record.bestVolume.value)) {
+                        addEvent('volume', volume, record.bestVolume && record.bestVolume.value);
+                        record.bestVolume = { value: volume, date };
+                    }
+                    
+                    // Most reps at each weight in this session, compared with earlier sessions
+                    const sessionReps = {};
+                    exercise.sets.forEach(set => {
+                        sessionReps[set.weight] = Math.max(sessionReps[set.weight] || 0, set.reps);
+                    });
+                    
+                    Object.entries(sessionReps).forEach(([weight, reps]) => {
+                        const best = record.repRecords[weight];
+                        if (!best || reps > best.reps) {
+                            if (best) addEvent('reps', reps, best.reps, parseFloat(weight));
+                            record.repRecords[weight] = { reps, date };
+                        }
+                    });
+                    
+                    record.sessions.push({ date, oneRepMax, volume, topReps });
+                });
+            });
         });
         
-        // Save and update display
-        this.saveState();
-        this.renderWorkoutTabs();
-        this.refreshHistory();
+        return { exercises, events };
     }
     
     /**
-     * Save workout to daily history
-     * @param {string} type - Workout type
+     * Exercises logged so far, most recently performed first
+     * @returns {Array<Object>} Exercise records ({name, types, sessions, ...})
      */
-    saveWorkoutHistory(type) {
-        const currentDate = utils.formatDate(new Date());
-        
-        if (!this.workoutHistory[currentDate]) {
-            this.workoutHistory[currentDate] = [];
-        }
-        
-        this.workoutHistory[currentDate].push({
-            type,
-            count: this.workoutCounts[type],
-            timestamp: new Date().toISOString()
+    getExerciseLibrary() {
+        return Object.values(this.exerciseRecords.exercises).sort((a, b) => {
+            return b.sessions[b.sessions.length - 1].date.localeCompare(a.sessions[a.sessions.length - 1].date);
         });
-        
-        localStorage.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
     }
     
     /**
-     * Refresh history displays
+     * PRs set on a day, optionally for one history entry
+     * @param {string} date - Date key (YYYY-MM-DD)
+     * @param {number} [index] - Index of the entry on that date
+     * @returns {Array<Object>} PR events
      */
-    refreshHistory() {
-        this.showDailyHistory();
-        this.showCurrentWorkouts();
-        this.renderWorkoutAnalytics(); // Add analytics rendering
+    getPersonalRecords(date, index) {
+        return this.exerciseRecords.events.filter(event => {
+            return event.date === date && (index === undefined || event.index === index);
+        });
+    }
+    
+    /**
+     * Describe a PR event, e.g. "Bench Press: est. 1RM 80 kg"
+     * @param {Object} event - PR event
+     * @returns {string} Description
+     */
+    describePersonalRecord(event) {
+        switch (event.kind) {
+            case 'oneRepMax':
+                return `${event.exercise}: est. 1RM ${event.value} ${this.weightUnit}`;
+            case 'volume':
+                return `${event.exercise}: volume ${this.formatVolume(event.value)}`;
+            default:
+                return event.weight > 0
+                    ? `${event.exercise}: ${event.value} reps at ${event.weight} ${this.weightUnit}`
+                    : `${event.exercise}: ${event.value} reps`;
+        }
+    }
+    
+    /**
+     * Create a highlighted line for a PR
+     * @param {string} text - Line text
+     * @returns {Element} PR element
+     */
+    createPersonalRecordLine(text) {
+        const line = document.createElement('span');
+        line.className = 'workout-pr';
+        
+        const icon = document.createElement('i');
+        icon.className = 'material-icons-round';
+        icon.textContent = 'emoji_events';
+        
+        line.appendChild(icon);
+        line.append(text);
+        return line;
     }
     
     /**
@@ -236,7 +1539,8 @@ class WorkoutTracker {
             fragment.appendChild(noData);
         } else {
             dates.forEach(date => {
-                const entries = this.workoutHistory[date];
+                const entries = this.getWorkoutEntries(date);
+                const sessions = this.workoutHistory[date].filter(entry => this.isSessionEntry(entry));
                 
                 const dayEntry = document.createElement('div');
                 dayEntry.className = 'day-entry';
@@ -247,11 +1551,14 @@ class WorkoutTracker {
                 
                 // Group workouts by type
                 const workoutsByType = {};
+                const volumeByType = {};
                 entries.forEach(entry => {
                     if (!workoutsByType[entry.type]) {
                         workoutsByType[entry.type] = 0;
+                        volumeByType[entry.type] = 0;
                     }
                     workoutsByType[entry.type] += 1;
+                    volumeByType[entry.type] += this.getEntryVolume(entry);
                 });
                 
                 // Show workout summary
@@ -259,6 +1566,13 @@ class WorkoutTracker {
                 workoutSummary.textContent = `Completed workouts: ${Object.keys(workoutsByType).length} types`;
                 dayEntry.appendChild(workoutSummary);
                 
+                const dayVolume = Object.values(volumeByType).reduce((sum, volume) => sum + volume, 0);
+                if (dayVolume > 0) {
+                    const volumeText = document.createElement('p');
+                    volumeText.textContent = `Volume: ${this.formatVolume(dayVolume)}`;
+                    dayEntry.appendChild(volumeText);
+                }
+                
                 // List each workout type
                 const workoutList = document.createElement('ul');
                 workoutList.style.paddingLeft = '20px';
@@ -266,11 +1580,25 @@ class WorkoutTracker {
                 
                 Object.entries(workoutsByType).forEach(([type, count]) => {
                     const workoutItem = document.createElement('li');
-                    workoutItem.textContent = `${type}: ${count} ${count === 1 ? 'time' : 'times'}`;
+                    const volume = volumeByType[type] > 0 ? ` (${this.formatVolume(volumeByType[type])})` : '';
+                    workoutItem.textContent = `${type}: ${count} ${count === 1 ? 'time' : 'times'}${volume}`;
                     workoutList.appendChild(workoutItem);
                 });
                 
                 dayEntry.appendChild(workoutList);
+                
+                sessions.forEach(session => {
+                    const sessionText = document.createElement('p');
+                    sessionText.textContent = `Session: ${this.describeSession(session)}`;
+                    dayEntry.appendChild(sessionText);
+                });
+                
+                // Highlight PRs set that day
+                this.getPersonalRecords(date).forEach(event => {
+                    const prLine = document.createElement('p');
+                    prLine.appendChild(this.createPersonalRecordLine(`PR - ${this.describePersonalRecord(event)}`));
+                    dayEntry.appendChild(prLine);
+                });
                 fragment.appendChild(dayEntry);
             });
         }
@@ -292,6 +1620,7 @@ class WorkoutTracker {
         this.elements.currentWorkoutsTab.innerHTML = '';
         const currentDate = utils.formatDate(new Date());
         const entries = this.workoutHistory[currentDate] || [];
+        const workoutCount = this.getWorkoutEntries(currentDate).length;
         
         const container = document.createElement('div');
         
@@ -299,27 +1628,90 @@ class WorkoutTracker {
         header.textContent = `Today's Workouts`;
         container.appendChild(header);
         
-        if (entries.length === 0) {
+        entries.filter(entry => this.isSessionEntry(entry)).forEach(session => {
+            const sessionText = document.createElement('p');
+            sessionText.className = 'workout-session-summary';
+            sessionText.textContent = `Session ${this.describeSession(session)}`;
+            container.appendChild(sessionText);
+        });
+        
+        if (workoutCount === 0) {
             const noEntries = document.createElement('p');
             noEntries.textContent = 'No workouts recorded today.';
             container.appendChild(noEntries);
         } else {
-            // Group entries by workout type and count
+            const totalVolume = entries.reduce((sum, entry) => sum + this.getEntryVolume(entry), 0);
+            if (totalVolume > 0) {
+                const volumeText = document.createElement('p');
+                volumeText.textContent = `Total volume: ${this.formatVolume(totalVolume)}`;
+                container.appendChild(volumeText);
+            }
+            
+            // Group entries by workout type, keeping their position in history for editing
             const groupedEntries = {};
-            entries.forEach(entry => {
+            entries.forEach((entry, index) => {
+                if (this.isSessionEntry(entry)) return;
+                
                 if (!groupedEntries[entry.type]) {
                     groupedEntries[entry.type] = [];
                 }
-                groupedEntries[entry.type].push(entry);
+                groupedEntries[entry.type].push({ entry, index });
             });
             
             const entriesList = document.createElement('ul');
             
             Object.entries(groupedEntries).forEach(([type, typeEntries]) => {
                 const entryItem = document.createElement('li');
-                const lastEntry = typeEntries[typeEntries.length - 1];
+                const lastEntry = typeEntries[typeEntries.length - 1].entry;
                 const time = new Date(lastEntry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-                entryItem.innerHTML = `<b>${type}</b>: ${typeEntries.length} ${typeEntries.length === 1 ? 'time' : 'times'} (last at ${time})`;
+                const volume = typeEntries.reduce((sum, { entry }) => sum + this.getEntryVolume(entry), 0);
+                const typeName = document.createElement('b');
+                typeName.textContent = type;
+                entryItem.append(typeName, `: ${typeEntries.length} ${typeEntries.length === 1 ? 'time' : 'times'} (last at ${time})`);
+                if (volume > 0) {
+                    entryItem.append(` · ${this.formatVolume(volume)}`);
+                }
+                
+                // Each tap can carry its own exercises
+                typeEntries.forEach(({ entry, index }) => {
+                    const session = document.createElement('div');
+                    session.className = 'workout-session-entry';
+                    
+                    const details = document.createElement('div');
+                    details.className = 'workout-session-details';
+                    
+                    if (entry.exercises && entry.exercises.length > 0) {
+                        const records = this.getPersonalRecords(currentDate, index);
+                        
+                        entry.exercises.forEach(exercise => {
+                            const text = this.describeExercise(exercise);
+                            let line;
+                            
+                            if (records.some(event => event.exercise === exercise.name)) {
+                                line = this.createPersonalRecordLine(text);
+                            } else {
+                                line = document.createElement('span');
+                                line.textContent = text;
+                            }
+                            
+                            details.appendChild(line);
+                        });
+                    } else {
+                        const empty = document.createElement('span');
+                        empty.className = 'workout-session-empty';
+                        empty.textContent = 'No exercises logged';
+                        details.appendChild(empty);
+                    }
+                    
+                    const editBtn = this.createSessionButton('edit', `Log ${type} exercises`, () => {
+                        this.openSessionEditor(currentDate, index);
+                    });
+                    
+                    session.appendChild(details);
+                    session.appendChild(editBtn);
+                    entryItem.appendChild(session);
+                });
+                
                 entriesList.appendChild(entryItem);
             });
             
@@ -334,14 +1726,15 @@ class WorkoutTracker {
      */
     checkAndResetDailyWorkouts() {
     const currentDate = utils.formatDate(new Date());
-    const lastResetDate = localStorage.getItem(this.lastResetKey);
+    const lastResetDate = storageManager.getItem(this.lastResetKey);
     
     // Only record the date check, but don't reset unless all workouts are completed
     if (lastResetDate !== currentDate) {
         // Just update the last reset date without resetting workouts
-        localStorage.setItem(this.lastResetKey, currentDate);
+        storageManager.setItem(this.lastResetKey, currentDate);
         
         this.preserveTodaysWorkoutData();
+        this.checkWeeklyReset();
     }
      }
     
@@ -356,7 +1749,7 @@ preserveTodaysWorkoutData() {
     // Make sure current date's data structure exists
     if (!this.workoutHistory[currentDate]) {
         this.workoutHistory[currentDate] = [];
-        localStorage.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+        storageManager.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
     }
     }
 
@@ -381,6 +1774,9 @@ preserveTodaysWorkoutData() {
      * Reset daily workouts and remove today's history
      */
     resetDailyWorkouts() {
+        // Today's taps are about to disappear, so they can't be undone
+        this.clearUndoStack();
+        
         // Reset workout tabs
         this.resetWorkoutTabs();
         
@@ -388,7 +1784,7 @@ preserveTodaysWorkoutData() {
         const currentDate = utils.formatDate(new Date());
         if (this.workoutHistory[currentDate]) {
             delete this.workoutHistory[currentDate];
-            localStorage.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+            storageManager.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
         }
     }
     
@@ -396,15 +1792,24 @@ preserveTodaysWorkoutData() {
      * Reset all data for this tracker
      */
     resetAllData() {
-        localStorage.removeItem(this.stateKey);
-        localStorage.removeItem(this.countKey);
-        localStorage.removeItem(this.historyKey);
-        localStorage.removeItem(this.lastResetKey);
+        storageManager.removeItem(this.stateKey);
+        storageManager.removeItem(this.countKey);
+        storageManager.removeItem(this.historyKey);
+        storageManager.removeItem(this.lastResetKey);
+        storageManager.removeItem(this.typesKey);
+        storageManager.removeItem(this.splitTemplatesKey);
+        storageManager.removeItem(this.activeSplitKey);
+        storageManager.removeItem(this.activeSessionKey);
+        storageManager.removeItem(this.restSecondsKey);
+        storageManager.removeItem(this.resetRuleKey);
+        storageManager.removeItem(this.rotationResetKey);
+        this.stopSessionTimer();
+        reminderEngine.unregister('workout-rest');
         
         utils.showToast('All workout tracking data has been reset.', 'warning');
         
         // Reload the page to reset all instances
-        setTimeout(() => location.reload(), 1500);
+        setTimeout(() => storageManager.flush().then(() => location.reload()), 1500);
     }
     
     /**
@@ -421,18 +1826,7 @@ preserveTodaysWorkoutData() {
     initializeWorkoutAnalytics() {
         // Populate workout type options in dropdown
         if (this.elements.viewTypeSelect) {
-            // Clear any existing options after the first two (All and Comparison)
-            while (this.elements.viewTypeSelect.options.length > 2) {
-                this.elements.viewTypeSelect.remove(2);
-            }
-            
-            // Add individual workout options
-            this.workoutTypes.forEach(type => {
-                const option = document.createElement('option');
-                option.value = type.toLowerCase();
-                option.textContent = type;
-                this.elements.viewTypeSelect.appendChild(option);
-            });
+            this.renderWorkoutViewOptions();
             
             // Add event listener for dropdown change
             this.elements.viewTypeSelect.addEventListener('change', (e) => {
@@ -441,6 +1835,14 @@ preserveTodaysWorkoutData() {
             });
         }
         
+        // Add event listener for exercise dropdown
+        if (this.elements.exerciseSelect) {
+            this.elements.exerciseSelect.addEventListener('change', (e) => {
+                this.selectedExercise = e.target.value;
+                this.renderExerciseProgress();
+            });
+        }
+        
         // Add event listener for time period dropdown
         if (this.elements.timePeriodSelect) {
             this.elements.timePeriodSelect.addEventListener('change', (e) => {
@@ -453,13 +1855,207 @@ preserveTodaysWorkoutData() {
         this.renderWorkoutAnalytics();
     }
     
+    /**
+     * Fill the analytics dropdown with one option per workout type
+     */
+    renderWorkoutViewOptions() {
+        const select = this.elements.viewTypeSelect;
+        if (!select) return;
+        
+        // Clear any existing options after the first two (All and Comparison)
+        while (select.options.length > 2) {
+            select.remove(2);
+        }
+        
+        // Add individual workout options; retired types still have history to show
+        this.workoutTypeDefinitions.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.name.toLowerCase();
+            option.textContent = type.retired ? `${type.name} (retired)` : type.name;
+            select.appendChild(option);
+        });
+        
+        // Fall back to all workouts if the selected type was renamed
+        if (!['all', 'comparison'].includes(this.selectedWorkoutView) && !this.getSelectedWorkoutType()) {
+            this.selectedWorkoutView = 'all';
+        }
+        select.value = this.selectedWorkoutView;
+    }
+    
+    /**
+     * Name of the workout type picked in the analytics dropdown
+     * @returns {string|undefined} Workout type name
+     */
+    getSelectedWorkoutType() {
+        const type = this.findWorkoutType(this.selectedWorkoutView);
+        return type && type.name;
+    }
+    
     /**
      * Render workout analytics (graph and streaks)
      */
     renderWorkoutAnalytics() {
         this.renderWorkoutGraph();
+        this.renderExerciseProgress();
         this.renderWorkoutStreaks();
     }
+    
+    /**
+     * Render the exercise selector, progression chart and records for one exercise
+     */
+    renderExerciseProgress() {
+        const select = this.elements.exerciseSelect;
+        if (!select || !this.elements.prChart) return;
+        
+        const library = this.getExerciseLibrary();
+        const keys = library.map(exercise => exercise.name.toLowerCase());
+        
+        // Default to the most recently performed exercise
+        if (!keys.includes(this.selectedExercise)) {
+            this.selectedExercise = keys[0] || null;
+        }
+        
+        select.innerHTML = '';
+        library
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(exercise => {
+                const option = document.createElement('option');
+                option.value = exercise.name.toLowerCase();
+                option.textContent = exercise.name;
+                select.appendChild(option);
+            });
+        select.value = this.selectedExercise || '';
+        
+        this.elements.prChart.innerHTML = '';
+        this.elements.prChartLabels.innerHTML = '';
+        this.elements.prSummary.innerHTML = '';
+        
+        if (!this.selectedExercise) {
+            const noData = document.createElement('p');
+            noData.textContent = 'Log sets from Today\'s Logs to track personal records.';
+            this.elements.prSummary.appendChild(noData);
+            return;
+        }
+        
+        const record = this.exerciseRecords.exercises[this.selectedExercise];
+        this.renderExerciseChart(record);
+        this.renderExerciseSummary(record);
+    }
+    
+    /**
+     * Chart estimated 1RM per session (top reps for bodyweight exercises), marking PR sessions
+     * @param {Object} record - Exercise record
+     */
+    renderExerciseChart(record) {
+        const chart = this.elements.prChart;
+        const metric = record.bestOneRepMax ? 'oneRepMax' : 'topReps';
+        const points = record.sessions.map(session => ({ date: session.date, value: session[metric] }));
+        const recordDates = this.exerciseRecords.events
+            .filter(event => event.exercise.toLowerCase() === this.selectedExercise)
+            .map(event => event.date);
+        
+        let maxValue = Math.max(...points.map(point => point.value));
+        maxValue = maxValue <= 0 ? 10 : Math.ceil(maxValue * 1.2);
+        
+        const yLabels = document.createElement('div');
+        yLabels.className = 'workout-chart-y-labels';
+        const steps = 4;
+        for (let i = steps - 1; i >= 0; i--) {
+            const label = document.createElement('span');
+            label.textContent = Math.round(maxValue * i / (steps - 1));
+            yLabels.appendChild(label);
+        }
+        chart.appendChild(yLabels);
+        
+        // Plot in a 100x100 box stretched over the chart, like the intake trackers
+        const toX = index => points.length > 1 ? (index / (points.length - 1)) * 100 : 50;
+        const toY = value => 100 - (value / maxValue) * 100;
+        
+        const plot = document.createElement('div');
+        plot.className = 'workout-pr-plot';
+        
+        const svgNS = "http://www.w3.org/2000/svg";
+        const svg = document.createElementNS(svgNS, "svg");
+        svg.setAttribute("viewBox", "0 0 100 100");
+        svg.setAttribute("preserveAspectRatio", "none");
+        
+        const path = document.createElementNS(svgNS, "path");
+        path.setAttribute("d", utils.buildSmoothCurvePath(points.map((point, index) => [toX(index), toY(point.value)])));
+        path.setAttribute("class", "workout-pr-line");
+        svg.appendChild(path);
+        plot.appendChild(svg);
+        
+        points.forEach((point, index) => {
+            const pointElement = document.createElement('div');
+            pointElement.className = `workout-chart-point${recordDates.includes(point.date) ? ' pr' : ''}`;
+            pointElement.style.left = `${toX(index)}%`;
+            pointElement.style.top = `${toY(point.value)}%`;
+            pointElement.title = `${point.date}: ${point.value}`;
+            plot.appendChild(pointElement);
+        });
+        
+        chart.appendChild(plot);
+        
+        // First and last session dates
+        const labelPoints = points.length > 1 ? [points[0], points[points.length - 1]] : points;
+        labelPoints.forEach(point => {
+            const label = document.createElement('span');
+            label.textContent = this.formatDateForTimePeriod(utils.parseDateKey(point.date));
+            this.elements.prChartLabels.appendChild(label);
+        });
+        
+        const caption = document.createElement('span');
+        caption.className = 'workout-pr-metric';
+        caption.textContent = metric === 'oneRepMax' ? `Estimated 1RM (${this.weightUnit})` : 'Top set reps';
+        chart.appendChild(caption);
+    }
+    
+    /**
+     * List an exercise's best 1RM, best volume, rep records and recent PRs
+     * @param {Object} record - Exercise record
+     */
+    renderExerciseSummary(record) {
+        const summary = this.elements.prSummary;
+        const rows = [];
+        
+        if (record.bestOneRepMax) {
+            rows.push(`Best est. 1RM: ${record.bestOneRepMax.value} ${this.weightUnit} (${record.bestOneRepMax.date})`);
+        }
+        if (record.bestVolume) {
+            rows.push(`Best volume: ${this.formatVolume(record.bestVolume.value)} (${record.bestVolume.date})`);
+        }
+        
+        // Heaviest weights first
+        Object.entries(record.repRecords)
+            .sort(([a], [b]) => parseFloat(b) - parseFloat(a))
+            .slice(0, 5)
+            .forEach(([weight, best]) => {
+                const load = parseFloat(weight) > 0 ? ` at ${weight} ${this.weightUnit}` : '';
+                rows.push(`Most reps${load}: ${best.reps} (${best.date})`);
+            });
+        
+        rows.push(`Sessions: ${record.sessions.length}`);
+        
+        rows.forEach(text => {
+            const row = document.createElement('div');
+            row.className = 'workout-pr-row';
+            row.textContent = text;
+            summary.appendChild(row);
+        });
+        
+        const recent = this.exerciseRecords.events
+            .filter(event => event.exercise.toLowerCase() === this.selectedExercise)
+            .slice(-3)
+            .reverse();
+        
+        recent.forEach(event => {
+            const row = document.createElement('div');
+            row.className = 'workout-pr-row';
+            row.appendChild(this.createPersonalRecordLine(`${event.date} - ${this.describePersonalRecord(event)}`));
+            summary.appendChild(row);
+        });
+    }
 
     /**
  * Aggregate data points by month for yearly view
@@ -529,7 +2125,7 @@ getWorkoutDataByTimePeriod() {
     if (this.selectedWorkoutView === 'all') {
         // All workouts combined - single line
         dataPoints = dates.map(dateKey => {
-            const entries = this.workoutHistory[dateKey] || [];
+            const entries = this.getWorkoutEntries(dateKey);
             return {
                 date: dateKey,
                 value: entries.length // Total number of workouts completed
@@ -551,8 +2147,7 @@ getWorkoutDataByTimePeriod() {
         });
     } else {
         // Individual workout type
-        const selectedType = this.selectedWorkoutView.charAt(0).toUpperCase() + 
-                            this.selectedWorkoutView.slice(1);
+        const selectedType = this.getSelectedWorkoutType();
         
         dataPoints = dates.map(dateKey => {
             const entries = this.workoutHistory[dateKey] || [];
@@ -601,8 +2196,8 @@ getWorkoutDataByTimePeriod() {
             let currentStreak = null;
             
             sortedDates.forEach(date => {
-                const entries = this.workoutHistory[date];
-                if (!entries || entries.length === 0) {
+                const entries = this.getWorkoutEntries(date);
+                if (entries.length === 0) {
                     // No workouts on this day, end streak
                     if (currentStreak && currentStreak.length > 1) {
                         streaks.push(currentStreak);
@@ -652,8 +2247,7 @@ getWorkoutDataByTimePeriod() {
             
         } else {
             // Individual workout type
-            const selectedType = this.selectedWorkoutView.charAt(0).toUpperCase() + 
-                                 this.selectedWorkoutView.slice(1);
+            const selectedType = this.getSelectedWorkoutType();
             const typeStreaks = this.calculateAllWorkoutTypeStreaks(selectedType);
             streaks.push(...typeStreaks);
         }
@@ -839,7 +2433,7 @@ getWorkoutDataByTimePeriod() {
         const path = document.createElementNS(svgNS, "path");
         path.setAttribute("d", pathPoints);
         path.setAttribute("fill", "none");
-        path.setAttribute("stroke", this.getWorkoutColor());
+        path.setAttribute("stroke", this.getWorkoutColor(this.getSelectedWorkoutType()));
         path.setAttribute("stroke-width", "2");
         path.setAttribute("stroke-linecap", "round");
         path.setAttribute("stroke-linejoin", "round");
@@ -984,27 +2578,7 @@ getWorkoutDataByTimePeriod() {
             return [x, y];
         });
         
-        // Create path data for smooth curve
-        let path = `M ${coordinates[0][0]},${coordinates[0][1]}`;
-        
-        // Add curved segments between points
-        for (let i = 0; i < coordinates.length - 1; i++) {
-            const x1 = coordinates[i][0];
-            const y1 = coordinates[i][1];
-            const x2 = coordinates[i + 1][0];
-            const y2 = coordinates[i + 1][1];
-            
-            // Calculate control points for smooth curve
-            const cpx1 = x1 + (x2 - x1) / 3;
-            const cpy1 = y1;
-            const cpx2 = x1 + 2 * (x2 - x1) / 3;
-            const cpy2 = y2;
-            
-            // Add cubic bezier curve
-            path += ` C ${cpx1},${cpy1} ${cpx2},${cpy2} ${x2},${y2}`;
-        }
-        
-        return path;
+        return utils.buildSmoothCurvePath(coordinates);
     }
     
     /**
@@ -1027,13 +2601,18 @@ getWorkoutDataByTimePeriod() {
         
         // If specific workout type is provided
         if (type) {
-            const typeIndex = this.workoutTypes.indexOf(type);
-            if (typeIndex >= 0) {
-                return colors[typeIndex % colors.length];
+            const definition = this.findWorkoutType(type);
+            if (definition) {
+                return definition.color;
             }
             return colors[index % colors.length];
         }
         
+        // Palette colour for a new type
+        if (index !== undefined) {
+            return colors[index % colors.length];
+        }
+        
         // Default workout color (if no type provided)
         return '#4CAF50'; // workout primary color
     }